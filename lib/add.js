@@ -0,0 +1,316 @@
+import path from "path";
+import { addDatabase } from "./backend.js";
+import { createContext } from "./context.js";
+import { SQL_DATABASES } from "./databases.js";
+import { detectProject } from "./detect.js";
+import {
+  createDockerCompose,
+  createDockerfiles,
+  createDockerReadme,
+} from "./docker.js";
+import { FeatureExistsError, OptionsError } from "./errors.js";
+import { addTailwind } from "./frontend.js";
+import { addGitHooks } from "./git.js";
+import {
+  addLintingConfig,
+  addRootFormatting,
+  clientLintPreset,
+  serverLintPreset,
+} from "./linting.js";
+import { isUnmodified, readManifest, writeManifest } from "./manifest.js";
+import {
+  normalizeAnswers,
+  resolveOptions,
+  TAILWIND_BUILT_IN,
+} from "./options.js";
+import { packageManager } from "./package-manager.js";
+import { addClientTests, addServerTests, rootTestScripts } from "./testing.js";
+
+/**
+ * @typedef {object} AddOptions
+ * @property {string} feature docker, tailwind, lint, test or a database: sqlite, mongodb, postgres or mysql
+ * @property {string} [cwd] The project folder (default: process.cwd())
+ * @property {"Prisma" | "Drizzle" | "None"} [orm] Only when adding an SQL database (default: Prisma)
+ * @property {"npm" | "pnpm" | "yarn" | "bun"} [packageManager] (default: the one whose lockfile is in the project, else npm)
+ * @property {boolean} [force] Apply a feature the project already has again
+ * @property {"inherit" | "pipe"} [stdio]
+ * @property {boolean} [dryRun]
+ * @property {import("./options.js").CreateOptions["onConflict"]} [onConflict]
+ *   Decides whether an existing file that differs is replaced (default: skip)
+ * @property {boolean} [rollback]
+ * @property {AbortSignal} [signal]
+ * @property {(event: import("./context.js").ProgressEvent) => void} [onProgress]
+ */
+
+export const FEATURES = [
+  "docker",
+  "tailwind",
+  "lint",
+  "test",
+  "sqlite",
+  "mongodb",
+  "postgres",
+  "mysql",
+];
+
+// Options passed on to the context as they are
+const RUNTIME_OPTIONS = [
+  "stdio",
+  "dryRun",
+  "onConflict",
+  "rollback",
+  "signal",
+  "onProgress",
+];
+
+const FEATURE_ALIASES = {
+  docker: "docker",
+  tailwind: "tailwind",
+  tailwindcss: "tailwind",
+  lint: "lint",
+  linting: "lint",
+  eslint: "lint",
+  test: "test",
+  tests: "test",
+  testing: "test",
+};
+
+// "docker", "eslint", "postgres", ... as { name, database? }
+function parseFeature(feature) {
+  if (typeof feature !== "string") {
+    throw new OptionsError(`Invalid "feature": expected a string`);
+  }
+  const name = FEATURE_ALIASES[feature.trim().toLowerCase()];
+  if (name) return { name };
+  try {
+    const { database } = normalizeAnswers({ database: feature });
+    if (database !== "None") return { name: "database", database };
+  } catch {
+    // Reported below with the full list of features
+  }
+  throw new OptionsError(
+    `Unknown feature "${feature}". Expected one of: ${FEATURES.join(", ")}`,
+  );
+}
+
+// What `add` does for each feature, and how to tell the project already has it
+const APPLY = {
+  docker: {
+    step: "docker",
+    present: (project) => project.docker && "docker-compose.yml exists",
+    label: "Docker",
+    run: (ctx) => {
+      const { frontend, backendLang, database } = ctx.options;
+      createDockerfiles(ctx, frontend, backendLang);
+      createDockerCompose(ctx, database);
+      createDockerReadme(ctx);
+    },
+  },
+  tailwind: {
+    step: "tailwind",
+    present: (project) =>
+      project.tailwind && "tailwindcss is in client/package.json",
+    label: "Tailwind CSS",
+    run: (ctx) => addTailwind(ctx, path.join(ctx.rootDir, "client")),
+  },
+  lint: {
+    step: "lint",
+    present: (project) => project.linting && ".prettierrc exists",
+    label: "ESLint and Prettier",
+    run: async (ctx) => {
+      const { rootDir, options } = ctx;
+      const pm = packageManager(options.packageManager);
+      addRootFormatting(ctx, pm);
+      // Repositories get the pre-commit hook, as new projects do
+      if (options.git) addGitHooks(ctx, pm);
+      await ctx.run(...pm.install(), { cwd: rootDir });
+      const packages = [
+        [
+          "client",
+          clientLintPreset(
+            options.frontend,
+            options.reactSetup,
+            options.frontendLang,
+          ),
+        ],
+        ["server", serverLintPreset(options.backendLang)],
+      ];
+      for (const [folder, preset] of packages) {
+        const dir = path.join(rootDir, folder);
+        addLintingConfig(ctx, dir, preset);
+        await ctx.run(...pm.install(), { cwd: dir });
+      }
+    },
+  },
+  test: {
+    step: "test",
+    present: (project) => project.testing && "jest is in server/package.json",
+    label: "Testing",
+    run: async (ctx) => {
+      const { rootDir, options } = ctx;
+      const pm = packageManager(options.packageManager);
+      ctx.updateJson(
+        path.join(rootDir, "package.json"),
+        (pkg) => ({
+          ...pkg,
+          scripts: { ...pkg.scripts, ...rootTestScripts(pm, options.frontend) },
+        }),
+        "add the test script",
+      );
+      const serverDir = path.join(rootDir, "server");
+      addServerTests(ctx, serverDir);
+      await ctx.run(...pm.install(), { cwd: serverDir });
+      const clientDir = path.join(rootDir, "client");
+      addClientTests(ctx, clientDir);
+      await ctx.run(...pm.install(), { cwd: clientDir });
+    },
+  },
+  database: {
+    step: "database",
+    present: (project) =>
+      project.database !== "None" &&
+      `the server already uses ${project.database}`,
+    label: "The database",
+    run: async (ctx, project) => {
+      await addDatabase(ctx);
+      // The tests need the new database set up for their run
+      if (project.testing) {
+        const serverDir = path.join(ctx.rootDir, "server");
+        addServerTests(ctx, serverDir);
+        const pm = packageManager(ctx.options.packageManager);
+        await ctx.run(...pm.install(), { cwd: serverDir });
+      }
+      // The compose file needs the new database service, and the backend
+      // image the schema push or SQLite's folder (asked as conflicts)
+      if (project.docker) {
+        const { frontend, backendLang, database } = ctx.options;
+        createDockerfiles(ctx, frontend, backendLang);
+        createDockerCompose(ctx, database);
+      }
+    },
+  },
+};
+
+// Refuse what cannot be added; returns why the feature is already there, if it is
+function checkFeature(feature, project, { force, orm }) {
+  if (orm !== undefined && !SQL_DATABASES.includes(feature.database)) {
+    throw new OptionsError(
+      `"orm" can only be given when adding an SQL database (sqlite, postgres or mysql)`,
+    );
+  }
+  if (
+    feature.name === "tailwind" &&
+    TAILWIND_BUILT_IN.includes(project.frontend)
+  ) {
+    throw new OptionsError(
+      `Tailwind CSS cannot be added to ${project.frontend} clients: their generator sets it up itself`,
+    );
+  }
+  if (feature.name === "tailwind" && project.frontend === "Angular") {
+    throw new OptionsError("Tailwind CSS cannot be added to Angular clients");
+  }
+  if (
+    feature.name === "database" &&
+    project.database !== "None" &&
+    project.database !== feature.database
+  ) {
+    throw new OptionsError(
+      `The server already uses ${project.database}; switching to ${feature.database} is not supported`,
+    );
+  }
+  if (
+    feature.database === project.database &&
+    orm !== undefined &&
+    project.orm !== undefined &&
+    orm.toLowerCase() !== project.orm.toLowerCase()
+  ) {
+    throw new OptionsError(
+      `The server already uses ${project.orm === "None" ? "no ORM" : project.orm}; switching ORMs is not supported`,
+    );
+  }
+
+  const { present, label } = APPLY[feature.name];
+  const reason = present(project);
+  if (reason && !force) throw new FeatureExistsError(label, reason);
+  return reason;
+}
+
+/**
+ * Add a feature to a project scaffolded earlier: Docker, Tailwind CSS,
+ * linting, tests or a database. The project's frontend, backend, language and
+ * database are read from its .fullstackrc.json (or, without one, from its
+ * server/ and client/ folders), then the same generators as
+ * createFullstackApp run on it. The manifest is updated afterwards.
+ *
+ * A feature the project already has is refused with a FeatureExistsError
+ * unless `force` is set. Existing files the feature would change are held
+ * back as conflicts and settled through `onConflict`, as when merging, so
+ * running it again leaves identical files alone. Files the manifest shows
+ * are unmodified since devstacker wrote them are replaced without asking.
+ *
+ * @param {AddOptions} options
+ * @returns {Promise<import("./context.js").ScaffoldResult>}
+ */
+export async function addFeature(options = {}) {
+  const {
+    feature: featureName,
+    cwd = process.cwd(),
+    force = false,
+    orm,
+    packageManager: pmName,
+    ...runtime
+  } = options;
+  for (const key of Object.keys(runtime)) {
+    if (!RUNTIME_OPTIONS.includes(key)) {
+      throw new OptionsError(`Unknown option "${key}"`);
+    }
+  }
+  const feature = parseFeature(featureName);
+  const rootDir = path.resolve(cwd);
+  const project = detectProject(rootDir);
+  const alreadyThere = checkFeature(feature, project, { force, orm });
+  const manifest = readManifest(rootDir);
+
+  const choices = {
+    ...project,
+    ...(feature.name === "docker" && { docker: true }),
+    ...(feature.name === "tailwind" && { tailwind: true }),
+    ...(feature.name === "lint" && { linting: true }),
+    ...(feature.name === "test" && { testing: true }),
+    ...(feature.name === "database" && {
+      database: feature.database,
+      orm: orm ?? project.orm,
+    }),
+    ...(pmName !== undefined && { packageManager: pmName }),
+  };
+  const resolved = {
+    ...resolveOptions({ ...choices, ...runtime, existing: "merge" }),
+    cwd: path.dirname(rootDir),
+    rootDir,
+    onConflict: async (conflict) =>
+      isUnmodified(rootDir, manifest, conflict.path)
+        ? "overwrite"
+        : runtime.onConflict?.(conflict),
+  };
+
+  const ctx = createContext(resolved);
+  if (alreadyThere) {
+    ctx.warn(
+      `${APPLY[feature.name].label} was already set up (${alreadyThere}); applying it again`,
+    );
+  }
+
+  const { step, run } = APPLY[feature.name];
+  try {
+    await ctx.step(step, () => run(ctx, project));
+    writeManifest(ctx, manifest);
+  } catch (err) {
+    if (resolved.rollback && !resolved.dryRun) {
+      err.rolledBack = ctx.rollback();
+    }
+    throw err;
+  }
+  if (!resolved.dryRun) ctx.commit();
+
+  return ctx.result();
+}
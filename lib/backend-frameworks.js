@@ -0,0 +1,1009 @@
+import { importer } from "./databases.js";
+
+// 🧱 SERVER TEMPLATES for each backend framework. Every server has the same
+// layers: the entry point starts and stops it, app builds it from
+// middleware/ and routes/, and routes/ hand requests to controllers/
+
+const greeting = (ts, name) => `Hello from ${ts ? "TypeScript " : ""}${name}!`;
+
+// TypeScript-only fragments of the generated code
+const param = (ts, name, type) => (ts ? `${name}: ${type}` : name);
+const exported = (ts) => (ts ? "export " : "");
+const defaultExport = (ts, name) =>
+  ts ? `export default ${name};` : `module.exports = ${name};`;
+
+/**
+ * One source file: imports (type imports only in TypeScript), the body and,
+ * for JavaScript, module.exports of `exports`. TypeScript bodies export
+ * inline through exported().
+ */
+function sourceFile(
+  ts,
+  { imports = [], typeImports = [], body, exports = [] },
+) {
+  const load = importer(ts);
+  const lines = [
+    ...imports.map(([binding, source]) => load(binding, source)),
+    ...(ts
+      ? typeImports.map(
+          ([binding, source]) => `import type ${binding} from '${source}';`,
+        )
+      : []),
+  ];
+  const footer =
+    ts || !exports.length
+      ? ""
+      : `\nmodule.exports = { ${exports.join(", ")} };\n`;
+  return `${lines.join("\n")}
+
+${body}
+${footer}`;
+}
+
+const listening =
+  "logger.info(`Server running on http://localhost:${config.PORT}`)";
+
+/**
+ * The entry point: start listening, connect the database in the background
+ * and shut down gracefully. `start` starts the server and `close` stops it,
+ * waiting for the requests in flight.
+ */
+function entryFile(ts, { imports, start, close }) {
+  return sourceFile(ts, {
+    imports: [
+      ...imports,
+      ["{ config }", "./config"],
+      ["{ logger }", "./config/logger"],
+      ["{ connectDatabase, disconnectDatabase }", "./database"],
+    ],
+    body: `${start}
+
+// Until it is connected, GET /readyz answers 503
+connectDatabase().catch((err) => logger.error({ err }, 'Could not connect to the database'));
+
+// On SIGTERM (docker stop) or Ctrl+C: stop taking connections, let requests
+// in flight finish, then close the database. After 10 seconds, exit anyway
+let shuttingDown = false;
+async function shutdown(${param(ts, "signal", "NodeJS.Signals")}) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info({ signal }, 'Shutting down');
+  setTimeout(() => process.exit(1), 10_000).unref();
+  try {
+    ${close}
+    await disconnectDatabase();
+    process.exit(0);
+  } catch (err) {
+    logger.error({ err }, 'Shutdown failed');
+    process.exit(1);
+  }
+}
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);`,
+  });
+}
+
+// Entry point of a server built on Node's http.Server (Express, Koa, Hono)
+const httpEntryFile = (ts, listen, imports = []) =>
+  entryFile(ts, {
+    imports: [...imports, ["app", "./app"]],
+    start: `const server = ${listen};`,
+    close: `await new Promise${ts ? "<void>" : ""}((resolve, reject) => {
+      server.close((err) => (err ? reject(err) : resolve()));
+    });`,
+  });
+
+// Docker and orchestrators probe these often; request loggers skip them
+const HEALTH_PATHS = "const HEALTH_PATHS = ['/healthz', '/readyz'];";
+
+// pino-http for Express (NestJS runs on Express too)
+function pinoHttpLogger(ts) {
+  return sourceFile(ts, {
+    imports: [
+      ["{ randomUUID }", "crypto"],
+      [ts ? "{ pinoHttp }" : "pinoHttp", "pino-http"],
+      ["{ logger }", "../config/logger"],
+    ],
+    body: `${HEALTH_PATHS}
+
+// Logs each request with an id: the X-Request-Id header a proxy sent, or a new
+// UUID. The id is sent back in X-Request-Id, and req.log logs with it
+${exported(ts)}const requestLogger = pinoHttp({
+  logger,
+  genReqId: (req, res) => {
+    const header = req.headers['x-request-id'];
+    const id = typeof header === 'string' && header ? header : randomUUID();
+    res.setHeader('X-Request-Id', id);
+    return id;
+  },
+  autoLogging: { ignore: (req) => HEALTH_PATHS.includes(req.url ?? '') },
+});`,
+    exports: ["requestLogger"],
+  });
+}
+
+// Liveness and readiness: GET /healthz and /readyz
+function healthController(ts, { imports = [], typeImports = [], live, ready }) {
+  return sourceFile(ts, {
+    imports: [...imports, ["{ checkDatabase }", "../database"]],
+    typeImports,
+    body: `// Liveness: the process is up and answering (the image's healthcheck)
+${exported(ts)}${live}
+
+// Readiness: the database answers too (docker-compose waits for this)
+${exported(ts)}${ready}`,
+    exports: ["live", "ready"],
+  });
+}
+
+const READY = "{ status: 'ready' }";
+const UNAVAILABLE =
+  "{ status: 'unavailable', error: 'The database is not reachable' }";
+const UPTIME = "{ status: 'ok', uptime: process.uptime() }";
+
+// list/get/create/update/remove handlers on top of users.repository
+function usersController(ts, { imports = [], typeImports = [], body }) {
+  return sourceFile(ts, {
+    imports: [
+      ...imports,
+      [ts ? "* as users" : "users", "../users/users.repository"],
+      ["{ validateUser }", "../users/users.validation"],
+      ["{ HttpError }", "../http-error"],
+    ],
+    typeImports,
+    body: `const notFound = () => new HttpError(404, 'User not found');
+
+${body}`,
+    exports: ["list", "get", "create", "update", "remove"],
+  });
+}
+
+// A routes/ file: `setup` builds `exportedName` from the controller's handlers
+function routesFile(
+  ts,
+  { imports = [], typeImports = [], controller, setup, exportedName },
+) {
+  return sourceFile(ts, {
+    typeImports,
+    imports: [
+      ...imports,
+      [
+        ts ? `* as ${controller}` : controller,
+        `../controllers/${controller}.controller`,
+      ],
+    ],
+    body: `${setup}
+
+${defaultExport(ts, exportedName)}`,
+  });
+}
+
+const EXPRESS = {
+  dependencies: () => ["express", "cors", "pino-http"],
+  typeDependencies: ["@types/express", "@types/cors"],
+  entry: (ts) => (ts ? "index.ts" : "index.js"),
+  files: (ts) => {
+    const e = ts ? ".ts" : ".js";
+    const handler = (request = "Request") =>
+      `${param(ts, "req", request)}, ${param(ts, "res", "Response")}`;
+    // Typed route parameters: plain Request types them as string | string[]
+    const withId = handler("Request<{ id: string }>");
+    const types = [["{ Request, Response }", "express"]];
+    return {
+      [`index${e}`]: httpEntryFile(
+        ts,
+        `app.listen(config.PORT, () => ${listening})`,
+      ),
+      [`app${e}`]: sourceFile(ts, {
+        imports: [
+          ["express", "express"],
+          ["cors", "cors"],
+          ["{ requestLogger }", "./middleware/request-logger"],
+          ["{ errorHandler, notFound }", "./middleware/error-handler"],
+          ["healthRoutes", "./routes/health.routes"],
+          ["usersRoutes", "./routes/users.routes"],
+        ],
+        body: `const app = express();
+app.use(requestLogger);
+app.use(cors());
+app.use(express.json());
+
+app.get('/', (req, res) => res.send('${greeting(ts, "Express")}'));
+app.use(healthRoutes);
+app.use('/api/users', usersRoutes);
+
+// Requests no route matched, then every error, answered as JSON
+app.use(notFound);
+app.use(errorHandler);
+
+${defaultExport(ts, "app")}`,
+      }),
+      [`middleware/request-logger${e}`]: pinoHttpLogger(ts),
+      [`middleware/error-handler${e}`]: sourceFile(ts, {
+        imports: [["{ HttpError }", "../http-error"]],
+        typeImports: [["{ NextFunction, Request, Response }", "express"]],
+        body: `${exported(ts)}function notFound(${param(ts, "req", "Request")}, ${param(ts, "_res", "Response")}, ${param(ts, "next", "NextFunction")}) {
+  next(new HttpError(404, \`Route \${req.method} \${req.path} not found\`));
+}
+
+// Errors thrown in routes, including rejected promises (Express 5); Express
+// tells error handlers apart by their four parameters
+${exported(ts)}function errorHandler(${ts ? "err: any, req: Request, res: Response, _next: NextFunction" : "err, req, res, _next"}) {
+  if (err instanceof HttpError) {
+    res.status(err.status).json({ error: err.message, details: err.details });
+  } else if (err.type === 'entity.parse.failed') {
+    res.status(400).json({ error: 'Request body is not valid JSON' });
+  } else {
+    req.log.error({ err }, 'Unhandled error');
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}`,
+        exports: ["notFound", "errorHandler"],
+      }),
+      [`routes/health.routes${e}`]: routesFile(ts, {
+        imports: [["{ Router }", "express"]],
+        controller: "health",
+        exportedName: "router",
+        setup: `const router = Router();
+
+router.get('/healthz', health.live);
+router.get('/readyz', health.ready);`,
+      }),
+      [`routes/users.routes${e}`]: routesFile(ts, {
+        imports: [["{ Router }", "express"]],
+        controller: "users",
+        exportedName: "router",
+        setup: `// Mounted at /api/users
+const router = Router();
+
+router.get('/', users.list);
+router.get('/:id', users.get);
+router.post('/', users.create);
+router.put('/:id', users.update);
+router.delete('/:id', users.remove);`,
+      }),
+      [`controllers/health.controller${e}`]: healthController(ts, {
+        typeImports: types,
+        live: `function live(${handler()}) {
+  res.json(${UPTIME});
+}`,
+        ready: `async function ready(${handler()}) {
+  try {
+    await checkDatabase();
+    res.json(${READY});
+  } catch (err) {
+    req.log.warn({ err }, 'Readiness check failed');
+    res.status(503).json(${UNAVAILABLE});
+  }
+}`,
+      }),
+      [`controllers/users.controller${e}`]: usersController(ts, {
+        typeImports: types,
+        body: `${exported(ts)}async function list(${handler()}) {
+  res.json(await users.list());
+}
+
+${exported(ts)}async function get(${withId}) {
+  const user = await users.get(req.params.id);
+  if (!user) throw notFound();
+  res.json(user);
+}
+
+${exported(ts)}async function create(${handler()}) {
+  const user = await users.create(validateUser(req.body));
+  res.status(201).json(user);
+}
+
+${exported(ts)}async function update(${withId}) {
+  const user = await users.update(req.params.id, validateUser(req.body));
+  if (!user) throw notFound();
+  res.json(user);
+}
+
+${exported(ts)}async function remove(${withId}) {
+  if (!(await users.remove(req.params.id))) throw notFound();
+  res.status(204).end();
+}`,
+      }),
+    };
+  },
+};
+
+const FASTIFY = {
+  dependencies: () => ["fastify", "@fastify/cors"],
+  typeDependencies: [],
+  entry: EXPRESS.entry,
+  files: (ts) => {
+    const e = ts ? ".ts" : ".js";
+    const request = (generic = "") =>
+      param(ts, "request", `FastifyRequest${generic}`);
+    const reply = param(ts, "reply", "FastifyReply");
+    const types = [["{ FastifyReply, FastifyRequest }", "fastify"]];
+    const instance = [["{ FastifyInstance }", "fastify"]];
+    return {
+      [`index${e}`]: entryFile(ts, {
+        imports: [["app", "./app"]],
+        // Fastify logs the addresses it listens on
+        start: `// Listen on every interface so the server is reachable from Docker
+app.listen({ port: config.PORT, host: '0.0.0.0' });`,
+        close: "await app.close();",
+      }),
+      [`app${e}`]: sourceFile(ts, {
+        imports: [
+          ["Fastify", "fastify"],
+          ["cors", "@fastify/cors"],
+          ["{ logger }", "./config/logger"],
+          ["{ genReqId, sendRequestId }", "./middleware/request-id"],
+          ["{ errorHandler, notFoundHandler }", "./middleware/error-handler"],
+          ["healthRoutes", "./routes/health.routes"],
+          ["usersRoutes", "./routes/users.routes"],
+        ],
+        body: `// Fastify logs every request through the pino logger, with its id
+const app = Fastify({
+  loggerInstance: logger,
+  requestIdHeader: 'x-request-id',
+  genReqId,
+});
+app.addHook('onRequest', sendRequestId);
+app.register(cors);
+// Fastify parses JSON request bodies out of the box
+
+app.setErrorHandler(errorHandler);
+app.setNotFoundHandler(notFoundHandler);
+app.get('/', async () => '${greeting(ts, "Fastify")}');
+app.register(healthRoutes);
+app.register(usersRoutes, { prefix: '/api/users' });
+
+${defaultExport(ts, "app")}`,
+      }),
+      [`middleware/request-id${e}`]: sourceFile(ts, {
+        imports: [["{ randomUUID }", "crypto"]],
+        typeImports: types,
+        body: `// Id of a request without an X-Request-Id header (Fastify reads the header)
+${exported(ts)}const genReqId = () => randomUUID();
+
+// Sends the id back in X-Request-Id; request.log logs with it
+${exported(ts)}async function sendRequestId(${request()}, ${reply}) {
+  reply.header('X-Request-Id', request.id);
+}`,
+        exports: ["genReqId", "sendRequestId"],
+      }),
+      [`middleware/error-handler${e}`]: sourceFile(ts, {
+        imports: [["{ HttpError }", "../http-error"]],
+        typeImports: types,
+        body: `// Errors thrown in routes, including Fastify's own 4xx (e.g. invalid JSON)
+${exported(ts)}function errorHandler(${param(ts, "err", "any")}, ${request()}, ${reply}) {
+  if (err instanceof HttpError) {
+    reply.code(err.status).send({ error: err.message, details: err.details });
+  } else if (err.statusCode && err.statusCode < 500) {
+    reply.code(err.statusCode).send({ error: err.message });
+  } else {
+    request.log.error({ err }, 'Unhandled error');
+    reply.code(500).send({ error: 'Internal server error' });
+  }
+}
+
+// Requests no route matched
+${exported(ts)}function notFoundHandler(${request()}, ${reply}) {
+  reply.code(404).send({ error: \`Route \${request.method} \${request.url} not found\` });
+}`,
+        exports: ["errorHandler", "notFoundHandler"],
+      }),
+      [`routes/health.routes${e}`]: routesFile(ts, {
+        typeImports: instance,
+        controller: "health",
+        exportedName: "healthRoutes",
+        setup: `// Probes are only logged when they fail
+async function healthRoutes(${param(ts, "app", "FastifyInstance")}) {
+  app.get('/healthz', { logLevel: 'warn' }, health.live);
+  app.get('/readyz', { logLevel: 'warn' }, health.ready);
+}`,
+      }),
+      [`routes/users.routes${e}`]: routesFile(ts, {
+        typeImports: instance,
+        controller: "users",
+        exportedName: "usersRoutes",
+        setup: `// Registered under the /api/users prefix
+async function usersRoutes(${param(ts, "app", "FastifyInstance")}) {
+  app.get('/', users.list);
+  app.get${ts ? "<users.WithId>" : ""}('/:id', users.get);
+  app.post('/', users.create);
+  app.put${ts ? "<users.WithId>" : ""}('/:id', users.update);
+  app.delete${ts ? "<users.WithId>" : ""}('/:id', users.remove);
+}`,
+      }),
+      [`controllers/health.controller${e}`]: healthController(ts, {
+        typeImports: types,
+        live: `async function live() {
+  return ${UPTIME};
+}`,
+        ready: `async function ready(${request()}, ${reply}) {
+  try {
+    await checkDatabase();
+    return ${READY};
+  } catch (err) {
+    request.log.warn({ err }, 'Readiness check failed');
+    return reply.code(503).send(${UNAVAILABLE});
+  }
+}`,
+      }),
+      [`controllers/users.controller${e}`]: usersController(ts, {
+        typeImports: types,
+        body: `${ts ? "export type WithId = { Params: { id: string } };\n\n" : ""}${exported(ts)}async function list() {
+  return users.list();
+}
+
+${exported(ts)}async function get(${request("<WithId>")}) {
+  const user = await users.get(request.params.id);
+  if (!user) throw notFound();
+  return user;
+}
+
+${exported(ts)}async function create(${request()}, ${reply}) {
+  const user = await users.create(validateUser(request.body));
+  return reply.code(201).send(user);
+}
+
+${exported(ts)}async function update(${request("<WithId>")}) {
+  const user = await users.update(request.params.id, validateUser(request.body));
+  if (!user) throw notFound();
+  return user;
+}
+
+${exported(ts)}async function remove(${request("<WithId>")}, ${reply}) {
+  if (!(await users.remove(request.params.id))) throw notFound();
+  return reply.code(204).send();
+}`,
+      }),
+    };
+  },
+};
+
+const KOA = {
+  dependencies: () => ["koa", "@koa/router", "@koa/cors", "@koa/bodyparser"],
+  typeDependencies: ["@types/koa", "@types/koa__router", "@types/koa__cors"],
+  entry: EXPRESS.entry,
+  files: (ts) => {
+    const e = ts ? ".ts" : ".js";
+    const context = param(ts, "ctx", "Context");
+    const routerContext = param(ts, "ctx", "RouterContext");
+    return {
+      [`index${e}`]: httpEntryFile(
+        ts,
+        `app.listen(config.PORT, () => ${listening})`,
+      ),
+      [`app${e}`]: sourceFile(ts, {
+        imports: [
+          ["Koa", "koa"],
+          ["Router", "@koa/router"],
+          ["cors", "@koa/cors"],
+          ["{ bodyParser }", "@koa/bodyparser"],
+          ["{ requestLogger }", "./middleware/request-logger"],
+          ["{ errorHandler, notFound }", "./middleware/error-handler"],
+          ["healthRouter", "./routes/health.routes"],
+          ["usersRouter", "./routes/users.routes"],
+        ],
+        body: `const app = new Koa();
+const router = new Router();
+
+app.use(requestLogger);
+app.use(errorHandler);
+app.use(cors());
+app.use(bodyParser());
+
+router.get('/', (ctx) => {
+  ctx.body = '${greeting(ts, "Koa")}';
+});
+app.use(router.routes()).use(router.allowedMethods());
+app.use(healthRouter.routes());
+app.use(usersRouter.routes()).use(usersRouter.allowedMethods());
+app.use(notFound);
+
+${defaultExport(ts, "app")}`,
+      }),
+      [`middleware/request-logger${e}`]: sourceFile(ts, {
+        imports: [
+          ["{ randomUUID }", "crypto"],
+          ["{ logger }", "../config/logger"],
+        ],
+        typeImports: [["{ Context, Next }", "koa"]],
+        body: `${HEALTH_PATHS}
+
+// Logs each request with an id: the X-Request-Id header a proxy sent, or a new
+// UUID. The id is sent back in X-Request-Id, and ctx.state.log logs with it
+${exported(ts)}async function requestLogger(${context}, ${param(ts, "next", "Next")}) {
+  const id = ctx.get('X-Request-Id') || randomUUID();
+  ctx.set('X-Request-Id', id);
+  ctx.state.log = logger.child({ reqId: id });
+  const start = Date.now();
+  await next();
+  if (HEALTH_PATHS.includes(ctx.path)) return;
+  ctx.state.log.info(
+    {
+      req: { method: ctx.method, url: ctx.url },
+      res: { statusCode: ctx.status },
+      responseTime: Date.now() - start,
+    },
+    'request completed',
+  );
+}`,
+        exports: ["requestLogger"],
+      }),
+      [`middleware/error-handler${e}`]: sourceFile(ts, {
+        imports: [["{ HttpError }", "../http-error"]],
+        typeImports: [["{ Context, Next }", "koa"]],
+        body: `// Errors thrown further down, including the body parser's 400 for invalid JSON
+${exported(ts)}async function errorHandler(${context}, ${param(ts, "next", "Next")}) {
+  try {
+    await next();
+  } catch (${param(ts, "err", "any")}) {
+    if (err instanceof HttpError) {
+      ctx.status = err.status;
+      ctx.body = { error: err.message, details: err.details };
+    } else if (err.status && err.status < 500) {
+      ctx.status = err.status;
+      ctx.body = { error: err.message };
+    } else {
+      ctx.state.log.error({ err }, 'Unhandled error');
+      ctx.status = 500;
+      ctx.body = { error: 'Internal server error' };
+    }
+  }
+}
+
+// Mounted after the routers: requests none of them matched
+${exported(ts)}function notFound(${context}) {
+  throw new HttpError(404, \`Route \${ctx.method} \${ctx.path} not found\`);
+}`,
+        exports: ["errorHandler", "notFound"],
+      }),
+      [`routes/health.routes${e}`]: routesFile(ts, {
+        imports: [["Router", "@koa/router"]],
+        controller: "health",
+        exportedName: "router",
+        setup: `const router = new Router();
+
+router.get('/healthz', health.live);
+router.get('/readyz', health.ready);`,
+      }),
+      [`routes/users.routes${e}`]: routesFile(ts, {
+        imports: [["Router", "@koa/router"]],
+        controller: "users",
+        exportedName: "router",
+        setup: `const router = new Router({ prefix: '/api/users' });
+
+router.get('/', users.list);
+router.get('/:id', users.get);
+router.post('/', users.create);
+router.put('/:id', users.update);
+router.delete('/:id', users.remove);`,
+      }),
+      [`controllers/health.controller${e}`]: healthController(ts, {
+        typeImports: [["{ Context }", "koa"]],
+        live: `function live(${context}) {
+  ctx.body = ${UPTIME};
+}`,
+        ready: `async function ready(${context}) {
+  try {
+    await checkDatabase();
+    ctx.body = ${READY};
+  } catch (err) {
+    ctx.state.log.warn({ err }, 'Readiness check failed');
+    ctx.status = 503;
+    ctx.body = ${UNAVAILABLE};
+  }
+}`,
+      }),
+      [`controllers/users.controller${e}`]: usersController(ts, {
+        typeImports: [["{ RouterContext }", "@koa/router"]],
+        body: `${exported(ts)}async function list(${routerContext}) {
+  ctx.body = await users.list();
+}
+
+${exported(ts)}async function get(${routerContext}) {
+  const user = await users.get(ctx.params.id);
+  if (!user) throw notFound();
+  ctx.body = user;
+}
+
+${exported(ts)}async function create(${routerContext}) {
+  ctx.body = await users.create(validateUser(ctx.request.body));
+  ctx.status = 201;
+}
+
+${exported(ts)}async function update(${routerContext}) {
+  const user = await users.update(ctx.params.id, validateUser(ctx.request.body));
+  if (!user) throw notFound();
+  ctx.body = user;
+}
+
+${exported(ts)}async function remove(${routerContext}) {
+  if (!(await users.remove(ctx.params.id))) throw notFound();
+  ctx.status = 204;
+}`,
+      }),
+    };
+  },
+};
+
+const HONO = {
+  dependencies: () => ["hono", "@hono/node-server"],
+  typeDependencies: [],
+  entry: EXPRESS.entry,
+  files: (ts) => {
+    const e = ts ? ".ts" : ".js";
+    const context = param(ts, "c", "Context");
+    // Typed route parameters: c.req.param() is string | undefined otherwise
+    const withId = param(ts, "c", "Context<Env, '/:id'>");
+    return {
+      [`index${e}`]: httpEntryFile(
+        ts,
+        `serve({ fetch: app.fetch, port: config.PORT }, () => ${listening})`,
+        [["{ serve }", "@hono/node-server"]],
+      ),
+      [`app${e}`]: sourceFile(ts, {
+        imports: [
+          ["{ Hono }", "hono"],
+          ["{ cors }", "hono/cors"],
+          ["{ requestId }", "hono/request-id"],
+          ["{ requestLogger }", "./middleware/request-logger"],
+          ["{ errorHandler, notFound }", "./middleware/error-handler"],
+          ["healthRoutes", "./routes/health.routes"],
+          ["usersRoutes", "./routes/users.routes"],
+        ],
+        body: `const app = new Hono();
+// Takes the X-Request-Id header a proxy sent, or a new UUID, and sends it back
+app.use('*', requestId());
+app.use('*', requestLogger);
+app.use('*', cors());
+// JSON request bodies are parsed on demand with c.req.json()
+
+app.get('/', (c) => c.text('${greeting(ts, "Hono")}'));
+app.route('/', healthRoutes);
+app.route('/api/users', usersRoutes);
+
+app.notFound(notFound);
+app.onError(errorHandler);
+
+${defaultExport(ts, "app")}`,
+      }),
+      [`middleware/request-logger${e}`]: sourceFile(ts, {
+        imports: [["{ logger }", "../config/logger"]],
+        typeImports: [["{ Context, Next }", "hono"]],
+        body: `${HEALTH_PATHS}
+
+// Logs each request with the id from the requestId middleware
+${exported(ts)}async function requestLogger(${context}, ${param(ts, "next", "Next")}) {
+  const start = Date.now();
+  await next();
+  if (HEALTH_PATHS.includes(c.req.path)) return;
+  logger.info(
+    {
+      reqId: c.get('requestId'),
+      req: { method: c.req.method, url: c.req.path },
+      res: { statusCode: c.res.status },
+      responseTime: Date.now() - start,
+    },
+    'request completed',
+  );
+}`,
+        exports: ["requestLogger"],
+      }),
+      [`middleware/error-handler${e}`]: sourceFile(ts, {
+        imports: [
+          ["{ HttpError }", "../http-error"],
+          ["{ logger }", "../config/logger"],
+        ],
+        typeImports: [
+          ["{ Context }", "hono"],
+          ["{ ContentfulStatusCode }", "hono/utils/http-status"],
+        ],
+        body: `// Errors thrown in routes
+${exported(ts)}function errorHandler(${param(ts, "err", "Error")}, ${context}) {
+  if (err instanceof HttpError) {
+    return c.json({ error: err.message, details: err.details }, err.status${ts ? " as ContentfulStatusCode" : ""});
+  }
+  logger.error({ err, reqId: c.get('requestId') }, 'Unhandled error');
+  return c.json({ error: 'Internal server error' }, 500);
+}
+
+// Requests no route matched
+${exported(ts)}function notFound(${context}) {
+  return c.json({ error: \`Route \${c.req.method} \${c.req.path} not found\` }, 404);
+}`,
+        exports: ["errorHandler", "notFound"],
+      }),
+      [`routes/health.routes${e}`]: routesFile(ts, {
+        imports: [["{ Hono }", "hono"]],
+        controller: "health",
+        exportedName: "router",
+        setup: `const router = new Hono();
+
+router.get('/healthz', health.live);
+router.get('/readyz', health.ready);`,
+      }),
+      [`routes/users.routes${e}`]: routesFile(ts, {
+        imports: [["{ Hono }", "hono"]],
+        controller: "users",
+        exportedName: "router",
+        setup: `// Mounted at /api/users
+const router = new Hono();
+
+router.get('/', users.list);
+router.get('/:id', users.get);
+router.post('/', users.create);
+router.put('/:id', users.update);
+router.delete('/:id', users.remove);`,
+      }),
+      [`controllers/health.controller${e}`]: healthController(ts, {
+        typeImports: [["{ Context }", "hono"]],
+        imports: [["{ logger }", "../config/logger"]],
+        live: `function live(${context}) {
+  return c.json(${UPTIME});
+}`,
+        ready: `async function ready(${context}) {
+  try {
+    await checkDatabase();
+    return c.json(${READY});
+  } catch (err) {
+    logger.warn({ err, reqId: c.get('requestId') }, 'Readiness check failed');
+    return c.json(${UNAVAILABLE}, 503);
+  }
+}`,
+      }),
+      [`controllers/users.controller${e}`]: usersController(ts, {
+        typeImports: [["{ Context, Env }", "hono"]],
+        body: `// c.req.json() throws on a malformed body
+async function readBody(${context}) {
+  try {
+    return await c.req.json();
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+${exported(ts)}async function list(${context}) {
+  return c.json(await users.list());
+}
+
+${exported(ts)}async function get(${withId}) {
+  const user = await users.get(c.req.param('id'));
+  if (!user) throw notFound();
+  return c.json(user);
+}
+
+${exported(ts)}async function create(${context}) {
+  const user = await users.create(validateUser(await readBody(c)));
+  return c.json(user, 201);
+}
+
+${exported(ts)}async function update(${withId}) {
+  const user = await users.update(c.req.param('id'), validateUser(await readBody(c)));
+  if (!user) throw notFound();
+  return c.json(user);
+}
+
+${exported(ts)}async function remove(${withId}) {
+  if (!(await users.remove(c.req.param('id')))) throw notFound();
+  return c.body(null, 204);
+}`,
+      }),
+    };
+  },
+};
+
+// NestJS is TypeScript only and spreads the app over modules and controllers.
+// Its errors go through an exception filter instead of middleware
+const NESTJS = {
+  dependencies: () => [
+    "@nestjs/common",
+    "@nestjs/core",
+    "@nestjs/platform-express",
+    "reflect-metadata",
+    "rxjs",
+    "pino-http",
+  ],
+  typeDependencies: ["@types/express"],
+  entry: () => "main.ts",
+  // Decorators need these compiler flags
+  compilerOptions: {
+    experimentalDecorators: true,
+    emitDecoratorMetadata: true,
+  },
+  files: () => ({
+    "app.ts": `import 'reflect-metadata';
+import { INestApplication } from '@nestjs/common';
+import { NestFactory } from '@nestjs/core';
+import { AppModule } from './app.module';
+import { config } from './config';
+import { ErrorFilter } from './middleware/error.filter';
+import { requestLogger } from './middleware/request-logger';
+
+// The app with its middleware, not listening yet: main.ts starts it, tests init it
+export async function createApp(): Promise<INestApplication> {
+  const app = await NestFactory.create(AppModule, {
+    // Nest's own startup logs follow LOG_LEVEL too
+    ...(config.LOG_LEVEL === 'silent' && { logger: false }),
+  });
+  app.enableCors();
+  // JSON request bodies are parsed by the default Express adapter
+  app.use(requestLogger);
+  app.useGlobalFilters(new ErrorFilter());
+  return app;
+}
+`,
+    "main.ts": `import { createApp } from './app';
+import { config } from './config';
+import { logger } from './config/logger';
+import { connectDatabase } from './database';
+
+async function bootstrap() {
+  const app = await createApp();
+  // On SIGTERM (docker stop) or Ctrl+C: stop taking connections, let requests
+  // in flight finish, then run AppModule's onApplicationShutdown
+  app.enableShutdownHooks();
+
+  await app.listen(config.PORT);
+  ${listening};
+
+  // Until it is connected, GET /readyz answers 503
+  connectDatabase().catch((err) => logger.error({ err }, 'Could not connect to the database'));
+}
+bootstrap();
+`,
+    "app.module.ts": `import { Module, OnApplicationShutdown } from '@nestjs/common';
+import { AppController } from './app.controller';
+import { HealthController } from './health/health.controller';
+import { UsersModule } from './users/users.module';
+import { disconnectDatabase } from './database';
+
+@Module({
+  imports: [UsersModule],
+  controllers: [AppController, HealthController],
+})
+export class AppModule implements OnApplicationShutdown {
+  // Runs once the HTTP server has stopped
+  async onApplicationShutdown() {
+    await disconnectDatabase();
+  }
+}
+`,
+    "app.controller.ts": `import { Controller, Get } from '@nestjs/common';
+
+@Controller()
+export class AppController {
+  @Get()
+  getHello(): string {
+    return 'Hello from NestJS!';
+  }
+}
+`,
+    "health/health.controller.ts": `import { Controller, Get, Req, Res } from '@nestjs/common';
+import type { Request, Response } from 'express';
+import { checkDatabase } from '../database';
+
+@Controller()
+export class HealthController {
+  // Liveness: the process is up and answering (the image's healthcheck)
+  @Get('healthz')
+  live() {
+    return ${UPTIME};
+  }
+
+  // Readiness: the database answers too (docker-compose waits for this)
+  @Get('readyz')
+  async ready(@Req() req: Request, @Res({ passthrough: true }) res: Response) {
+    try {
+      await checkDatabase();
+      return ${READY};
+    } catch (err) {
+      req.log.warn({ err }, 'Readiness check failed');
+      res.status(503);
+      return ${UNAVAILABLE};
+    }
+  }
+}
+`,
+    "middleware/request-logger.ts": pinoHttpLogger(true),
+    "middleware/error.filter.ts": `import { ArgumentsHost, Catch, ExceptionFilter, HttpException } from '@nestjs/common';
+import type { Request, Response } from 'express';
+import { HttpError } from '../http-error';
+
+// Every error as JSON: HttpError's body as it is, Nest's own exceptions (such
+// as the 404 for unknown routes) as { error }, anything else logged and a 500
+@Catch()
+export class ErrorFilter implements ExceptionFilter {
+  catch(err: unknown, host: ArgumentsHost) {
+    const http = host.switchToHttp();
+    const req = http.getRequest<Request>();
+    const res = http.getResponse<Response>();
+    if (err instanceof HttpError) {
+      res.status(err.getStatus()).json(err.getResponse());
+    } else if (err instanceof HttpException) {
+      res.status(err.getStatus()).json({ error: err.message });
+    } else {
+      req.log.error({ err }, 'Unhandled error');
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+`,
+    "users/users.module.ts": `import { Module } from '@nestjs/common';
+import { UsersController } from './users.controller';
+
+@Module({
+  controllers: [UsersController],
+})
+export class UsersModule {}
+`,
+    // HttpError extends HttpException here; ErrorFilter answers with its body
+    "users/users.controller.ts": `import { Body, Controller, Delete, Get, HttpCode, Param, Post, Put } from '@nestjs/common';
+import * as users from './users.repository';
+import { validateUser } from './users.validation';
+import { HttpError } from '../http-error';
+
+const notFound = () => new HttpError(404, 'User not found');
+
+@Controller('api/users')
+export class UsersController {
+  @Get()
+  list() {
+    return users.list();
+  }
+
+  @Get(':id')
+  async get(@Param('id') id: string) {
+    const user = await users.get(id);
+    if (!user) throw notFound();
+    return user;
+  }
+
+  @Post()
+  create(@Body() body: unknown) {
+    return users.create(validateUser(body));
+  }
+
+  @Put(':id')
+  async update(@Param('id') id: string, @Body() body: unknown) {
+    const user = await users.update(id, validateUser(body));
+    if (!user) throw notFound();
+    return user;
+  }
+
+  @Delete(':id')
+  @HttpCode(204)
+  async remove(@Param('id') id: string) {
+    if (!(await users.remove(id))) throw notFound();
+  }
+}
+`,
+  }),
+};
+
+const FRAMEWORKS = {
+  Express: EXPRESS,
+  Fastify: FASTIFY,
+  Koa: KOA,
+  Hono: HONO,
+  NestJS: NESTJS,
+};
+
+/**
+ * Dependencies and source files for one backend framework. `files` maps
+ * paths relative to the source folder (server/, or server/src/ for
+ * TypeScript) to their content: the entry point, the app, its middleware,
+ * the health and users routes and their controllers. The config, logger and
+ * database modules they import come from env.js and databases.js.
+ * `entry` is the entry point's path in there, and `compilerOptions` any
+ * tsconfig.json options the framework needs on top of the defaults.
+ */
+export function backendFramework(name) {
+  return FRAMEWORKS[name];
+}
+
+// Framework a server was scaffolded with, from its dependencies (each one's first package)
+export function detectBackendFramework(dependencies) {
+  return Object.keys(FRAMEWORKS).find(
+    (name) => dependencies[FRAMEWORKS[name].dependencies()[0]],
+  );
+}
@@ -0,0 +1,215 @@
+import path from "path";
+import { backendFramework } from "./backend-frameworks.js";
+import {
+  databaseFiles,
+  databasePackages,
+  databaseScripts,
+} from "./databases.js";
+import { writeServerEnv } from "./env.js";
+import { addLintingConfig, serverLintPreset } from "./linting.js";
+import { packageManager } from "./package-manager.js";
+import { addServerTests } from "./testing.js";
+import { userResourceFiles } from "./users-resource.js";
+
+// Packages the config and logger modules use (see writeServerEnv)
+const CONFIG_DEPENDENCIES = ["dotenv", "zod", "pino"];
+// Only development logs go through pino-pretty
+const CONFIG_DEV_DEPENDENCIES = ["pino-pretty"];
+
+// Compiler and runner of TypeScript servers. tsc and the strict tsconfig are
+// built against a known TypeScript major, one typescript-eslint supports (see
+// LINT_VERSIONS in linting.js); @types/node follows the Node 20 image
+const SERVER_TS_VERSIONS = {
+  typescript: "~5.9.3",
+  tsx: "^4.23.15",
+  "@types/node": "^20.19.43",
+};
+const serverTsDependencies = () =>
+  Object.entries(SERVER_TS_VERSIONS).map(([name, range]) => `${name}@${range}`);
+
+// TypeScript sources live in src/ and compile to dist/
+const sourceDir = (ts) => (ts ? "src" : "");
+
+// Strict compiler settings for TypeScript servers, plus the framework's own
+function tsconfig(framework) {
+  return {
+    compilerOptions: {
+      target: "ES2022",
+      module: "commonjs",
+      rootDir: "./src",
+      outDir: "./dist",
+      strict: true,
+      esModuleInterop: true,
+      skipLibCheck: true,
+      forceConsistentCasingInFileNames: true,
+      sourceMap: true,
+      types: ["node"],
+      ...framework.compilerOptions,
+    },
+    include: ["src"],
+  };
+}
+
+// Where tsc puts a TypeScript server's entry point
+const compiledEntry = (entry) => `dist/${path.posix.basename(entry, ".ts")}.js`;
+
+// File the server's start script runs: the entry point, compiled for TypeScript
+export function startFile(frameworkName, ts) {
+  const entry = backendFramework(frameworkName).entry(ts);
+  return ts ? compiledEntry(entry) : entry;
+}
+
+// The Prisma client is generated code the build type-checks against
+const buildScript = (orm) =>
+  orm === "Prisma" ? "prisma generate && tsc" : "tsc";
+
+// dev runs the sources; TypeScript servers also build to dist/, which start runs
+function serverScripts(ts, entry, orm) {
+  if (!ts) return { dev: `node ${entry}`, start: `node ${entry}` };
+  return {
+    dev: `tsx watch src/${entry}`,
+    build: buildScript(orm),
+    start: `node ${compiledEntry(entry)}`,
+    typecheck: "tsc --noEmit",
+  };
+}
+
+// 📦 BACKEND: server in server/ with the chosen framework
+export async function setupBackend(ctx) {
+  const { rootDir, backendLang, database, orm, linting, testing } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  const framework = backendFramework(ctx.options.backendFramework);
+  const serverDir = path.join(rootDir, "server");
+  const ts = backendLang === "TypeScript";
+  const entry = framework.entry(ts);
+  const scripts = {
+    ...serverScripts(ts, entry, orm),
+    ...databaseScripts(database, orm),
+  };
+
+  // Written directly instead of `npm init -y`, which differs per package manager
+  ctx.writeJson(path.join(serverDir, "package.json"), {
+    name: "server",
+    version: "1.0.0",
+    description: "",
+    main: startFile(ctx.options.backendFramework, ts),
+    scripts,
+    keywords: [],
+    author: "",
+    license: "ISC",
+  });
+
+  const db = databasePackages(database, orm, ts);
+  // dotenv and zod load and check the environment, pino logs (see writeServerEnv)
+  const backendDeps = [
+    ...framework.dependencies(),
+    ...db.dependencies,
+    ...CONFIG_DEPENDENCIES,
+  ];
+  const backendDevDeps = [
+    ...(ts ? [...serverTsDependencies(), ...framework.typeDependencies] : []),
+    ...db.devDependencies,
+    ...CONFIG_DEV_DEPENDENCIES,
+  ];
+
+  await ctx.run(...pm.add(backendDeps), { cwd: serverDir });
+  await ctx.run(...pm.add(backendDevDeps, { dev: true }), {
+    cwd: serverDir,
+  });
+
+  if (ts)
+    ctx.writeJson(path.join(serverDir, "tsconfig.json"), tsconfig(framework));
+  for (const [file, content] of Object.entries(framework.files(ts))) {
+    ctx.writeFile(path.join(serverDir, sourceDir(ts), file), content);
+  }
+  writeDatabaseFiles(ctx);
+
+  // Add linting and testing tools to server if chosen, in one install
+  if (linting) addLintingConfig(ctx, serverDir, serverLintPreset(backendLang));
+  if (testing) addServerTests(ctx, serverDir);
+  if (linting || testing) await ctx.run(...pm.install(), { cwd: serverDir });
+
+  await generatePrismaClient(ctx);
+}
+
+// The config module and .env files, the database module, schema, ORM config
+// and the User resource (repository, validation) on top of them
+function writeDatabaseFiles(ctx) {
+  const { rootDir, backendLang, database, orm } = ctx.options;
+  const serverDir = path.join(rootDir, "server");
+  const ts = backendLang === "TypeScript";
+  const srcDir = sourceDir(ts);
+
+  const files = {
+    ...databaseFiles(ts, database, orm, { srcDir }),
+    ...userResourceFiles(ts, database, orm, {
+      srcDir,
+      nest: ctx.options.backendFramework === "NestJS",
+    }),
+  };
+  for (const [file, content] of Object.entries(files)) {
+    ctx.writeFile(path.join(serverDir, file), content);
+  }
+
+  writeServerEnv(ctx, { srcDir });
+}
+
+// Generate the Prisma client for the schema written by writeDatabaseFiles
+async function generatePrismaClient(ctx) {
+  if (ctx.options.orm !== "Prisma") return;
+  const pm = packageManager(ctx.options.packageManager);
+  try {
+    await ctx.run(...pm.exec("prisma", ["generate"]), {
+      cwd: path.join(ctx.rootDir, "server"),
+    });
+    ctx.log("📄 Prisma client generated");
+  } catch (err) {
+    ctx.warn(`Could not generate Prisma client: ${err.message}`);
+  }
+}
+
+/**
+ * Add ctx.options.database to a server scaffolded without one: its packages
+ * and scripts, the database files and the User repository for it.
+ */
+export async function addDatabase(ctx) {
+  const { rootDir, backendLang, database, orm } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  const serverDir = path.join(rootDir, "server");
+
+  const db = databasePackages(database, orm, backendLang === "TypeScript");
+  // Servers scaffolded before the config and logger modules need their packages too
+  const { dependencies = {}, devDependencies = {} } = JSON.parse(
+    ctx.readFile(path.join(serverDir, "package.json")) ?? "{}",
+  );
+  const missing = CONFIG_DEPENDENCIES.filter((name) => !dependencies[name]);
+  const missingDev = CONFIG_DEV_DEPENDENCIES.filter(
+    (name) => !devDependencies[name],
+  );
+  await ctx.run(...pm.add([...db.dependencies, ...missing]), {
+    cwd: serverDir,
+  });
+  if (db.devDependencies.length || missingDev.length) {
+    await ctx.run(
+      ...pm.add([...db.devDependencies, ...missingDev], { dev: true }),
+      {
+        cwd: serverDir,
+      },
+    );
+  }
+  ctx.updateJson(
+    path.join(serverDir, "package.json"),
+    (pkg) => ({
+      ...pkg,
+      scripts: {
+        ...pkg.scripts,
+        ...(pkg.scripts?.build === "tsc" && { build: buildScript(orm) }),
+        ...databaseScripts(database, orm),
+      },
+    }),
+    `add the ${database} scripts`,
+  );
+
+  writeDatabaseFiles(ctx);
+  await generatePrismaClient(ctx);
+}
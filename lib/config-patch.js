@@ -0,0 +1,341 @@
+import { parse } from "@babel/parser";
+import path from "path";
+import { ConfigPatchError } from "./errors.js";
+
+// 🩹 CONFIG PATCHING: edits to the files the generators write (vite.config.js,
+// next.config.ts, nuxt.config.ts, angular.json, package.json, ...). Scripts
+// are parsed, so an edit finds its place whatever the layout and quoting
+// upstream, and is written in the file's own style. An edit that cannot be
+// made throws a ConfigPatchError rather than leave a half-made setup behind.
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function parseScript(source, file) {
+  try {
+    return parse(source, {
+      sourceType: "module",
+      plugins: /\.[cm]?ts$/.test(file) ? ["typescript"] : ["jsx"],
+      tokens: true,
+    });
+  } catch (err) {
+    throw new ConfigPatchError(file, `it could not be parsed (${err.message})`);
+  }
+}
+
+// Name of a property, or undefined for computed keys and spreads
+const keyOf = (property) =>
+  property.key && !property.computed
+    ? (property.key.name ?? String(property.key.value))
+    : undefined;
+
+// The object or array literal `node` stands for: `{ ... }`,
+// `defineConfig({ ... })`, `[ ... ] satisfies RouteConfig` or a variable of
+// the file holding one
+function literalOf(node, program) {
+  if (node?.type === "ObjectExpression" || node?.type === "ArrayExpression") {
+    return node;
+  }
+  if (
+    node?.type === "TSSatisfiesExpression" ||
+    node?.type === "TSAsExpression"
+  ) {
+    return literalOf(node.expression, program);
+  }
+  if (node?.type === "CallExpression" && node.arguments.length === 1) {
+    return literalOf(node.arguments[0], program);
+  }
+  if (node?.type === "Identifier") {
+    for (const statement of program.body) {
+      const declaration =
+        statement.type === "ExportNamedDeclaration"
+          ? statement.declaration
+          : statement;
+      if (declaration?.type !== "VariableDeclaration") continue;
+      const declarator = declaration.declarations.find(
+        ({ id }) => id.name === node.name,
+      );
+      if (declarator) return literalOf(declarator.init, program);
+    }
+  }
+  return null;
+}
+
+// The literal the config file exports, by `export default` or module.exports
+function exported(program) {
+  for (const statement of program.body) {
+    if (statement.type === "ExportDefaultDeclaration") {
+      return literalOf(statement.declaration, program);
+    }
+    const { expression } = statement;
+    if (
+      expression?.type === "AssignmentExpression" &&
+      expression.left.object?.name === "module" &&
+      expression.left.property?.name === "exports"
+    ) {
+      return literalOf(expression.right, program);
+    }
+  }
+  return null;
+}
+
+/**
+ * Editor of a script config. `set` and `prepend` take the path of keys from
+ * the exported object (["server", "proxy", "/api"]) and make the objects
+ * missing on the way. Values are code: its lines after the first are
+ * indented to the property's level.
+ */
+function configEditor(original, file) {
+  let source = original;
+  let { program, tokens } = parseScript(source, file);
+
+  // The file's style, from its first statement, string and indented line
+  const first = program.body.find(({ type }) =>
+    /^(Import|ExportDefault|Variable|Expression)/.test(type),
+  );
+  const semi = !first || source[first.end - 1] === ";" ? ";" : "";
+  const string = tokens.find(({ type }) => type.label === "string");
+  const quote = string ? source[string.start] : '"';
+  const unit = source.match(/^(\t| +)(?=\S)/m)?.[1] ?? "  ";
+
+  const fail = (reason) => {
+    throw new ConfigPatchError(file, reason);
+  };
+  const splice = (start, end, text) => {
+    source = source.slice(0, start) + text + source.slice(end);
+    ({ program, tokens } = parseScript(source, file));
+  };
+  const indentAt = (pos) =>
+    source.slice(source.lastIndexOf("\n", pos - 1) + 1).match(/^[ \t]*/)[0];
+  const literal = (text) =>
+    quote +
+    text.replaceAll("\\", "\\\\").replaceAll(quote, `\\${quote}`) +
+    quote;
+  const keyText = (key) => (IDENTIFIER.test(key) ? key : literal(key));
+
+  // The property at `keys`, the object holding it and how deep the path
+  // exists (the property is null when a key is missing)
+  function walk(keys) {
+    let object = exported(program);
+    if (object?.type !== "ObjectExpression") {
+      fail(
+        "its export is not an object literal, a call such as defineConfig({ ... }) with one or a variable holding one",
+      );
+    }
+    for (const [depth, key] of keys.entries()) {
+      const property = object.properties.find((prop) => keyOf(prop) === key);
+      if (!property || depth === keys.length - 1) {
+        return { object, property, depth };
+      }
+      if (property.value?.type !== "ObjectExpression") {
+        fail(`${keys.slice(0, depth + 1).join(".")} is not an object literal`);
+      }
+      object = property.value;
+    }
+  }
+
+  // `key: value,` for the last of `keys`, in new objects for the others
+  function nest(keys, value, indent, comment) {
+    const [key, ...rest] = keys;
+    const text = rest.length
+      ? `{\n${nest(rest, value, indent + unit, comment)}\n${indent}}`
+      : value.replaceAll("\n", `\n${indent}`);
+    const lead = comment && !rest.length ? `${indent}// ${comment}\n` : "";
+    return `${lead}${indent}${keyText(key)}: ${text},`;
+  }
+
+  // Add the property to the end of `object`
+  function insert(object, keys, value, comment) {
+    const { properties } = object;
+    const base = indentAt(object.start);
+    if (!source.slice(object.start, object.end).includes("\n")) {
+      // A one-line object, `{}` or `{ a: 1 }`, is spread over lines
+      const indent = base + unit;
+      const lines = properties.map(
+        (prop) => `${indent}${source.slice(prop.start, prop.end)},`,
+      );
+      lines.push(nest(keys, value, indent, comment));
+      splice(object.start, object.end, `{\n${lines.join("\n")}\n${base}}`);
+      return;
+    }
+    const last = properties.at(-1);
+    if (!last) {
+      // Below the comments an empty object may hold
+      const close = object.end - 1;
+      const lineStart = source.lastIndexOf("\n", close - 1) + 1;
+      const property = nest(keys, value, base + unit, comment);
+      if (source.slice(lineStart, close).trim()) {
+        splice(close, close, `\n${property}\n${base}`);
+      } else splice(lineStart, lineStart, `${property}\n`);
+      return;
+    }
+    // After the last property's comma and any comment ending its line
+    const after = source.slice(last.end).match(/^(\s*,)?([ \t]*\/\/.*)?/);
+    const end = last.end + after[0].length;
+    const property = nest(keys, value, indentAt(last.start), comment);
+    splice(last.end, end, `${after[1] ? "" : ","}${after[0]}\n${property}`);
+  }
+
+  const imports = () =>
+    program.body.filter(({ type }) => type === "ImportDeclaration");
+
+  // `import <clause> from "<from>"` below the file's imports
+  function importStatement(clause, from) {
+    const statement = `import ${clause} from ${literal(from)}${semi}`;
+    const last = imports().at(-1);
+    if (last) splice(last.end, last.end, `\n${statement}`);
+    else splice(0, 0, `${statement}\n\n`);
+  }
+
+  return {
+    /** `text` as a string literal in the file's quotes */
+    string: literal,
+
+    /** Import `local` from `from` below the file's imports, unless it imports from there already */
+    addImport(local, from) {
+      if (imports().some((declaration) => declaration.source.value === from)) {
+        return;
+      }
+      importStatement(local, from);
+    },
+
+    /** Import `name` from `from` by name, next to the names the file imports from there already */
+    addNamedImport(name, from) {
+      const existing = imports().find(
+        (declaration) =>
+          declaration.source.value === from &&
+          declaration.importKind !== "type" &&
+          declaration.specifiers.some(({ type }) => type === "ImportSpecifier"),
+      );
+      if (!existing) {
+        importStatement(`{ ${name} }`, from);
+        return;
+      }
+      const { specifiers } = existing;
+      if (specifiers.some(({ local }) => local.name === name)) return;
+      const last = specifiers.at(-1);
+      splice(last.end, last.end, `, ${name}`);
+    },
+
+    /** Set the property at `keys` to `value`, with a `comment` above it when added */
+    set(keys, value, { comment } = {}) {
+      const { object, property, depth } = walk(keys);
+      if (!property) {
+        insert(object, keys.slice(depth), value, comment);
+        return;
+      }
+      const text = value.replaceAll("\n", `\n${indentAt(property.start)}`);
+      if (property.type === "ObjectProperty") {
+        splice(property.value.start, property.value.end, text);
+      } else {
+        splice(
+          property.start,
+          property.end,
+          `${keyText(keys.at(-1))}: ${text}`,
+        );
+      }
+    },
+
+    /**
+     * Put `element` first in the array at `keys` (made if missing), unless
+     * it is in it already. No keys: the array the file exports.
+     */
+    prepend(keys, element) {
+      let array;
+      if (!keys.length) {
+        array = exported(program);
+        if (array?.type !== "ArrayExpression") {
+          fail("its export is not an array literal");
+        }
+      } else {
+        const { object, property, depth } = walk(keys);
+        if (!property) {
+          insert(object, keys.slice(depth), `[${element}]`);
+          return;
+        }
+        array = property.value;
+        if (array?.type !== "ArrayExpression") {
+          fail(`${keys.join(".")} is not an array literal`);
+        }
+      }
+      const elements = array.elements.filter(Boolean);
+      if (elements.some((el) => source.slice(el.start, el.end) === element)) {
+        return;
+      }
+      const [head] = elements;
+      if (!head) splice(array.start, array.end, `[${element}]`);
+      else if (source.slice(array.start, head.start).includes("\n")) {
+        splice(head.start, head.start, `${element},\n${indentAt(head.start)}`);
+      } else splice(head.start, head.start, `${element}, `);
+    },
+
+    get source() {
+      return source;
+    },
+  };
+}
+
+/**
+ * Edit a file a generator wrote with `update(content, file)`. Throws a
+ * ConfigPatchError when the file is missing (a dry run only describes the
+ * edit) or the update fails.
+ */
+export function patchFile(ctx, filePath, update, description) {
+  const file = path.relative(ctx.rootDir, filePath).split(path.sep).join("/");
+  const updated = ctx.updateFile(
+    filePath,
+    (content) => {
+      try {
+        return update(content, file);
+      } catch (err) {
+        if (err instanceof ConfigPatchError) throw err;
+        throw new ConfigPatchError(
+          file,
+          `could not ${description} (${err.message})`,
+        );
+      }
+    },
+    description,
+  );
+  if (!updated && !ctx.dryRun) {
+    throw new ConfigPatchError(file, `the file is missing`);
+  }
+}
+
+/**
+ * 🩹 Edit a JavaScript or TypeScript config through an editor of its syntax
+ * (see configEditor): `patch(config)` calls config.addImport,
+ * config.addNamedImport, config.set and config.prepend.
+ */
+export function patchConfig(ctx, filePath, patch, description) {
+  patchFile(
+    ctx,
+    filePath,
+    (source, file) => {
+      const config = configEditor(source, file);
+      patch(config);
+      return config.source;
+    },
+    description,
+  );
+}
+
+// Edit a JSON file: `update` gets its data and returns the new data
+export function patchJson(ctx, filePath, update, description) {
+  patchFile(
+    ctx,
+    filePath,
+    (text, file) => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        throw new ConfigPatchError(
+          file,
+          `it is not valid JSON (${err.message})`,
+        );
+      }
+      return `${JSON.stringify(update(data), null, 2)}\n`;
+    },
+    description,
+  );
+}
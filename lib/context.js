@@ -0,0 +1,412 @@
+import { createTwoFilesPatch } from "diff";
+import { execa } from "execa";
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import {
+  CancelledError,
+  CommandError,
+  OptionsError,
+  StepError,
+} from "./errors.js";
+import { listEntries, listFiles } from "./target.js";
+
+/**
+ * @typedef {object} ProgressEvent
+ * @property {"step:start" | "step:done" | "step:fail" | "log" | "warn"} type
+ * @property {string} [step] Step name for step events
+ * @property {string} [message] Text for log and warn events
+ * @property {Error} [error] Cause of a step:fail event
+ */
+
+/**
+ * @typedef {object} CommandRecord
+ * @property {string} command
+ * @property {string[]} args
+ * @property {string} cwd Working directory, relative to the project root
+ */
+
+/**
+ * @typedef {object} MutationRecord
+ * @property {string} path File edited in place, relative to the project root
+ * @property {string} description What the edit does
+ */
+
+/**
+ * @typedef {object} PlannedFile
+ * @property {string} path Relative to the project root
+ * @property {"create" | "overwrite" | "conflict"} action
+ * @property {string} [content] Full content, for files devstacker writes itself
+ * @property {string} [diff] Unified diff against the current file, when there is one
+ */
+
+/**
+ * @typedef {object} ConflictRecord
+ * @property {string} path Existing file devstacker wanted to change, relative to the project root
+ * @property {string} diff Unified diff from the existing file to devstacker's version
+ * @property {"overwrite" | "skip" | "pending"} resolution "pending" only in dry runs
+ */
+
+/**
+ * @typedef {object} ScaffoldResult
+ * @property {string} rootDir Absolute path of the project
+ * @property {import("./options.js").ResolvedOptions} options
+ * @property {boolean} dryRun True when nothing was written or run
+ * @property {string[]} files Files written by devstacker, relative to rootDir
+ * @property {CommandRecord[]} commands Commands run, in order
+ * @property {MutationRecord[]} mutations Edits to files created by other tools
+ * @property {ConflictRecord[]} conflicts Existing files that differed, when merging
+ * @property {string[]} warnings Problems that did not stop scaffolding
+ * @property {PlannedFile[]} [plan] Only for dry runs: every file that would be written
+ */
+
+// Project-relative path with forward slashes, as reported in results
+function toRelative(rootDir, target) {
+  return path.relative(rootDir, target).split(path.sep).join("/") || ".";
+}
+
+// Outermost directory that creating `target` would bring into existence
+function firstMissing(target) {
+  let missing = null;
+  let current = path.resolve(target);
+  while (!fs.existsSync(current)) {
+    missing = current;
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  return missing;
+}
+
+/**
+ * Shared state for one scaffolding run. Every file write and command goes
+ * through here so the final result can list exactly what was done. With
+ * `dryRun` nothing touches the disk or spawns a process; the same calls are
+ * recorded as a plan instead.
+ *
+ * Real runs also keep a journal of every path they create and every file
+ * they overwrite, so `rollback()` can put the disk back as it was.
+ *
+ * When merging into an existing folder, writes to files that were already
+ * there are held back as conflicts and settled through `onConflict` at the
+ * end of each step.
+ */
+export function createContext(options) {
+  const {
+    rootDir,
+    stdio,
+    dryRun = false,
+    existing = "abort",
+    onConflict,
+    signal,
+    onProgress,
+  } = options;
+  const files = new Set();
+  const commands = [];
+  const mutations = [];
+  const warnings = [];
+  const journal = [];
+  const journaled = new Set();
+  const backups = [];
+  // Dry runs keep planned content so later edits see earlier writes
+  const planned = new Map();
+  // Folders emptied by a dry run, whose old content no longer counts
+  const cleared = [];
+  // Files the user already had when merging, and the conflicts they caused
+  const preexisting = new Set(existing === "merge" ? listFiles(rootDir) : []);
+  const conflicts = new Map();
+  const decisions = new Map();
+
+  const emit = (event) => onProgress?.(event);
+
+  // Remember how to undo creating or changing `target`
+  const track = (target) => {
+    if (dryRun) return;
+    const missing = firstMissing(target);
+    if (missing) {
+      if (!journaled.has(missing))
+        journal.push({ type: "create", path: missing });
+      journaled.add(missing);
+    } else if (!journaled.has(target) && fs.statSync(target).isFile()) {
+      journal.push({
+        type: "modify",
+        path: target,
+        original: fs.readFileSync(target),
+      });
+      journaled.add(target);
+    }
+  };
+
+  const onDisk = (filePath) =>
+    fs.existsSync(filePath) &&
+    !cleared.some((dir) => filePath.startsWith(dir + path.sep));
+
+  const currentContent = (filePath) => {
+    if (conflicts.get(filePath)?.resolution === "pending") {
+      return conflicts.get(filePath).content;
+    }
+    if (planned.has(filePath)) return planned.get(filePath).content;
+    if (onDisk(filePath)) return fs.readFileSync(filePath, "utf-8");
+    return null;
+  };
+
+  const diffAgainst = (filePath, original, content) => {
+    const relative = toRelative(rootDir, filePath);
+    return createTwoFilesPatch(relative, relative, original, content);
+  };
+
+  const plan = (filePath, content, action) => {
+    const previous = planned.get(filePath);
+    const original = previous
+      ? previous.original
+      : onDisk(filePath)
+        ? fs.readFileSync(filePath, "utf-8")
+        : null;
+
+    planned.set(filePath, {
+      path: toRelative(rootDir, filePath),
+      action: action ?? (original === null ? "create" : "overwrite"),
+      content,
+      original,
+      ...(original !== null &&
+        original !== content && {
+          diff: diffAgainst(filePath, original, content),
+        }),
+    });
+  };
+
+  // Hold back a write to a file the user already had; true when held back
+  const holdConflict = (filePath, content) => {
+    if (!preexisting.has(filePath)) return false;
+    const original = fs.readFileSync(filePath, "utf-8");
+    if (original === content) {
+      conflicts.delete(filePath);
+      return true;
+    }
+    conflicts.set(filePath, {
+      path: toRelative(rootDir, filePath),
+      diff: diffAgainst(filePath, original, content),
+      content,
+      resolution: decisions.get(filePath) ?? "pending",
+    });
+    if (dryRun) plan(filePath, content, "conflict");
+    return true;
+  };
+
+  // Ask `onConflict` about every pending conflict (default: keep the user's file)
+  const resolveConflicts = async () => {
+    if (dryRun) return;
+    for (const [filePath, conflict] of conflicts) {
+      if (conflict.resolution !== "pending") continue;
+      const { path: relative, diff, content } = conflict;
+      const choice =
+        (await onConflict?.({ path: relative, diff, content })) ?? "skip";
+      if (choice !== "overwrite" && choice !== "skip") {
+        throw new OptionsError(
+          `onConflict returned "${choice}" for ${relative}. Expected overwrite or skip`,
+        );
+      }
+      conflict.resolution = choice;
+      decisions.set(filePath, choice);
+      if (choice === "overwrite") {
+        preexisting.delete(filePath);
+        ctx.writeFile(filePath, content);
+      }
+    }
+  };
+
+  const ctx = {
+    options,
+    rootDir,
+    dryRun,
+
+    log(message) {
+      emit({ type: "log", message });
+    },
+
+    warn(message) {
+      warnings.push(message);
+      emit({ type: "warn", message });
+    },
+
+    ensureDir(dirPath) {
+      track(dirPath);
+      if (!dryRun) fs.ensureDirSync(dirPath);
+    },
+
+    writeFile(filePath, content) {
+      if (holdConflict(filePath, content)) return;
+      track(filePath);
+      if (dryRun) plan(filePath, content);
+      else fs.outputFileSync(filePath, content);
+      files.add(toRelative(rootDir, filePath));
+    },
+
+    // Current content, with earlier writes of a dry run applied; null when missing
+    readFile(filePath) {
+      return currentContent(filePath);
+    },
+
+    // Formatted as prettier writes it, ending with a newline
+    writeJson(filePath, data) {
+      ctx.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+    },
+
+    /**
+     * Edit a file another tool generated (npm init, create-vite, ...).
+     * Missing files are skipped; in a dry run they are only described.
+     * When merging, edits to the user's files are applied, not asked about.
+     */
+    updateFile(filePath, update, description) {
+      const current = currentContent(filePath);
+      mutations.push({ path: toRelative(rootDir, filePath), description });
+      if (current === null) return false;
+      // The edit builds on the file's content, so it is not a conflict when merging
+      if (!conflicts.has(filePath)) preexisting.delete(filePath);
+      ctx.writeFile(filePath, update(current));
+      return true;
+    },
+
+    // Move the folder's current content aside (restored by a rollback)
+    emptyDir(dir) {
+      const entries = listEntries(dir);
+      if (!entries.length) return;
+      mutations.push({
+        path: toRelative(rootDir, dir),
+        description: `remove existing content (${entries.join(", ")})`,
+      });
+      if (dryRun) {
+        cleared.push(dir);
+        return;
+      }
+      const backup = fs.mkdtempSync(
+        path.join(path.dirname(dir), `.${path.basename(dir)}-backup-`),
+      );
+      for (const entry of entries) {
+        fs.moveSync(path.join(dir, entry), path.join(backup, entry));
+      }
+      journal.push({ type: "restore", path: dir, backup });
+      backups.push(backup);
+    },
+
+    // Move a file or folder out of the project (restored by a rollback); missing paths are skipped
+    remove(target, description) {
+      mutations.push({ path: toRelative(rootDir, target), description });
+      if (dryRun || !fs.existsSync(target)) return;
+      const backup = fs.mkdtempSync(path.join(os.tmpdir(), "devstacker-"));
+      fs.moveSync(target, path.join(backup, path.basename(target)));
+      journal.push({ type: "restore", path: path.dirname(target), backup });
+      backups.push(backup);
+    },
+
+    updateJson(filePath, update, description) {
+      return ctx.updateFile(
+        filePath,
+        (text) => `${JSON.stringify(update(JSON.parse(text)), null, 2)}\n`,
+        description,
+      );
+    },
+
+    // `inherit` hands the terminal to the command (framework generators prompt).
+    // `creates` lists paths the command makes, so a rollback removes them.
+    async run(command, args, { cwd, inherit = false, creates = [] }) {
+      commands.push({ command, args, cwd: toRelative(rootDir, cwd) });
+      if (dryRun) return;
+      creates.forEach(track);
+      try {
+        await execa(command, args, {
+          cwd,
+          cancelSignal: signal,
+          ...(inherit && { stdio }),
+        });
+      } catch (cause) {
+        if (signal?.aborted) throw new CancelledError();
+        throw new CommandError({ command, args, cwd, cause });
+      }
+    },
+
+    // Run one named step; optional steps only warn when they fail
+    async step(name, fn, { optional = false } = {}) {
+      if (signal?.aborted) throw new CancelledError(name);
+      emit({ type: "step:start", step: name });
+      try {
+        await fn();
+        await resolveConflicts();
+      } catch (error) {
+        if (signal?.aborted) {
+          const cancelled = new CancelledError(name);
+          emit({ type: "step:fail", step: name, error: cancelled });
+          throw cancelled;
+        }
+        emit({ type: "step:fail", step: name, error });
+        if (!optional) throw new StepError(name, error, ctx.result());
+        warnings.push(
+          `Step "${name}" failed: ${error.shortMessage ?? error.message}`,
+        );
+        return;
+      }
+      emit({ type: "step:done", step: name });
+    },
+
+    // Undo the journal newest-first: delete created paths, restore overwritten files
+    rollback() {
+      const undone = [];
+      for (const entry of [...journal].reverse()) {
+        if (entry.type === "create") {
+          fs.removeSync(entry.path);
+        } else if (entry.type === "modify") {
+          fs.writeFileSync(entry.path, entry.original);
+        } else {
+          for (const name of fs.readdirSync(entry.backup)) {
+            fs.moveSync(
+              path.join(entry.backup, name),
+              path.join(entry.path, name),
+              { overwrite: true },
+            );
+          }
+          fs.removeSync(entry.backup);
+        }
+        undone.push(toRelative(rootDir, entry.path));
+      }
+      journal.length = 0;
+      journaled.clear();
+      backups.length = 0;
+      return undone;
+    },
+
+    // Called after a successful run: drop the content moved aside by emptyDir and remove
+    commit() {
+      for (const backup of backups) fs.removeSync(backup);
+      backups.length = 0;
+    },
+
+    /** @returns {ScaffoldResult} */
+    result() {
+      const {
+        onProgress: _onProgress,
+        onConflict: _onConflict,
+        signal: _signal,
+        ...resolved
+      } = options;
+      return {
+        rootDir,
+        options: resolved,
+        dryRun,
+        files: [...files],
+        commands: [...commands],
+        mutations: [...mutations],
+        conflicts: [...conflicts.values()].map(
+          ({ content: _content, ...conflict }) => conflict,
+        ),
+        warnings: [...warnings],
+        ...(dryRun && {
+          plan: [...planned.values()].map(
+            ({ original: _original, ...file }) => file,
+          ),
+        }),
+      };
+    },
+  };
+
+  return ctx;
+}
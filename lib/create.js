@@ -0,0 +1,181 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { setupBackend } from "./backend.js";
+import { createContext } from "./context.js";
+import {
+  createDockerCompose,
+  createDockerfiles,
+  createDockerReadme,
+} from "./docker.js";
+import { setupFrontend } from "./frontend.js";
+import { TargetExistsError } from "./errors.js";
+import { initRepository } from "./git.js";
+import { formatContent, formatProject } from "./linting.js";
+import {
+  MANIFEST_FILE,
+  TEMPLATES_FILE,
+  recordedChoices,
+  writeManifest,
+} from "./manifest.js";
+import { resolveOptions } from "./options.js";
+import { packageManager } from "./package-manager.js";
+import { createRootPackage } from "./root.js";
+import { listEntries } from "./target.js";
+
+// Refuse, empty or keep a project folder that already has content
+function prepareTarget(ctx) {
+  const { rootDir, existing } = ctx.options;
+  const entries = listEntries(rootDir);
+  if (!entries.length) return;
+
+  const isDir = fs.statSync(rootDir).isDirectory();
+  if (existing === "abort" || !isDir) {
+    throw new TargetExistsError(rootDir, entries);
+  }
+  if (existing === "overwrite") ctx.emptyDir(rootDir);
+}
+
+// Run every scaffolding step; returns the client script used by the root dev script
+async function runSteps(ctx) {
+  const { rootDir, frontend, backendLang, database, docker, linting, git } =
+    ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  let clientCmd;
+
+  ctx.ensureDir(rootDir);
+
+  await ctx.step("backend", () => setupBackend(ctx));
+
+  await ctx.step("frontend", async () => {
+    clientCmd = await setupFrontend(ctx);
+  });
+
+  await ctx.step("root", () => createRootPackage(ctx, clientCmd));
+
+  await ctx.step("install", () =>
+    ctx.run(...pm.install(), {
+      cwd: rootDir,
+      creates: [
+        path.join(rootDir, "node_modules"),
+        path.join(rootDir, pm.lockfile),
+      ],
+    }),
+  );
+
+  if (docker) {
+    await ctx.step(
+      "docker",
+      () => {
+        createDockerfiles(ctx, frontend, backendLang);
+        createDockerCompose(ctx, database);
+        createDockerReadme(ctx);
+      },
+      { optional: true },
+    );
+  }
+
+  let formatted = false;
+  if (linting) {
+    await ctx.step(
+      "format",
+      async () => {
+        await formatProject(ctx, pm);
+        formatted = true;
+      },
+      { optional: true },
+    );
+  }
+
+  // Last, so it lists every file written above. The templates file keeps
+  // what devstacker wrote, before installs added dependencies
+  const templates = ctx.dryRun
+    ? {}
+    : await renderTemplates(ctx.options, { format: formatted });
+  const written = new Set(ctx.result().files);
+  writeManifest(
+    ctx,
+    null,
+    Object.fromEntries(
+      Object.entries(templates).filter(([relative]) => written.has(relative)),
+    ),
+  );
+
+  // The initial commit includes the manifest
+  if (git) {
+    await ctx.step("git", () => initRepository(ctx), { optional: true });
+  }
+
+  return clientCmd;
+}
+
+/**
+ * Every file devstacker writes itself for `choices`, by path relative to the
+ * project root: the plan of a dry run in an empty folder. With `format`
+ * (default: in linted projects) the content is formatted as the format step
+ * formats it in `choices.rootDir`, so it matches the files written there.
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function renderTemplates(
+  choices,
+  { format = choices.linting } = {},
+) {
+  const { rootDir } = choices;
+  const { plan } = await createFullstackApp({
+    ...recordedChoices(choices),
+    cwd: path.join(os.tmpdir(), `devstacker-templates-${process.pid}`),
+    stdio: "pipe",
+    dryRun: true,
+  });
+  const templates = {};
+  for (const file of plan) {
+    if (file.path === MANIFEST_FILE || file.path === TEMPLATES_FILE) continue;
+    if (file.content === undefined) continue;
+    templates[file.path] = format
+      ? await formatContent(rootDir, file.path, file.content)
+      : file.content;
+  }
+  return templates;
+}
+
+/**
+ * Scaffold a fullstack project.
+ *
+ * Steps run in order: backend, frontend, root, install and (optionally)
+ * docker, format and git. A failing step throws a StepError whose `result`
+ * lists what was done up to that point; a failing docker, format or git
+ * step only adds a warning. With
+ * `dryRun` the same steps run but only record what they would do. The
+ * choices and the files written are recorded in .fullstackrc.json.
+ *
+ * Unless `rollback` is false, a failed or cancelled run (see `signal`)
+ * removes everything it created and restores files it overwrote before
+ * rethrowing; the error then has `rolledBack` set to the undone paths.
+ *
+ * A project folder that is not empty is refused with a TargetExistsError
+ * unless `existing` is "overwrite" (its content is moved aside, and put back
+ * on rollback) or "merge" (existing files are kept; see `onConflict`).
+ *
+ * @param {import("./options.js").CreateOptions} options
+ * @returns {Promise<import("./context.js").ScaffoldResult & { clientCmd: string }>}
+ */
+export async function createFullstackApp(options) {
+  const resolved = resolveOptions(options);
+  const ctx = createContext(resolved);
+  let clientCmd;
+
+  // Nothing has been touched yet when the target is refused
+  prepareTarget(ctx);
+
+  try {
+    clientCmd = await runSteps(ctx);
+  } catch (err) {
+    if (resolved.rollback && !resolved.dryRun) {
+      err.rolledBack = ctx.rollback();
+    }
+    throw err;
+  }
+  if (!resolved.dryRun) ctx.commit();
+
+  return { ...ctx.result(), clientCmd };
+}
@@ -0,0 +1,106 @@
+import fs from "fs-extra";
+import path from "path";
+import { detectBackendFramework } from "./backend-frameworks.js";
+import { detectDatabase } from "./databases.js";
+import { OptionsError, ProjectNotFoundError } from "./errors.js";
+import { detectFrontend } from "./frontend.js";
+import { MANIFEST_FILE, readManifest } from "./manifest.js";
+import { detectLockfile } from "./package-manager.js";
+import { validateProjectName } from "./target.js";
+
+/**
+ * @typedef {object} DetectedProject
+ * @property {string} [projectName] From the root package.json, when it is a valid name
+ * @property {"React" | "Next.js" | "Vue" | "Angular" | "SvelteKit" | "SolidJS" | "Nuxt" | "Astro" | "Remix"} frontend
+ * @property {"Vite" | "Create React App"} [reactSetup] Only for React
+ * @property {"JavaScript" | "TypeScript"} frontendLang
+ * @property {"Express" | "Fastify" | "Koa" | "Hono" | "NestJS"} backendFramework
+ * @property {"JavaScript" | "TypeScript"} backendLang
+ * @property {"None" | "SQLite" | "MongoDB" | "PostgreSQL" | "MySQL"} database
+ * @property {"Prisma" | "Drizzle" | "None"} [orm] Only for SQL databases
+ * @property {boolean} tailwind tailwindcss is a client dependency
+ * @property {boolean} linting The root has a .prettierrc (or, from earlier versions, an .eslintrc.js)
+ * @property {boolean} testing jest is a server dev dependency
+ * @property {boolean} docker The root has a docker-compose.yml
+ * @property {boolean} git The root has a .git folder
+ * @property {"npm" | "pnpm" | "yarn" | "bun"} packageManager From the root lockfile (default: npm)
+ */
+
+function readPackage(rootDir, dir) {
+  const file = path.join(rootDir, dir, "package.json");
+  if (!fs.existsSync(file)) {
+    throw new ProjectNotFoundError(rootDir, `${dir}/package.json is missing`);
+  }
+  try {
+    return fs.readJsonSync(file);
+  } catch (err) {
+    throw new ProjectNotFoundError(
+      rootDir,
+      `${dir}/package.json could not be read (${err.message})`,
+    );
+  }
+}
+
+// Choices recorded in the project's manifest, if it has one
+function manifestChoices(rootDir) {
+  try {
+    return readManifest(rootDir)?.choices;
+  } catch (err) {
+    if (!(err instanceof OptionsError)) throw err;
+    throw new ProjectNotFoundError(
+      rootDir,
+      `${MANIFEST_FILE} is invalid (${err.message})`,
+    );
+  }
+}
+
+/**
+ * 🔎 Read back the choices an existing project was scaffolded with. They
+ * come from its .fullstackrc.json; projects without one are inspected
+ * instead: the package.json files in server/ and client/ and the files in
+ * its root.
+ * @returns {DetectedProject}
+ */
+export function detectProject(rootDir) {
+  const recorded = manifestChoices(rootDir);
+  if (recorded) return recorded;
+
+  const server = readPackage(rootDir, "server");
+  const client = readPackage(rootDir, "client");
+  const serverDeps = { ...server.dependencies, ...server.devDependencies };
+
+  const backendFramework = detectBackendFramework(serverDeps);
+  if (!backendFramework) {
+    throw new ProjectNotFoundError(
+      rootDir,
+      "server/package.json has no supported backend framework",
+    );
+  }
+  const frontend = detectFrontend(client);
+  if (!frontend) {
+    throw new ProjectNotFoundError(
+      rootDir,
+      "client/package.json has no supported frontend framework",
+    );
+  }
+
+  const rootPackage = path.join(rootDir, "package.json");
+  const name = fs.existsSync(rootPackage)
+    ? fs.readJsonSync(rootPackage, { throws: false })?.name
+    : undefined;
+
+  return {
+    ...(name && !validateProjectName(name) && { projectName: name }),
+    ...frontend,
+    backendFramework,
+    backendLang: serverDeps.typescript ? "TypeScript" : "JavaScript",
+    ...detectDatabase(serverDeps),
+    linting: [".prettierrc", ".eslintrc.js"].some((file) =>
+      fs.existsSync(path.join(rootDir, file)),
+    ),
+    testing: Boolean(server.devDependencies?.jest),
+    docker: fs.existsSync(path.join(rootDir, "docker-compose.yml")),
+    git: fs.existsSync(path.join(rootDir, ".git")),
+    packageManager: detectLockfile(rootDir) ?? "npm",
+  };
+}
@@ -0,0 +1,236 @@
+import path from "path";
+import { patchConfig, patchJson } from "./config-patch.js";
+
+// 🔀 DEV PROXY: the client's dev server forwards /api to the server, so the
+// API client calls /api on the page's origin and CORS never comes into it
+
+// Overrides the proxy target (every client's but Angular's and Create React
+// App's), e.g. for Docker's backend-dev service
+export const PROXY_TARGET_VARIABLE = "API_PROXY_TARGET";
+
+// Angular's proxy config for the dev server in Docker (see createDockerfiles)
+export const ANGULAR_DOCKER_PROXY_CONFIG = "proxy.conf.docker.json";
+
+// Config files of the generated clients: create-vite and create-next-app
+// write TypeScript ones for TypeScript projects
+export const viteConfigFile = (frontendLang) =>
+  frontendLang === "TypeScript" ? "vite.config.ts" : "vite.config.js";
+const nextConfigFile = (frontendLang) =>
+  frontendLang === "TypeScript" ? "next.config.ts" : "next.config.mjs";
+
+/** proxy.conf.json for `ng serve`: /api to `target` */
+export const angularProxyConfig = (target) => ({
+  "/api": { target, secure: false },
+});
+
+// '/api': process.env.API_PROXY_TARGET ?? target in the Vite options at `keys`
+const setViteProxy = (config, keys, target) =>
+  config.set(
+    [...keys, "server", "proxy", "/api"],
+    `process.env.${PROXY_TARGET_VARIABLE} ?? ${config.string(target)}`,
+  );
+
+// Vite's server.proxy in the create-vite config
+function addViteProxy(ctx, clientDir, target) {
+  patchConfig(
+    ctx,
+    path.join(clientDir, viteConfigFile(ctx.options.frontendLang)),
+    (config) => setViteProxy(config, [], target),
+    `proxy /api to ${target} in server.proxy`,
+  );
+}
+
+// Rewrites in next.config.ts (or .mjs); they also apply to `next start`
+function addNextRewrites(ctx, clientDir, target) {
+  patchConfig(
+    ctx,
+    path.join(clientDir, nextConfigFile(ctx.options.frontendLang)),
+    (config) =>
+      config.set(
+        ["rewrites"],
+        `async () => {
+  const target = process.env.${PROXY_TARGET_VARIABLE} ?? ${config.string(target)};
+  return [{ source: ${config.string("/api/:path*")}, destination: \`\${target}/api/:path*\` }];
+}`,
+      ),
+    `rewrite /api/:path* to ${target}`,
+  );
+}
+
+// Vite's server.proxy in astro.config.mjs, next to the plugins `astro add`
+// may have put under vite
+function addAstroProxy(ctx, clientDir, target) {
+  patchConfig(
+    ctx,
+    path.join(clientDir, "astro.config.mjs"),
+    (config) => setViteProxy(config, ["vite"], target),
+    `proxy /api to ${target} in vite.server.proxy`,
+  );
+}
+
+// A Nitro route rule; it also applies to the built server
+function addNuxtProxy(ctx, clientDir, target) {
+  patchConfig(
+    ctx,
+    path.join(clientDir, "nuxt.config.ts"),
+    (config) =>
+      config.set(
+        ["routeRules", "/api/**"],
+        `{
+  proxy: \`\${process.env.${PROXY_TARGET_VARIABLE} ?? ${config.string(target)}}/api/**\`,
+}`,
+        {
+          comment:
+            "The target is read when the client is built (or the dev server starts)",
+        },
+      ),
+    `proxy /api/** to ${target} in routeRules`,
+  );
+}
+
+// forward(), for the clients whose own server passes /api on (SvelteKit and
+// Remix). `q` and `s` are the quote and the ";" of the generator's code style
+function forwardFunction(ts, { q = "'", s = ";" } = {}) {
+  const quote = (text) => `${q}${text}${q}`;
+  const type = (annotation) => (ts ? annotation : "");
+  const jsdoc = ts
+    ? ""
+    : "\n/**\n * @param {Request} request\n * @param {string} target\n * @returns {Promise<Response>}\n */";
+  return `// Sends the request on to the server and returns its answer. fetch()
+// decompresses the body, so its encoding headers no longer apply${jsdoc}
+async function forward(request${type(": Request")}, target${type(": string")})${type(": Promise<Response>")} {
+  const url = new URL(request.url)${s}
+  const headers = new Headers(request.headers)${s}
+  headers.delete(${quote("host")})${s}
+  headers.delete(${quote("connection")})${s}
+  const hasBody = ![${quote("GET")}, ${quote("HEAD")}].includes(request.method)${s}
+  try {
+    const res = await fetch(target + url.pathname + url.search, {
+      method: request.method,
+      headers,
+      body: hasBody ? await request.arrayBuffer() : undefined,
+      redirect: ${quote("manual")},
+    })${s}
+    const resHeaders = new Headers(res.headers)${s}
+    resHeaders.delete(${quote("content-encoding")})${s}
+    resHeaders.delete(${quote("content-length")})${s}
+    return new Response(res.body, {
+      status: res.status,
+      statusText: res.statusText,
+      headers: resHeaders,
+    })${s}
+  } catch {
+    // The server is not running (yet)
+    return Response.json({ error: ${quote("Bad Gateway")} }, { status: 502 })${s}
+  }
+}`;
+}
+
+// src/hooks.server.js (or .ts): SvelteKit's server hands /api to the server,
+// under `vite dev` and in the adapter-node build alike
+function addSvelteKitProxy(ctx, clientDir, target) {
+  const ts = ctx.options.frontendLang === "TypeScript";
+  const hook = `${ts ? "import type { Handle } from '@sveltejs/kit';\n" : ""}import { env } from '$env/dynamic/private';
+
+// Read when each request is made, so the built server takes it from its environment
+const target = () => env.${PROXY_TARGET_VARIABLE} ?? '${target}';
+
+${forwardFunction(ts)}
+
+${ts ? "" : "/** @type {import('@sveltejs/kit').Handle} */\n"}export const handle${ts ? ": Handle" : ""} = ({ event, resolve }) =>
+  event.url.pathname.startsWith('/api/')
+    ? forward(event.request, target())
+    : resolve(event);
+`;
+  ctx.writeFile(
+    path.join(clientDir, "src", ts ? "hooks.server.ts" : "hooks.server.js"),
+    hook,
+  );
+}
+
+// A resource route for api/* (registered in app/routes.ts, or .js) that
+// forwards to the server, under `react-router dev` and react-router-serve alike
+function addRemixProxy(ctx, clientDir, target) {
+  const ts = ctx.options.frontendLang === "TypeScript";
+  const style = { q: '"', s: ";" };
+  const ext = ts ? "ts" : "js";
+  const args = ts ? "{ request }: { request: Request }" : "{ request }";
+  ctx.writeFile(
+    path.join(clientDir, "app", "routes", `api.${ext}`),
+    `// Read when each request is made, so the built server takes it from its environment
+const target = () => process.env.${PROXY_TARGET_VARIABLE} ?? "${target}";
+
+${forwardFunction(ts, style)}
+
+export const loader = (${args}) => forward(request, target());
+export const action = loader;
+`,
+  );
+  patchConfig(
+    ctx,
+    path.join(clientDir, "app", `routes.${ext}`),
+    (config) => {
+      config.addNamedImport("route", "@react-router/dev/routes");
+      config.prepend(
+        [],
+        `route(${config.string("api/*")}, ${config.string(`routes/api.${ext}`)})`,
+      );
+    },
+    'add route("api/*", "routes/api") to the routes',
+  );
+}
+
+// proxy.conf.json, passed to `ng serve` through angular.json
+function addAngularProxy(ctx, clientDir, target) {
+  ctx.writeJson(
+    path.join(clientDir, "proxy.conf.json"),
+    angularProxyConfig(target),
+  );
+  patchJson(
+    ctx,
+    path.join(clientDir, "angular.json"),
+    (config) => {
+      const { serve } = config.projects.client.architect;
+      serve.options = { ...serve.options, proxyConfig: "proxy.conf.json" };
+      return config;
+    },
+    "set the serve target's proxyConfig to proxy.conf.json",
+  );
+}
+
+/**
+ * Proxy /api from the client's dev server to the server on its configured
+ * port: Vite's server.proxy for React, Vue, SolidJS and Astro, rewrites for
+ * Next.js, a route rule for Nuxt, proxy.conf.json for Angular and the
+ * package.json `proxy` field for Create React App. SvelteKit's server hook
+ * and a Remix resource route forward it themselves. The rewrites, the route
+ * rule, the hook and the resource route keep working in the built client.
+ */
+export function addDevProxy(ctx, clientDir) {
+  const { frontend, reactSetup, backendPort } = ctx.options;
+  const target = `http://localhost:${backendPort}`;
+
+  if (frontend === "React" && reactSetup === "Create React App") {
+    patchJson(
+      ctx,
+      path.join(clientDir, "package.json"),
+      (pkg) => ({ ...pkg, proxy: target }),
+      `set "proxy" to ${target}`,
+    );
+  } else if (["React", "Vue", "SolidJS"].includes(frontend)) {
+    addViteProxy(ctx, clientDir, target);
+  } else if (frontend === "Next.js") {
+    addNextRewrites(ctx, clientDir, target);
+  } else if (frontend === "Angular") {
+    addAngularProxy(ctx, clientDir, target);
+  } else if (frontend === "SvelteKit") {
+    addSvelteKitProxy(ctx, clientDir, target);
+  } else if (frontend === "Nuxt") {
+    addNuxtProxy(ctx, clientDir, target);
+  } else if (frontend === "Astro") {
+    addAstroProxy(ctx, clientDir, target);
+  } else if (frontend === "Remix") {
+    addRemixProxy(ctx, clientDir, target);
+  }
+  ctx.log(`🔀 Client dev server proxies /api to ${target}`);
+}
@@ -0,0 +1,671 @@
+import path from "path";
+import { Document, Scalar, isSeq, visit } from "yaml";
+import { startFile } from "./backend.js";
+import { dockerDatabaseUrl, schemaPush, SQLITE_DATA_DIR } from "./databases.js";
+import {
+  ANGULAR_DOCKER_PROXY_CONFIG,
+  PROXY_TARGET_VARIABLE,
+  angularProxyConfig,
+} from "./dev-proxy.js";
+import { apiUrlVariable, RUNTIME_ENV_FRONTENDS } from "./env.js";
+import { clientBuildDir, clientDevServer } from "./frontend.js";
+import { packageManager } from "./package-manager.js";
+
+// 🐳 DOCKER HELPER FUNCTIONS
+// Probes `route` (the server's GET /healthz, the client's /); 127.0.0.1 as
+// localhost may resolve to ::1
+const imageHealthcheck = (
+  port,
+  route = "/",
+) => `HEALTHCHECK --interval=30s --timeout=5s --start-period=15s --retries=3 \\
+  CMD wget -q --spider http://127.0.0.1${port ? `:${port}` : ""}${route} || exit 1`;
+
+// What the build stage runs before the dev dependencies are pruned: the
+// TypeScript build, or generating the Prisma client a JavaScript server imports
+function backendBuild(pm, ts, orm) {
+  if (ts) return `RUN ${pm.run("build")}\n`;
+  if (orm === "Prisma") return `RUN ${pm.execPrefix} prisma generate\n`;
+  return "";
+}
+
+// The stage of the compose file's one-shot migrate service: it pushes the
+// ORM's schema with the dev dependencies, as the node user so SQLite's file
+// belongs to the server that opens it next
+function migrateStage(push, sqlite) {
+  if (!push) return "";
+  const [bin, ...args] = push.command;
+  return `
+FROM deps AS migrate
+COPY . .
+${sqlite ? `RUN mkdir ${SQLITE_DATA_DIR} && chown node:node ${SQLITE_DATA_DIR}\n` : ""}USER node
+CMD ${JSON.stringify([`node_modules/.bin/${bin}`, ...args]).replaceAll(",", ", ")}
+`;
+}
+
+// nginx's /api/ block: the backend service on the same origin as the client,
+// WebSocket upgrades included ($connection_upgrade is mapped in the http
+// block). ^~ keeps the static file rule from matching API paths like /api/x.js
+const nginxApiProxy = (backendPort) => `
+    location ^~ /api/ {
+      proxy_pass http://backend:${backendPort};
+      proxy_http_version 1.1;
+      proxy_set_header Upgrade $http_upgrade;
+      proxy_set_header Connection $connection_upgrade;
+      proxy_set_header Host $host;
+      proxy_set_header X-Real-IP $remote_addr;
+      proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+      proxy_set_header X-Forwarded-Proto $scheme;
+      proxy_connect_timeout 5s;
+      proxy_send_timeout 60s;
+      proxy_read_timeout 60s;
+    }
+`;
+
+// Clients whose build runs on a Node server of their own instead of behind
+// nginx: what the runtime stage copies from the builder, and its command.
+// They all listen on port 3000
+const NODE_RUNTIMES = {
+  "Next.js": {
+    copy: [
+      "/app/package.json /app/next.config.* ./",
+      "/app/public ./public",
+      "/app/.next ./.next",
+      "/app/node_modules ./node_modules",
+    ],
+    command: ["node_modules/.bin/next", "start"],
+  },
+  // adapter-node bundles the dev dependencies sv lists everything under
+  SvelteKit: {
+    copy: ["/app/package.json ./", "/app/build ./build"],
+    command: ["node", "build"],
+  },
+  // Nitro's output is self-contained, node_modules included
+  Nuxt: {
+    copy: ["/app/.output ./.output"],
+    command: ["node", ".output/server/index.mjs"],
+  },
+  Remix: {
+    copy: [
+      "/app/package.json ./",
+      "/app/build ./build",
+      "/app/node_modules ./node_modules",
+    ],
+    command: [
+      "node_modules/.bin/react-router-serve",
+      "./build/server/index.js",
+    ],
+  },
+};
+
+// Whether the client's production image is its own Node server (port 3000)
+export const isServerRendered = (frontend) => frontend in NODE_RUNTIMES;
+
+// Clients whose current versions need Node 22 to build (and run)
+const NODE_22_FRONTENDS = ["Nuxt", "Astro", "Remix"];
+
+export function createDockerfiles(ctx, frontend, backendLang) {
+  const {
+    rootDir,
+    backendFramework,
+    reactSetup,
+    database,
+    orm,
+    backendPort,
+    apiProxy,
+  } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  const { setup, manifests, ci, prune } = pm.docker;
+  const serverDir = path.join(rootDir, "server");
+  const clientDir = path.join(rootDir, "client");
+
+  // Backend Dockerfile (multi-stage): build with every dependency, then run
+  // the start file as the image's non-root node user with production ones.
+  // The deps stage is also the image of the dev service in docker-compose.yml.
+  // SQLite's folder is created for the node user, as the volume takes its owner
+  const ts = backendLang === "TypeScript";
+  const sqlite = database === "SQLite";
+  const copyFromBuild = (from, to) =>
+    `COPY --from=build --chown=node:node ${from} ${to}\n`;
+  const backendDockerfile = `FROM node:20-alpine AS deps
+WORKDIR /app
+${setup}COPY ${manifests} ./
+RUN ${ci}
+${migrateStage(schemaPush(database, orm), sqlite)}
+FROM deps AS build
+COPY . .
+${backendBuild(pm, ts, orm)}RUN ${prune}
+
+FROM node:20-alpine
+ENV NODE_ENV=production
+ENV PORT=${backendPort}
+WORKDIR /app
+RUN ${sqlite ? `mkdir ${SQLITE_DATA_DIR} && chown node:node /app ${SQLITE_DATA_DIR}` : "chown node:node /app"}
+${
+  ts
+    ? copyFromBuild("/app/package.json", "./") +
+      copyFromBuild("/app/node_modules", "./node_modules") +
+      copyFromBuild("/app/dist", "./dist")
+    : copyFromBuild("/app", "./")
+}USER node
+
+EXPOSE ${backendPort}
+${imageHealthcheck(backendPort, "/healthz")}
+CMD ["node", "${startFile(backendFramework, ts)}"]
+`;
+
+  ctx.writeFile(path.join(serverDir, "Dockerfile"), backendDockerfile);
+  ctx.writeFile(
+    path.join(serverDir, ".dockerignore"),
+    "node_modules\nnpm-debug.log\n.env\n.git\ndist\n",
+  );
+
+  // Frontend Dockerfile (multi-stage); deps is the dev service's image.
+  // Clients call /api on their own origin: nginx (or the client's own
+  // server) proxies it to the backend. Without the proxy they call the
+  // backend directly
+  const variable = apiUrlVariable(frontend, reactSetup);
+  const buildArg = (name, value) =>
+    `ARG ${name}=${value}\nENV ${name}=$${name}\n`;
+  const backendUrl = `http://backend:${backendPort}`;
+  const directApiUrl = `http://localhost:${backendPort}/api`;
+  let apiBuildArgs = "";
+  // Variables the client's server reads when it starts
+  let apiRuntimeEnv = "";
+  if (apiProxy && ["Next.js", "Nuxt"].includes(frontend)) {
+    // Rewrites and route rules are resolved when the client is built
+    apiBuildArgs = buildArg(PROXY_TARGET_VARIABLE, backendUrl);
+  } else if (apiProxy && ["SvelteKit", "Remix"].includes(frontend)) {
+    apiRuntimeEnv = `ENV ${PROXY_TARGET_VARIABLE}=${backendUrl}\n`;
+  } else if (!apiProxy && RUNTIME_ENV_FRONTENDS.includes(frontend)) {
+    apiRuntimeEnv = `ENV ${variable}=${directApiUrl}\n`;
+  } else if (!apiProxy && variable) {
+    apiBuildArgs = buildArg(variable, directApiUrl);
+  }
+  const nodeImage = NODE_22_FRONTENDS.includes(frontend)
+    ? "node:22-alpine"
+    : "node:20-alpine";
+  const clientBuilder = `FROM ${nodeImage} AS deps
+WORKDIR /app
+${setup}COPY ${manifests} ./
+RUN ${ci}
+
+FROM deps AS builder
+${apiBuildArgs}COPY . .
+RUN ${pm.run("build")}`;
+  let frontendDockerfile = "";
+  if (isServerRendered(frontend)) {
+    const { copy, command } = NODE_RUNTIMES[frontend];
+    frontendDockerfile = `${clientBuilder}
+
+FROM ${nodeImage}
+ENV NODE_ENV=production
+${apiRuntimeEnv}WORKDIR /app
+${copy.map((paths) => `COPY --from=builder --chown=node:node ${paths}\n`).join("")}USER node
+
+EXPOSE 3000
+${imageHealthcheck(3000)}
+CMD ${JSON.stringify(command).replaceAll(",", ", ")}
+`;
+  } else {
+    // React, Vue, Angular, SolidJS, Astro: nginx serves the static build
+    frontendDockerfile = `${clientBuilder}
+
+FROM nginx:alpine
+COPY --from=builder /app/${clientBuildDir(frontend, reactSetup)} /usr/share/nginx/html
+COPY nginx.conf /etc/nginx/nginx.conf
+EXPOSE 80
+${imageHealthcheck()}
+CMD ["nginx", "-g", "daemon off;"]
+`;
+  }
+
+  ctx.writeFile(path.join(clientDir, "Dockerfile"), frontendDockerfile);
+  ctx.writeFile(
+    path.join(clientDir, ".dockerignore"),
+    "node_modules\nnpm-debug.log\n.env\n.git\nbuild\ndist\n",
+  );
+  // \`ng serve\` in the dev container proxies /api to the backend-dev service
+  if (frontend === "Angular") {
+    ctx.writeJson(
+      path.join(clientDir, ANGULAR_DOCKER_PROXY_CONFIG),
+      angularProxyConfig(`http://backend-dev:${backendPort}`),
+    );
+  }
+
+  // Create nginx config for the frontends nginx serves
+  if (!isServerRendered(frontend)) {
+    const nginxConf = `user nginx;
+worker_processes auto;
+error_log /var/log/nginx/error.log warn;
+pid /var/run/nginx.pid;
+
+events {
+  worker_connections 1024;
+}
+
+http {
+  include /etc/nginx/mime.types;
+  default_type application/octet-stream;
+
+  log_format main '$remote_addr - $remote_user [$time_local] "$request" '
+                  '$status $body_bytes_sent "$http_referer" '
+                  '"$http_user_agent" "$http_x_forwarded_for"';
+
+  access_log /var/log/nginx/access.log main;
+
+  sendfile on;
+  tcp_nopush on;
+  tcp_nodelay on;
+  keepalive_timeout 65;
+  types_hash_max_size 2048;
+  gzip on;
+  gzip_vary on;
+  gzip_proxied any;
+  gzip_min_length 1024;
+  gzip_types text/plain text/css application/json application/javascript text/xml application/xml image/svg+xml;
+${
+  apiProxy
+    ? `
+  map $http_upgrade $connection_upgrade {
+    default upgrade;
+    '' close;
+  }
+`
+    : ""
+}
+  server {
+    listen 80;
+    server_name localhost;
+    root /usr/share/nginx/html;
+    index index.html;
+
+    location / {
+      try_files $uri $uri/ /index.html;
+    }
+${apiProxy ? nginxApiProxy(backendPort) : ""}
+    location ~* \\.(js|css|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$ {
+      expires 1y;
+      add_header Cache-Control "public, immutable";
+    }
+  }
+}
+`;
+    ctx.writeFile(path.join(clientDir, "nginx.conf"), nginxConf);
+  }
+}
+
+// Compose service of each database that runs in a container, with the
+// command its healthcheck uses to tell the database accepts connections
+const DATABASE_SERVICES = {
+  MongoDB: {
+    name: "mongo",
+    test: ["CMD", "mongosh", "--quiet", "--eval", "db.adminCommand('ping')"],
+  },
+  PostgreSQL: {
+    name: "postgres",
+    test: ["CMD-SHELL", "pg_isready -U postgres -d myappdb"],
+  },
+  // Over TCP: the server MySQL runs while initialising only listens on its socket
+  MySQL: {
+    name: "mysql",
+    test: ["CMD", "mysqladmin", "ping", "-h", "127.0.0.1", "-ppassword"],
+  },
+};
+
+// Named volume holding each database's data: the database service's, or for
+// SQLite, which runs in the server, the production backend's
+const DATABASE_VOLUMES = {
+  MongoDB: "mongo_data:/data/db",
+  PostgreSQL: "postgres_data:/var/lib/postgresql/data",
+  MySQL: "mysql_data:/var/lib/mysql",
+  SQLite: `sqlite_data:${SQLITE_DATA_DIR}`,
+};
+
+// Image, port and settings of each database service
+const DATABASE_CONTAINERS = {
+  MongoDB: {
+    image: "mongo:7",
+    port: 27017,
+    environment: { MONGO_INITDB_DATABASE: "myappDB" },
+  },
+  PostgreSQL: {
+    image: "postgres:16-alpine",
+    port: 5432,
+    environment: {
+      POSTGRES_USER: "postgres",
+      POSTGRES_PASSWORD: "password",
+      POSTGRES_DB: "myappdb",
+    },
+  },
+  MySQL: {
+    image: "mysql:8",
+    port: 3306,
+    environment: { MYSQL_ROOT_PASSWORD: "password", MYSQL_DATABASE: "myappdb" },
+  },
+};
+
+// Compose project and container names: lowercase letters, digits, - and _
+const composeName = (projectName) =>
+  projectName.replace(/[^a-z0-9_-]/g, "-").replace(/^[-_]+/, "");
+
+// "host:container" port mappings are quoted, so YAML 1.1 readers keep them strings
+function portMapping(host, container) {
+  const mapping = new Scalar(`${host}:${container}`);
+  mapping.type = Scalar.QUOTE_SINGLE;
+  return mapping;
+}
+
+// Lists written inline, as in the Compose documentation
+const FLOW_KEYS = ["profiles", "command", "test"];
+
+const serviceHealthy = (name) => ({ [name]: { condition: "service_healthy" } });
+
+const healthcheck = (test) => ({
+  test,
+  interval: "5s",
+  timeout: "5s",
+  retries: 10,
+});
+
+/**
+ * docker-compose.yml with a service per database that runs in a container
+ * and two profiles for the backend and the frontend: `prod` runs the images
+ * as built, `dev` runs the dev scripts of the mounted server/ and client/
+ * folders in the images' dependency stages. Names derive from the project
+ * name, and ports are the configured ones.
+ */
+export function createDockerCompose(ctx, database) {
+  const {
+    rootDir,
+    projectName,
+    frontend,
+    reactSetup,
+    orm,
+    backendPort,
+    frontendPort,
+  } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  const name = composeName(projectName);
+  const container = (service) => `${name}-${service}`;
+  const databaseService = DATABASE_SERVICES[database];
+  const databaseUrl = dockerDatabaseUrl(database, orm);
+  const dataVolume = DATABASE_VOLUMES[database];
+  // SQLite needs no service: the backend mounts its volume
+  const sqliteVolume = database === "SQLite" && dataVolume;
+  const push = schemaPush(database, orm);
+
+  const backend = {
+    ports: [portMapping(backendPort, backendPort)],
+    environment: {
+      PORT: backendPort,
+      ...(database === "MongoDB" && {
+        MONGODB_URL: "mongodb://mongo:27017/myappDB",
+      }),
+      ...(databaseUrl && { DATABASE_URL: databaseUrl }),
+    },
+    healthcheck: {
+      ...healthcheck([
+        "CMD",
+        "wget",
+        "-q",
+        "--spider",
+        // Ready once the database answers too
+        `http://127.0.0.1:${backendPort}/readyz`,
+      ]),
+      start_period: "15s",
+    },
+    ...(databaseService && {
+      depends_on: serviceHealthy(databaseService.name),
+    }),
+  };
+  // The generated Prisma client is not in the dependency stage, and the
+  // schema is pushed from the mounted folder before the dev server starts
+  const devSteps = [
+    orm === "Prisma" && `${pm.execPrefix} prisma generate`,
+    push && pm.run(push.script),
+  ].filter(Boolean);
+  const backendDev = devSteps.length
+    ? ["sh", "-c", [...devSteps, pm.run("dev")].join(" && ")]
+    : [pm.name, "run", "dev"];
+  const devServer = clientDevServer(frontend, reactSetup, frontendPort);
+  // The dev server proxies /api to backend-dev; Create React App's proxy
+  // target is fixed in package.json, so its client calls the backend directly
+  let devApi = { [PROXY_TARGET_VARIABLE]: `http://backend-dev:${backendPort}` };
+  if (frontend === "Angular") {
+    devApi = {};
+    devServer.command.push("--proxy-config", ANGULAR_DOCKER_PROXY_CONFIG);
+  } else if (reactSetup === "Create React App" && frontend === "React") {
+    devApi = {
+      [apiUrlVariable(frontend, reactSetup)]:
+        `http://localhost:${backendPort}/api`,
+    };
+  }
+  const devEnvironment = { ...devServer.environment, ...devApi };
+
+  const services = {
+    // Runs once before the production backend starts
+    ...(push && {
+      migrate: {
+        profiles: ["prod"],
+        build: { context: "./server", target: "migrate" },
+        container_name: container("migrate"),
+        environment: { DATABASE_URL: databaseUrl },
+        ...(sqliteVolume && { volumes: [sqliteVolume] }),
+        ...(databaseService && {
+          depends_on: serviceHealthy(databaseService.name),
+        }),
+      },
+    }),
+    backend: {
+      profiles: ["prod"],
+      build: "./server",
+      container_name: container("backend"),
+      restart: "unless-stopped",
+      ...backend,
+      ...(sqliteVolume && { volumes: [sqliteVolume] }),
+      ...(push && {
+        depends_on: {
+          ...backend.depends_on,
+          migrate: { condition: "service_completed_successfully" },
+        },
+      }),
+    },
+    "backend-dev": {
+      profiles: ["dev"],
+      build: { context: "./server", target: "deps" },
+      container_name: container("backend-dev"),
+      command: backendDev,
+      ...backend,
+      environment: {
+        NODE_ENV: "development",
+        ...backend.environment,
+        ...(sqliteVolume && {
+          DATABASE_URL: dockerDatabaseUrl(database, orm, { dev: true }),
+        }),
+      },
+      volumes: ["./server:/app", "/app/node_modules"],
+    },
+    frontend: {
+      profiles: ["prod"],
+      build: "./client",
+      container_name: container("frontend"),
+      restart: "unless-stopped",
+      // nginx listens on 80, the clients' own servers on 3000
+      ports: [
+        portMapping(frontendPort, isServerRendered(frontend) ? 3000 : 80),
+      ],
+      depends_on: serviceHealthy("backend"),
+    },
+    "frontend-dev": {
+      profiles: ["dev"],
+      build: { context: "./client", target: "deps" },
+      container_name: container("frontend-dev"),
+      command: devServer.command,
+      ports: [portMapping(frontendPort, frontendPort)],
+      ...(Object.keys(devEnvironment).length && {
+        environment: devEnvironment,
+      }),
+      volumes: ["./client:/app", "/app/node_modules"],
+      depends_on: serviceHealthy("backend-dev"),
+    },
+  };
+
+  if (databaseService) {
+    const { image, port, environment } = DATABASE_CONTAINERS[database];
+    services[databaseService.name] = {
+      image,
+      container_name: container(databaseService.name),
+      ports: [portMapping(port, port)],
+      volumes: [dataVolume],
+      environment,
+      healthcheck: healthcheck(databaseService.test),
+    };
+  }
+
+  // Services share their settings by value, not through YAML aliases
+  const compose = new Document(
+    {
+      name,
+      services,
+      ...(dataVolume && { volumes: { [dataVolume.split(":")[0]]: {} } }),
+    },
+    { aliasDuplicateObjects: false },
+  );
+  compose.commentBefore = ` Development: docker compose --profile dev up
+ Production:  docker compose --profile prod up --build`;
+  // A blank line between services and before the volumes, and commands on one line
+  const [, , volumesPair] = compose.contents.items;
+  for (const pair of [...compose.get("services").items.slice(1), volumesPair]) {
+    if (pair) pair.key.spaceBefore = true;
+  }
+  visit(compose, {
+    Pair(_, pair) {
+      if (FLOW_KEYS.includes(pair.key.value) && isSeq(pair.value)) {
+        pair.value.flow = true;
+      }
+    },
+  });
+
+  ctx.writeFile(
+    path.join(rootDir, "docker-compose.yml"),
+    // Single quotes, as prettier writes YAML with the project's config
+    compose.toString({
+      flowCollectionPadding: false,
+      lineWidth: 0,
+      singleQuote: true,
+    }),
+  );
+}
+
+export function createDockerReadme(ctx) {
+  const { rootDir, frontend, reactSetup, backendPort, frontendPort, apiProxy } =
+    ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  const dockerReadme = `# 🐳 Docker Setup Guide
+
+## Quick Start
+
+### Prerequisites
+
+- Docker
+- Docker Compose v2 (\`docker compose\`)
+
+### Running with Docker Compose
+
+\`docker-compose.yml\` has two profiles for the backend and the frontend. The
+database services belong to both.
+
+- **dev**: runs the dev scripts of the mounted \`server/\` and \`client/\`
+  folders, so code changes apply without rebuilding
+- **prod**: runs the production images: the compiled server as the non-root
+  \`node\` user, and the built client
+
+\`\`\`bash
+# Start the dev services
+docker compose --profile dev up
+
+# Build and start the production services in background
+docker compose --profile prod up --build -d
+
+# Stop services
+docker compose --profile dev --profile prod down
+\`\`\`
+
+### Access Services
+
+- **Frontend**: http://localhost:${frontendPort}
+- **Backend**: http://localhost:${backendPort}
+- **Database**: See below for port based on your DB choice
+
+## Database Access (if enabled)
+
+### MongoDB
+
+\`\`\`
+Host: localhost:27017
+Database: myappDB
+\`\`\`
+
+### PostgreSQL
+
+\`\`\`
+Host: localhost:5432
+User: postgres
+Password: password
+Database: myappdb
+\`\`\`
+
+### MySQL
+
+\`\`\`
+Host: localhost:3306
+User: root
+Password: password
+Database: myappdb
+\`\`\`
+
+### SQLite
+
+No container: the production backend keeps the database file in the
+\`sqlite_data\` volume, and the dev backend uses \`server/dev.db\`.
+
+## Common Docker Commands
+
+\`\`\`bash
+# View logs for all services
+docker compose --profile dev logs -f
+
+# View logs for specific service
+docker compose logs -f backend-dev
+
+# Run command in a container
+docker compose exec backend-dev ${pm.addCommand("new-package")}
+
+# Rebuild images after dependencies change
+docker compose --profile dev build
+
+# Remove containers and volumes
+docker compose --profile dev --profile prod down -v
+\`\`\`
+
+## Development Notes
+
+- Services start in order once healthy: the database, then the backend, then the frontend
+- Container names start with the project name, so several projects can run side by side (not on the same ports)
+- \`.dockerignore\` files exclude unnecessary files from Docker builds
+- Database data persists in Docker volumes
+- With Prisma or Drizzle, the one-shot \`migrate\` service pushes the schema before the production backend starts; the dev backend pushes it itself
+${
+  frontend === "React" && reactSetup === "Create React App"
+    ? `- The dev frontend calls the backend at http://localhost:${backendPort}/api (REACT_APP_API_URL)\n`
+    : "- The dev frontend's dev server proxies `/api` to the backend-dev service\n"
+}${
+    !apiProxy
+      ? `- Production builds call the backend at http://localhost:${backendPort}/api\n`
+      : isServerRendered(frontend)
+        ? `- In production, the ${frontend} server passes \`/api/\` on to the backend: the client calls the API on its own origin\n`
+        : "- In production, nginx proxies `/api/` to the backend: the client calls the API on its own origin, so the image works on any domain\n"
+  }`;
+
+  ctx.writeFile(path.join(rootDir, "DOCKER.md"), dockerReadme);
+}
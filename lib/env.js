@@ -0,0 +1,243 @@
+import path from "path";
+import { databaseEnv, importer, SQL_DATABASES } from "./databases.js";
+import { patchConfig, patchJson } from "./config-patch.js";
+import { PROXY_TARGET_VARIABLE } from "./dev-proxy.js";
+
+// 🔐 ENVIRONMENT: the server's validated config, and .env files for both packages
+
+// Variable the client's API module reads the API's base URL from
+const API_URL_VARIABLES = {
+  Vite: "VITE_API_URL",
+  "Create React App": "REACT_APP_API_URL",
+  Vue: "VITE_API_URL",
+  "Next.js": "NEXT_PUBLIC_API_URL",
+  SvelteKit: "PUBLIC_API_URL",
+  SolidJS: "VITE_API_URL",
+  Nuxt: "NUXT_PUBLIC_API_URL",
+  Astro: "PUBLIC_API_URL",
+  Remix: "VITE_API_URL",
+};
+
+// Undefined for Angular, which builds the URL in from its environment files
+export const apiUrlVariable = (frontend, reactSetup) =>
+  API_URL_VARIABLES[frontend === "React" ? reactSetup : frontend];
+
+// Clients whose server reads the API URL variable when it starts (SvelteKit's
+// $env/dynamic/public, Nuxt's runtime config); the others build it in
+export const RUNTIME_ENV_FRONTENDS = ["SvelteKit", "Nuxt"];
+
+// What the .env of the clients whose server proxies /api says about its target
+const PROXY_TARGET_NOTES = {
+  "Next.js": "Where next.config.ts rewrites /api to (read on the server only)",
+  SvelteKit: "Where src/hooks.server proxies /api to (read on the server only)",
+  Nuxt: "Where the route rule in nuxt.config.ts proxies /api to (read on the server only)",
+};
+
+const EXAMPLE_HEADER = `# Copy this file to .env and fill in your values. .env is kept out of git;
+# this file is committed, so never put real credentials in it
+`;
+
+// zod schema entries for the database's connection string
+function databaseSchema(database) {
+  if (database === "MongoDB") {
+    return "  MONGODB_URL: z.string({ error: 'is required' }).min(1, 'is required'),\n";
+  }
+  if (SQL_DATABASES.includes(database)) {
+    return "  DATABASE_URL: z.string({ error: 'is required' }).min(1, 'is required'),\n";
+  }
+  return "";
+}
+
+const LOG_LEVELS =
+  "['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent']";
+
+/**
+ * The config module (config/index.js or .ts): loads .env, checks every
+ * variable the server reads against a zod schema and exits with a list of
+ * the problems when one is missing or invalid. The rest of the server reads
+ * `config` instead of process.env.
+ */
+export function serverConfigModule(ts, database, port) {
+  const load = importer(ts);
+  return `${ts ? "import 'dotenv/config';" : "require('dotenv').config();"}
+${load("{ z }", "zod")}
+
+// Every variable the server reads, checked once at startup (see .env.example)
+const schema = z.object({
+  NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
+  PORT: z.coerce.number().int().positive().default(${port}),
+  LOG_LEVEL: z.enum(${LOG_LEVELS}).default('info'),
+${databaseSchema(database)}});
+
+const result = schema.safeParse(process.env);
+if (!result.success) {
+  console.error('❌ Invalid environment variables (see .env.example):');
+  for (const issue of result.error.issues) {
+    console.error(\`  \${issue.path.join('.')}: \${issue.message}\`);
+  }
+  process.exit(1);
+}
+
+${ts ? "export const config = result.data;" : "const config = result.data;\n\nmodule.exports = { config };"}
+`;
+}
+
+/**
+ * The logger module (config/logger.js or .ts): pino at LOG_LEVEL, writing
+ * JSON lines, or readable lines through pino-pretty in development.
+ */
+export function serverLoggerModule(ts) {
+  const load = importer(ts);
+  return `${load("pino", "pino")}
+${load("{ config }", "./index")}
+
+${ts ? "export " : ""}const logger = pino({
+  level: config.LOG_LEVEL,
+  ...(config.NODE_ENV === 'development' && {
+    transport: { target: 'pino-pretty' },
+  }),
+});
+${ts ? "" : "\nmodule.exports = { logger };\n"}`;
+}
+
+// Appended to the database's variables in .env
+const LOG_ENV = `
+# Log level: fatal, error, warn, info, debug, trace or silent
+LOG_LEVEL=info
+`;
+
+/**
+ * The server's config and logger modules, its .env and the .env.example to commit in
+ * its place. `srcDir` is where source files live (src/ for TypeScript).
+ */
+export function writeServerEnv(ctx, { srcDir = "" } = {}) {
+  const { rootDir, backendLang, database, orm, backendPort } = ctx.options;
+  const serverDir = path.join(rootDir, "server");
+  const ts = backendLang === "TypeScript";
+  const env = `${databaseEnv(database, orm, backendPort)}${LOG_ENV}`;
+  const configDir = path.join(serverDir, srcDir, "config");
+
+  ctx.writeFile(
+    path.join(configDir, ts ? "index.ts" : "index.js"),
+    serverConfigModule(ts, database, backendPort),
+  );
+  ctx.writeFile(
+    path.join(configDir, ts ? "logger.ts" : "logger.js"),
+    serverLoggerModule(ts),
+  );
+  ctx.writeFile(path.join(serverDir, ".env"), env);
+  ctx.writeFile(
+    path.join(serverDir, ".env.example"),
+    `${EXAMPLE_HEADER}\n${env}`,
+  );
+  ctx.log("📄 .env and .env.example files created in server folder");
+}
+
+// The client's .env: which variables reach the browser, and the API's base URL
+function clientEnv(frontend, reactSetup, backendPort) {
+  const variable = apiUrlVariable(frontend, reactSetup);
+  const prefix = variable.slice(0, variable.indexOf("API_URL"));
+  const read = RUNTIME_ENV_FRONTENDS.includes(frontend)
+    ? "read when the client's server starts"
+    : "built in when the client is built";
+  const lines = [
+    `# Only ${prefix} variables reach the browser, ${read}`,
+    "",
+    "# Base URL of the server's API; /api goes through the dev server's proxy",
+    `${variable}=/api`,
+  ];
+  if (PROXY_TARGET_NOTES[frontend]) {
+    lines.push(
+      "",
+      `# ${PROXY_TARGET_NOTES[frontend]}`,
+      `${PROXY_TARGET_VARIABLE}=http://localhost:${backendPort}`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Angular's environment files: the production build's, and the one
+// development builds and `ng serve` swap in
+function angularEnvironment(production, apiUrl) {
+  const note = production
+    ? "// Production builds; ng serve and development builds use environment.development.ts"
+    : "// ng serve and development builds, in place of environment.ts (see angular.json)";
+  return `${note}
+export const environment = {
+  production: ${production},
+  // Base URL of the server's API
+  apiUrl: '${apiUrl}',
+};
+`;
+}
+
+/**
+ * Client configuration in the framework's own format: .env and .env.example
+ * with the API URL variable (VITE_, REACT_APP_, NEXT_PUBLIC_, PUBLIC_ or
+ * NUXT_PUBLIC_, which overrides the apiUrl Nuxt's runtime config gets), or
+ * Angular's environment files and the development build's fileReplacements.
+ * Without the Docker API proxy, Angular's production build calls the
+ * server's port.
+ */
+export function writeClientEnv(ctx, clientDir) {
+  const { frontend, reactSetup, backendPort, apiProxy } = ctx.options;
+
+  if (frontend === "Angular") {
+    const environments = path.join(clientDir, "src", "environments");
+    ctx.writeFile(
+      path.join(environments, "environment.ts"),
+      angularEnvironment(
+        true,
+        apiProxy ? "/api" : `http://localhost:${backendPort}/api`,
+      ),
+    );
+    ctx.writeFile(
+      path.join(environments, "environment.development.ts"),
+      angularEnvironment(false, "/api"),
+    );
+    patchJson(
+      ctx,
+      path.join(clientDir, "angular.json"),
+      (config) => {
+        const { build } = config.projects.client.architect;
+        build.configurations.development = {
+          ...build.configurations.development,
+          fileReplacements: [
+            {
+              replace: "src/environments/environment.ts",
+              with: "src/environments/environment.development.ts",
+            },
+          ],
+        };
+        return config;
+      },
+      "swap in environment.development.ts for development builds",
+    );
+    ctx.log("📄 Angular environment files created in client folder");
+    return;
+  }
+
+  if (frontend === "Nuxt") {
+    patchConfig(
+      ctx,
+      path.join(clientDir, "nuxt.config.ts"),
+      (config) =>
+        config.set(
+          ["runtimeConfig", "public", "apiUrl"],
+          config.string("/api"),
+          {
+            comment:
+              "Base URL of the server's API; NUXT_PUBLIC_API_URL overrides it",
+          },
+        ),
+      "add the API's base URL to runtimeConfig.public",
+    );
+  }
+  const env = clientEnv(frontend, reactSetup, backendPort);
+  ctx.writeFile(path.join(clientDir, ".env"), env);
+  ctx.writeFile(
+    path.join(clientDir, ".env.example"),
+    `${EXAMPLE_HEADER}\n${env}`,
+  );
+  ctx.log("📄 .env and .env.example files created in client folder");
+}
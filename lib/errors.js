@@ -0,0 +1,104 @@
+// ❗ ERROR TYPES thrown by the programmatic API
+
+export class DevstackerError extends Error {
+  constructor(message, { code = "ERR_DEVSTACKER", cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "DevstackerError";
+    this.code = code;
+  }
+}
+
+// Options that are missing, unknown or cannot be combined
+export class OptionsError extends DevstackerError {
+  constructor(message) {
+    super(message, { code: "ERR_INVALID_OPTIONS" });
+    this.name = "OptionsError";
+  }
+}
+
+// A command (npm, npx, ...) exited with an error
+export class CommandError extends DevstackerError {
+  constructor({ command, args, cwd, cause }) {
+    super(`Command failed: ${[command, ...args].join(" ")}`, {
+      code: "ERR_COMMAND_FAILED",
+      cause,
+    });
+    this.name = "CommandError";
+    this.command = command;
+    this.args = args;
+    this.cwd = cwd;
+    this.exitCode = cause?.exitCode;
+    this.stderr = cause?.stderr;
+    // One line for the terminal: the exit code and command, without the output
+    this.shortMessage = cause?.shortMessage ?? this.message;
+  }
+}
+
+// The project folder already has content and no `existing` strategy allows it
+export class TargetExistsError extends DevstackerError {
+  constructor(rootDir, entries) {
+    const shown = entries.slice(0, 5).join(", ");
+    const more = entries.length > 5 ? `, ... (${entries.length} entries)` : "";
+    super(`Target directory ${rootDir} is not empty (${shown}${more})`, {
+      code: "ERR_TARGET_EXISTS",
+    });
+    this.name = "TargetExistsError";
+    this.rootDir = rootDir;
+    this.entries = entries;
+  }
+}
+
+// The run was aborted through its AbortSignal (Ctrl+C in the CLI)
+export class CancelledError extends DevstackerError {
+  constructor(step) {
+    super(step ? `Cancelled during step "${step}"` : "Cancelled", {
+      code: "ERR_CANCELLED",
+    });
+    this.name = "CancelledError";
+    this.step = step;
+  }
+}
+
+// A scaffolding step failed; `result` describes what was done before it
+export class StepError extends DevstackerError {
+  constructor(step, cause, result) {
+    super(`Step "${step}" failed: ${cause?.message ?? cause}`, {
+      code: "ERR_STEP_FAILED",
+      cause,
+    });
+    this.name = "StepError";
+    this.step = step;
+    this.result = result;
+  }
+}
+
+// The folder is not a project devstacker can recognise (no server/ or client/)
+export class ProjectNotFoundError extends DevstackerError {
+  constructor(rootDir, reason) {
+    super(`${rootDir} is not a devstacker project: ${reason}`, {
+      code: "ERR_PROJECT_NOT_FOUND",
+    });
+    this.name = "ProjectNotFoundError";
+    this.rootDir = rootDir;
+  }
+}
+
+// `add` was asked for a feature the project already has
+export class FeatureExistsError extends DevstackerError {
+  constructor(feature, reason) {
+    super(`${feature} is already set up: ${reason}`, {
+      code: "ERR_FEATURE_EXISTS",
+    });
+    this.name = "FeatureExistsError";
+    this.feature = feature;
+  }
+}
+
+// A generated config file could not be parsed or lacks what a patch edits
+export class ConfigPatchError extends DevstackerError {
+  constructor(file, reason) {
+    super(`Could not update ${file}: ${reason}`, { code: "ERR_CONFIG_PATCH" });
+    this.name = "ConfigPatchError";
+    this.file = file;
+  }
+}
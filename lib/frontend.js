@@ -0,0 +1,426 @@
+import path from "path";
+import { patchConfig, patchFile } from "./config-patch.js";
+import { addDevProxy, viteConfigFile } from "./dev-proxy.js";
+import { writeClientEnv } from "./env.js";
+import { addLintingConfig, clientLintPreset } from "./linting.js";
+import { packageManager } from "./package-manager.js";
+import { listEntries } from "./target.js";
+import { addClientTests } from "./testing.js";
+import { addUsersPage, importAstroTailwind } from "./users-page.js";
+
+// Put tailwindcss() first in the plugins of the Vite options at `keys`
+function addTailwindPlugin(config, keys) {
+  config.addImport("tailwindcss", "@tailwindcss/vite");
+  config.prepend([...keys, "plugins"], "tailwindcss()");
+}
+
+// Put `directives` first in a stylesheet, unless `present` finds them in it already
+const prependCss = (directives, present) => (css) =>
+  present.test(css) ? css : directives + css;
+
+// Prepend the Tailwind plugin to a create-vite config and import it in the CSS entry
+function addViteTailwind(ctx, clientDir, cssFile) {
+  patchConfig(
+    ctx,
+    path.join(clientDir, viteConfigFile(ctx.options.frontendLang)),
+    (config) => addTailwindPlugin(config, []),
+    "import @tailwindcss/vite and add tailwindcss() to plugins",
+  );
+
+  patchFile(
+    ctx,
+    path.join(clientDir, "src", cssFile),
+    prependCss('@import "tailwindcss";\n', /@import\s+["']tailwindcss["']/),
+    'prepend @import "tailwindcss"',
+  );
+}
+
+// Client script that starts the dev server: every generator but Angular's
+// and Create React App's names it dev
+export function clientScript(frontend, reactSetup) {
+  if (frontend === "Angular") return "start";
+  if (frontend === "React" && reactSetup === "Create React App") return "start";
+  return "dev";
+}
+
+// Folder each client's production build writes its static files to, by
+// frontend (React by setup). Next.js, SvelteKit, Nuxt and Remix serve their
+// own build and have none.
+const BUILD_OUTPUT = {
+  Vite: "dist",
+  "Create React App": "build",
+  Vue: "dist",
+  // ng new client names the application after its folder
+  Angular: "dist/client/browser",
+  SolidJS: "dist",
+  Astro: "dist",
+};
+
+export function clientBuildDir(frontend, reactSetup) {
+  return BUILD_OUTPUT[frontend === "React" ? reactSetup : frontend];
+}
+
+// Dev server of a client container: the framework's own binary, listening
+// on every interface at `port` so the published port reaches it
+export function clientDevServer(frontend, reactSetup, port) {
+  const bin = (name, ...args) => [`node_modules/.bin/${name}`, ...args];
+  if (frontend === "Next.js") {
+    return { command: bin("next", "dev", "-H", "0.0.0.0", "-p", `${port}`) };
+  }
+  if (frontend === "Angular") {
+    return {
+      command: bin("ng", "serve", "--host", "0.0.0.0", "--port", `${port}`),
+    };
+  }
+  if (frontend === "React" && reactSetup === "Create React App") {
+    return {
+      command: bin("react-scripts", "start"),
+      environment: { HOST: "0.0.0.0", PORT: port },
+    };
+  }
+  const listen = ["--host", "0.0.0.0", "--port", `${port}`];
+  // The dev script's binary and subcommand; create-vite's clients run vite
+  const devCommands = {
+    SvelteKit: ["vite", "dev"],
+    Nuxt: ["nuxt", "dev"],
+    Astro: ["astro", "dev"],
+    Remix: ["react-router", "dev"],
+  };
+  return { command: bin(...(devCommands[frontend] ?? ["vite"]), ...listen) };
+}
+
+/**
+ * Install Tailwind CSS into client/: with the Vite plugin, or through the
+ * framework's own command for SvelteKit and Astro. Next.js and Remix (their
+ * generators set it up) and Angular are not covered.
+ */
+export async function addTailwind(ctx, clientDir) {
+  const { frontend, reactSetup } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+
+  if (frontend === "React" && reactSetup === "Create React App") {
+    ctx.log("🎨 Installing Tailwind CSS for Create React App...");
+    // Tailwind 3: react-scripts' PostCSS setup takes it as a plugin, and
+    // `tailwindcss init` (gone in 4) writes the configs
+    await ctx.run(
+      ...pm.add(["tailwindcss@^3", "postcss", "autoprefixer"], { dev: true }),
+      { cwd: clientDir },
+    );
+    await ctx.run(...pm.exec("tailwindcss", ["init", "-p"]), {
+      cwd: clientDir,
+    });
+
+    patchConfig(
+      ctx,
+      path.join(clientDir, "tailwind.config.js"),
+      (config) =>
+        config.set(
+          ["content"],
+          `[${config.string("./src/**/*.{js,jsx,ts,tsx}")}]`,
+        ),
+      'set content to ["./src/**/*.{js,jsx,ts,tsx}"]',
+    );
+    patchFile(
+      ctx,
+      path.join(clientDir, "src", "index.css"),
+      prependCss(
+        "@tailwind base;\n@tailwind components;\n@tailwind utilities;\n",
+        /@tailwind\s+base/,
+      ),
+      "prepend the @tailwind base, components and utilities directives",
+    );
+  } else if (["React", "Vue", "SolidJS"].includes(frontend)) {
+    ctx.log(`🎨 Installing Tailwind CSS for ${frontend} Vite...`);
+    await ctx.run(...pm.add(["tailwindcss", "@tailwindcss/vite"]), {
+      cwd: clientDir,
+    });
+    addViteTailwind(
+      ctx,
+      clientDir,
+      frontend === "Vue" ? "style.css" : "index.css",
+    );
+  } else if (frontend === "SvelteKit") {
+    ctx.log("🎨 Installing Tailwind CSS for SvelteKit...");
+    // sv's add-on adds the Vite plugin and imports the stylesheet in the root layout
+    await ctx.run(
+      ...pm.dlx("sv@latest", [
+        "add",
+        "tailwindcss=plugins:none",
+        "--no-git-check",
+        "--no-install",
+      ]),
+      { cwd: clientDir },
+    );
+    await ctx.run(...pm.install(), { cwd: clientDir });
+  } else if (frontend === "Nuxt") {
+    ctx.log("🎨 Installing Tailwind CSS for Nuxt...");
+    await ctx.run(...pm.add(["tailwindcss", "@tailwindcss/vite"]), {
+      cwd: clientDir,
+    });
+    ctx.writeFile(
+      path.join(clientDir, "app", "assets", "css", "main.css"),
+      '@import "tailwindcss";\n',
+    );
+    patchConfig(
+      ctx,
+      path.join(clientDir, "nuxt.config.ts"),
+      (config) => {
+        config.prepend(["css"], config.string("~/assets/css/main.css"));
+        addTailwindPlugin(config, ["vite"]);
+      },
+      "add main.css to css and tailwindcss() to vite.plugins",
+    );
+  } else if (frontend === "Astro") {
+    ctx.log("🎨 Installing Tailwind CSS for Astro...");
+    // astro add installs the packages, adds the Vite plugin and writes src/styles/global.css
+    await ctx.run(...pm.exec("astro", ["add", "tailwind", "--yes"]), {
+      cwd: clientDir,
+    });
+    ctx.updateFile(
+      path.join(clientDir, "src", "pages", "index.astro"),
+      importAstroTailwind,
+      "import src/styles/global.css",
+    );
+  }
+}
+
+// Generate client/ with the framework's own CLI
+async function generateClient(ctx, clientDir) {
+  const { rootDir, frontend, reactSetup, frontendLang, tailwind } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  const ts = frontendLang === "TypeScript";
+
+  if (frontend === "React") {
+    if (reactSetup === "Create React App") {
+      await ctx.run(
+        ...pm.dlx("create-react-app", [
+          "client",
+          ...(ts ? ["--template", "typescript"] : []),
+        ]),
+        { cwd: rootDir, inherit: true, creates: [clientDir] },
+      );
+      // CRA installs with Yarn when run through Yarn and with npm otherwise
+      if (pm.name === "pnpm" || pm.name === "bun") {
+        ctx.warn(
+          `Create React App does not support ${pm.name}: client/ dependencies were installed with npm`,
+        );
+      }
+    } else {
+      await ctx.run(
+        ...pm.create("vite@latest", [
+          "client",
+          "--template",
+          ts ? "react-ts" : "react",
+        ]),
+        { cwd: rootDir, inherit: true, creates: [clientDir] },
+      );
+
+      // ✅ Install dependencies inside client folder
+      ctx.log("📦 Installing React Vite frontend dependencies...");
+      await ctx.run(...pm.install(), { cwd: clientDir, inherit: true });
+    }
+  } else if (frontend === "Next.js") {
+    await ctx.run(
+      // Every choice as a flag, and --yes for the rest, so nothing prompts;
+      // the users page goes in app/ (NEXT_APP_DIR) and Tailwind is not offered
+      ...pm.dlx("create-next-app@latest", [
+        "client",
+        "--yes",
+        ts ? "--typescript" : "--js",
+        "--app",
+        "--no-src-dir",
+        "--no-tailwind",
+        "--eslint",
+        `--use-${pm.name}`,
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+  } else if (frontend === "Vue") {
+    await ctx.run(
+      ...pm.create("vite@latest", [
+        "client",
+        "--template",
+        ts ? "vue-ts" : "vue",
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+
+    // ✅ Install dependencies inside client folder
+    ctx.log("📦 Installing Vue Vite frontend dependencies...");
+    await ctx.run(...pm.install(), { cwd: clientDir, inherit: true });
+  } else if (frontend === "Angular") {
+    await ctx.run(
+      ...pm.dlx("@angular/cli", [
+        "new",
+        "client",
+        "--skip-git",
+        `--package-manager=${pm.name}`,
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+  } else if (frontend === "SvelteKit") {
+    // adapter-node builds a Node server (see createDockerfiles)
+    await ctx.run(
+      ...pm.dlx("sv@latest", [
+        "create",
+        "client",
+        "--template",
+        "minimal",
+        "--types",
+        ts ? "ts" : "jsdoc",
+        "--add",
+        "sveltekit-adapter=adapter:node",
+        "--install",
+        pm.name,
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+  } else if (frontend === "SolidJS") {
+    await ctx.run(
+      ...pm.create("vite@latest", [
+        "client",
+        "--template",
+        ts ? "solid-ts" : "solid",
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+
+    // ✅ Install dependencies inside client folder
+    ctx.log("📦 Installing SolidJS Vite frontend dependencies...");
+    await ctx.run(...pm.install(), { cwd: clientDir, inherit: true });
+  } else if (frontend === "Nuxt") {
+    await ctx.run(
+      ...pm.create("nuxt@latest", [
+        "client",
+        "--template",
+        "minimal",
+        `--packageManager=${pm.name}`,
+        "--no-gitInit",
+        "--no-modules",
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+  } else if (frontend === "Astro") {
+    await ctx.run(
+      ...pm.create("astro@latest", [
+        "client",
+        "--template",
+        "minimal",
+        "--install",
+        "--no-git",
+        "--skip-houston",
+        "--yes",
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+  } else if (frontend === "Remix") {
+    // Remix continues as React Router's framework mode; its templates come
+    // with Tailwind CSS and react-router-serve as the production server
+    await ctx.run(
+      ...pm.create("react-router@latest", [
+        "client",
+        ...(ts
+          ? []
+          : ["--template", "remix-run/react-router-templates/javascript"]),
+        "--no-git-init",
+        "--install",
+        "--yes",
+      ]),
+      { cwd: rootDir, inherit: true, creates: [clientDir] },
+    );
+  }
+
+  if (tailwind) await addTailwind(ctx, clientDir);
+}
+
+// Frontend choices read back from client/package.json (see detectProject)
+export function detectFrontend(pkg) {
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const tailwind = Boolean(deps.tailwindcss);
+  const frontendLang = deps.typescript ? "TypeScript" : "JavaScript";
+  // create-next-app and the Remix templates set Tailwind up themselves; it
+  // is not a devstacker choice there
+  if (deps.next) return { frontend: "Next.js", frontendLang, tailwind: false };
+  if (deps["@react-router/dev"]) {
+    return { frontend: "Remix", frontendLang, tailwind: false };
+  }
+  if (deps["@angular/core"]) {
+    return { frontend: "Angular", frontendLang, tailwind };
+  }
+  // sv lists typescript either way; JSDoc projects check against jsconfig.json
+  if (deps["@sveltejs/kit"]) {
+    const jsdoc = pkg.scripts?.check?.includes("jsconfig.json");
+    return {
+      frontend: "SvelteKit",
+      frontendLang: jsdoc ? "JavaScript" : "TypeScript",
+      tailwind,
+    };
+  }
+  // Nuxt and Astro compile TypeScript themselves, without the typescript
+  // package; their starters are TypeScript projects
+  if (deps.nuxt) {
+    return { frontend: "Nuxt", frontendLang: "TypeScript", tailwind };
+  }
+  if (deps.astro) {
+    return { frontend: "Astro", frontendLang: "TypeScript", tailwind };
+  }
+  if (deps["solid-js"]) return { frontend: "SolidJS", frontendLang, tailwind };
+  if (deps.vue) return { frontend: "Vue", frontendLang, tailwind };
+  if (deps.react) {
+    const reactSetup = deps["react-scripts"] ? "Create React App" : "Vite";
+    return { frontend: "React", reactSetup, frontendLang, tailwind };
+  }
+  return null;
+}
+
+// 🎨 FRONTEND: create client/ and return the script the root dev script starts it with
+export async function setupFrontend(ctx) {
+  const {
+    rootDir,
+    frontend,
+    reactSetup,
+    frontendLang,
+    linting,
+    testing,
+    git,
+    existing,
+  } = ctx.options;
+  const clientDir = path.join(rootDir, "client");
+
+  // The generators refuse (or prompt to wipe) a folder that has content
+  const generate = !(existing === "merge" && listEntries(clientDir).length);
+  if (generate) {
+    await generateClient(ctx, clientDir);
+    // create-next-app and create-react-app start a repository of their own
+    if (git) {
+      ctx.remove(
+        path.join(clientDir, ".git"),
+        "remove the generator's repository (the project has one)",
+      );
+    }
+    addUsersPage(ctx, clientDir);
+    addDevProxy(ctx, clientDir);
+    writeClientEnv(ctx, clientDir);
+  } else {
+    ctx.warn(
+      "client/ already exists: skipped the frontend generator and its installs",
+    );
+  }
+
+  // Add linting and testing tools to client if chosen; installed next to the generator's packages
+  if (linting) {
+    addLintingConfig(
+      ctx,
+      clientDir,
+      clientLintPreset(frontend, reactSetup, frontendLang),
+    );
+  }
+  // The tests are for the users page, which only generated clients have
+  if (testing && generate) addClientTests(ctx, clientDir);
+  if ((linting || testing) && generate) {
+    const pm = packageManager(ctx.options.packageManager);
+    await ctx.run(...pm.install(), { cwd: clientDir });
+  }
+
+  return clientScript(frontend, reactSetup);
+}
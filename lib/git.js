@@ -0,0 +1,138 @@
+import { execa } from "execa";
+import fs from "fs-extra";
+import path from "path";
+import {
+  clientLintPreset,
+  lintStagedConfig,
+  ROOT_LINT_STAGED_CONFIG,
+  serverLintPreset,
+} from "./linting.js";
+import { packageManager } from "./package-manager.js";
+
+// 🌱 GIT: the project's .gitignore, repository and pre-commit hook
+
+export const HOOK_DEV_DEPENDENCIES = {
+  husky: "^9.1.7",
+  "lint-staged": "^16.3.4",
+};
+
+// One .gitignore for the whole project; the generators' own stay in client/
+const GITIGNORE = `# Dependencies
+node_modules/
+
+# Build output
+dist/
+build/
+out/
+.next/
+.angular/
+.svelte-kit/
+.nuxt/
+.output/
+.astro/
+.react-router/
+coverage/
+*.tsbuildinfo
+next-env.d.ts
+
+# Environment files hold database credentials and secrets
+.env
+.env.*
+!.env.example
+
+# SQLite databases and Prisma output
+*.db
+*.db-journal
+generated/prisma/
+
+# Logs and editor files
+*.log
+.DS_Store
+.idea/
+.vscode/*
+!.vscode/extensions.json
+`;
+
+// Written whether or not a repository is created, so .env is never committed
+export function writeGitignore(ctx) {
+  ctx.writeFile(path.join(ctx.rootDir, ".gitignore"), GITIGNORE);
+}
+
+/**
+ * The pre-commit hook: husky runs lint-staged, which lints and formats the
+ * staged files with the config of the package they are in. husky installs
+ * the hook from the root's `prepare` script.
+ */
+export function addGitHooks(ctx, pm, { addDependencies = true } = {}) {
+  const { rootDir, frontend, reactSetup, frontendLang, backendLang } =
+    ctx.options;
+  if (addDependencies) {
+    ctx.updateJson(
+      path.join(rootDir, "package.json"),
+      (pkg) => ({
+        ...pkg,
+        scripts: { ...pkg.scripts, prepare: "husky" },
+        devDependencies: { ...pkg.devDependencies, ...HOOK_DEV_DEPENDENCIES },
+      }),
+      "add husky and lint-staged, installed by the prepare script",
+    );
+  }
+  ctx.writeFile(
+    path.join(rootDir, ".husky", "pre-commit"),
+    `${pm.execPrefix} lint-staged\n`,
+  );
+  ctx.writeJson(
+    path.join(rootDir, ".lintstagedrc.json"),
+    ROOT_LINT_STAGED_CONFIG,
+  );
+  ctx.writeJson(
+    path.join(rootDir, "server", ".lintstagedrc.json"),
+    lintStagedConfig(serverLintPreset(backendLang)),
+  );
+  ctx.writeJson(
+    path.join(rootDir, "client", ".lintstagedrc.json"),
+    lintStagedConfig(clientLintPreset(frontend, reactSetup, frontendLang)),
+  );
+}
+
+// Whether `dir` is inside a work tree already (a monorepo, or an earlier run)
+async function insideRepository(dir) {
+  const cwd = fs.existsSync(dir) ? dir : path.dirname(dir);
+  const { exitCode } = await execa(
+    "git",
+    ["rev-parse", "--is-inside-work-tree"],
+    {
+      cwd,
+      reject: false,
+    },
+  );
+  return exitCode === 0;
+}
+
+/**
+ * Create the repository and commit every generated file. Skipped with a
+ * warning when the project is already inside one. The hook is installed
+ * first, so the initial commit is linted and formatted like any other (the
+ * format step has run by then).
+ */
+export async function initRepository(ctx) {
+  const { rootDir, linting } = ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  if (await insideRepository(rootDir)) {
+    ctx.warn(
+      "The project is inside a git repository already: skipped git init and the initial commit",
+    );
+    return;
+  }
+
+  await ctx.run("git", ["init"], {
+    cwd: rootDir,
+    creates: [path.join(rootDir, ".git")],
+  });
+  if (linting) await ctx.run(...pm.exec("husky", []), { cwd: rootDir });
+  await ctx.run("git", ["add", "-A"], { cwd: rootDir });
+  await ctx.run("git", ["commit", "-m", "Initial commit from devstacker"], {
+    cwd: rootDir,
+  });
+  ctx.log("🌱 Git repository created with an initial commit");
+}
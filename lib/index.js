@@ -0,0 +1,35 @@
+// 📚 Programmatic API: import { createFullstackApp } from "devstacker"
+export { createFullstackApp } from "./create.js";
+export { FEATURES, addFeature } from "./add.js";
+export { detectProject } from "./detect.js";
+export { upgradeProject } from "./upgrade.js";
+export { MANIFEST_FILE, readManifest } from "./manifest.js";
+export {
+  BACKEND_FRAMEWORKS,
+  BACKEND_LANGS,
+  DATABASES,
+  DEFAULT_OPTIONS,
+  EXISTING_STRATEGIES,
+  FRONTENDS,
+  FRONTEND_LANGS,
+  ORMS,
+  REACT_SETUPS,
+  TAILWIND_BUILT_IN,
+  defaultFrontendLang,
+  normalizeAnswers,
+  resolveOptions,
+} from "./options.js";
+export {
+  CancelledError,
+  CommandError,
+  ConfigPatchError,
+  DevstackerError,
+  FeatureExistsError,
+  OptionsError,
+  ProjectNotFoundError,
+  StepError,
+  TargetExistsError,
+} from "./errors.js";
+export { SQL_DATABASES } from "./databases.js";
+export { validateProjectName } from "./target.js";
+export { PACKAGE_MANAGERS, detectPackageManager } from "./package-manager.js";
@@ -0,0 +1,698 @@
+import path from "path";
+import * as prettier from "prettier";
+import { patchJson } from "./config-patch.js";
+
+// Versions of every package the lint configs import
+const LINT_VERSIONS = {
+  eslint: "^9.39.1",
+  "@eslint/js": "^9.39.1",
+  prettier: "^3.6.2",
+  "eslint-config-prettier": "^10.1.8",
+  globals: "^17.13.0",
+  "typescript-eslint": "^8.71.0",
+  // typescript-eslint 8 supports TypeScript below 6.1; servers install the
+  // same range (SERVER_TS_VERSIONS in backend.js)
+  typescript: "~5.9.3",
+  "eslint-plugin-react": "^7.37.5",
+  "eslint-plugin-react-hooks": "^7.1.1",
+  "eslint-plugin-react-refresh": "^0.5.7",
+  "eslint-plugin-vue": "^10.11.1",
+  "angular-eslint": "^22.5.0",
+  "eslint-plugin-solid": "^0.18.0",
+  "eslint-plugin-svelte": "^3.23.0",
+  "eslint-plugin-astro": "^1.7.0",
+  "prettier-plugin-svelte": "^4.1.1",
+  "prettier-plugin-astro": "^1.1.0",
+};
+
+const versions = (...names) =>
+  Object.fromEntries(names.map((name) => [name, LINT_VERSIONS[name]]));
+
+// The root only formats; linting runs in server/ and client/
+export const LINT_DEV_DEPENDENCIES = versions("prettier");
+
+const PRETTIER_CONFIG = {
+  semi: true,
+  singleQuote: true,
+  tabWidth: 2,
+  trailingComma: "es5",
+};
+
+// The Prettier config with `plugins` for the client's component files.
+// prettier-plugin-astro needs the parser named for .astro files
+const prettierConfig = (plugins) => ({
+  ...PRETTIER_CONFIG,
+  plugins,
+  ...(plugins.includes("prettier-plugin-astro") && {
+    overrides: [{ files: "*.astro", options: { parser: "astro" } }],
+  }),
+});
+
+// Generated and build output prettier leaves alone, in every folder
+const PRETTIER_IGNORE = `node_modules
+dist
+build
+coverage
+.next
+.angular
+.svelte-kit
+.nuxt
+.output
+.astro
+.react-router
+package-lock.json
+pnpm-lock.yaml
+yarn.lock
+bun.lock
+.fullstackrc.json
+.fullstack-templates.json
+`;
+
+export const LINT_SCRIPTS = {
+  lint: "eslint .",
+  "lint:fix": "eslint . --fix",
+  format: "prettier --write .",
+  "format:check": "prettier --check .",
+};
+
+// Flat config from its imports and entries; eslint-config-prettier goes last
+// so it turns off the rules prettier takes care of
+function flatConfig(imports, entries) {
+  const lines = [
+    ...imports,
+    "import { defineConfig, globalIgnores } from 'eslint/config';",
+    "import prettier from 'eslint-config-prettier/flat';",
+  ].sort((a, b) => (a.split("'")[1] < b.split("'")[1] ? -1 : 1));
+  return `${lines.join("\n")}
+
+export default defineConfig([
+${entries.join("\n")}
+  prettier,
+]);
+`;
+}
+
+// vite.config.js (or .ts) runs in Node (it reads process.env for the dev proxy)
+const viteConfigGlobals = (file) => `  {
+    files: ['${file}'],
+    languageOptions: { globals: globals.node },
+  },`;
+
+// Globals of the clients whose code also runs on their own Node server
+const SERVER_RENDERED_GLOBALS =
+  "languageOptions: { globals: { ...globals.browser, ...globals.node } },";
+
+// React (Vite) clients, in JavaScript or TypeScript. Remix (`remix`) runs
+// its routes on the server too, and route modules export loaders next to
+// the component, which react-refresh's rule would flag
+function reactPreset(ts, remix = false) {
+  const files = ts ? "**/*.{ts,tsx}" : "**/*.{js,jsx}";
+  return {
+    file: "eslint.config.js",
+    sources: ts ? "*.{ts,tsx}" : "*.{js,jsx}",
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "globals",
+      ...(ts ? ["typescript-eslint"] : []),
+      "eslint-plugin-react",
+      "eslint-plugin-react-hooks",
+      ...(remix ? [] : ["eslint-plugin-react-refresh"]),
+    ],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import globals from 'globals';",
+          "import react from 'eslint-plugin-react';",
+          "import reactHooks from 'eslint-plugin-react-hooks';",
+          ...(remix
+            ? []
+            : ["import reactRefresh from 'eslint-plugin-react-refresh';"]),
+          ...(ts ? ["import tseslint from 'typescript-eslint';"] : []),
+        ],
+        [
+          remix
+            ? "  globalIgnores(['build', '.react-router']),"
+            : "  globalIgnores(['dist']),",
+          `  {
+    files: ['${files}'],
+    extends: [
+      js.configs.recommended,${ts ? "\n      tseslint.configs.recommended," : ""}
+      react.configs.flat.recommended,
+      react.configs.flat['jsx-runtime'],
+      reactHooks.configs.flat.recommended,${remix ? "" : "\n      reactRefresh.configs.vite,"}
+    ],
+    ${remix ? SERVER_RENDERED_GLOBALS : "languageOptions: { globals: globals.browser },"}
+    settings: { react: { version: 'detect' } },
+  },`,
+          ...(remix
+            ? []
+            : [viteConfigGlobals(ts ? "vite.config.ts" : "vite.config.js")]),
+        ],
+      ),
+  };
+}
+
+// SolidJS (Vite) clients, with eslint-plugin-solid's flat config for the
+// language
+function solidPreset(ts) {
+  const files = ts ? "**/*.{ts,tsx}" : "**/*.{js,jsx}";
+  return {
+    file: "eslint.config.js",
+    sources: ts ? "*.{ts,tsx}" : "*.{js,jsx}",
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "globals",
+      ...(ts ? ["typescript-eslint"] : []),
+      "eslint-plugin-solid",
+    ],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import globals from 'globals';",
+          `import solid from 'eslint-plugin-solid/configs/${ts ? "typescript" : "recommended"}';`,
+          ...(ts ? ["import tseslint from 'typescript-eslint';"] : []),
+        ],
+        [
+          "  globalIgnores(['dist']),",
+          `  {
+    files: ['${files}'],
+    extends: [
+      js.configs.recommended,${ts ? "\n      tseslint.configs.recommended," : ""}
+      solid,
+    ],
+    languageOptions: { globals: globals.browser },
+  },`,
+          viteConfigGlobals(ts ? "vite.config.ts" : "vite.config.js"),
+        ],
+      ),
+  };
+}
+
+// SvelteKit clients; in TypeScript, eslint-plugin-svelte parses
+// <script lang="ts"> with the typescript-eslint parser
+function sveltePreset(ts) {
+  return {
+    file: "eslint.config.js",
+    sources: ts ? "*.{js,ts,svelte}" : "*.{js,svelte}",
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "globals",
+      ...(ts ? ["typescript-eslint"] : []),
+      "eslint-plugin-svelte",
+    ],
+    prettierPlugins: ["prettier-plugin-svelte"],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import globals from 'globals';",
+          "import svelte from 'eslint-plugin-svelte';",
+          ...(ts ? ["import tseslint from 'typescript-eslint';"] : []),
+        ],
+        [
+          "  globalIgnores(['build', '.svelte-kit']),",
+          "  js.configs.recommended,",
+          ...(ts ? ["  tseslint.configs.recommended,"] : []),
+          "  svelte.configs.recommended,",
+          // Turns off the Svelte rules prettier-plugin-svelte takes care of
+          "  svelte.configs.prettier,",
+          `  {
+    ${SERVER_RENDERED_GLOBALS}
+  },`,
+          ...(ts
+            ? [
+                `  {
+    files: ['**/*.svelte', '**/*.svelte.ts'],
+    languageOptions: {
+      parserOptions: { parser: tseslint.parser, extraFileExtensions: ['.svelte'] },
+    },
+  },`,
+              ]
+            : []),
+        ],
+      ),
+  };
+}
+
+// Vue clients; in TypeScript, eslint-plugin-vue parses <script lang="ts">
+// with the typescript-eslint parser. Nuxt (`nuxt`) has no vite.config, and
+// builds into .nuxt and .output
+function vuePreset(ts, nuxt = false) {
+  const sources = ts ? "*.{ts,vue}" : "*.{js,vue}";
+  // The config files that run in Node (and read process.env)
+  const nodeConfigs = nuxt
+    ? ts
+      ? ["nuxt.config.ts"]
+      : []
+    : [ts ? "vite.config.ts" : "vite.config.js"];
+  return {
+    file: "eslint.config.js",
+    sources,
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "globals",
+      ...(ts ? ["typescript-eslint"] : []),
+      "eslint-plugin-vue",
+    ],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import globals from 'globals';",
+          "import pluginVue from 'eslint-plugin-vue';",
+          ...(ts ? ["import tseslint from 'typescript-eslint';"] : []),
+        ],
+        [
+          nuxt
+            ? "  globalIgnores(['dist', '.nuxt', '.output']),"
+            : "  globalIgnores(['dist']),",
+          "  js.configs.recommended,",
+          ...(ts ? ["  tseslint.configs.recommended,"] : []),
+          "  pluginVue.configs['flat/recommended'],",
+          `  {
+    files: ['**/${sources}'],
+    languageOptions: { globals: globals.browser },
+  },`,
+          ...(ts
+            ? [
+                `  {
+    files: ['**/*.vue'],
+    languageOptions: { parserOptions: { parser: tseslint.parser } },
+  },`,
+              ]
+            : []),
+          ...nodeConfigs.map(viteConfigGlobals),
+        ],
+      ),
+  };
+}
+
+// Astro clients: .astro components (their frontmatter, and the client-side
+// <script>s in TypeScript projects, through the typescript-eslint parser)
+function astroPreset(ts) {
+  return {
+    file: "eslint.config.js",
+    sources: ts ? "*.{js,ts,astro}" : "*.{js,astro}",
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "globals",
+      ...(ts ? ["typescript-eslint"] : []),
+      "eslint-plugin-astro",
+    ],
+    prettierPlugins: ["prettier-plugin-astro"],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import globals from 'globals';",
+          "import astro from 'eslint-plugin-astro';",
+          ...(ts ? ["import tseslint from 'typescript-eslint';"] : []),
+        ],
+        [
+          "  globalIgnores(['dist', '.astro']),",
+          "  js.configs.recommended,",
+          ...(ts ? ["  tseslint.configs.recommended,"] : []),
+          "  astro.configs.recommended,",
+          `  {
+    files: ['**/${ts ? "*.{js,ts,astro}" : "*.{js,astro}"}'],
+    languageOptions: { globals: globals.browser },
+  },`,
+          ...(ts
+            ? [
+                `  {
+    files: ['**/*.astro'],
+    languageOptions: { parserOptions: { parser: tseslint.parser } },
+  },`,
+              ]
+            : []),
+          viteConfigGlobals("astro.config.mjs"),
+        ],
+      ),
+  };
+}
+
+// Replaces create-next-app's config with the same Next.js rules plus
+// prettier; its TypeScript rules only in TypeScript projects
+function nextPreset(ts) {
+  return {
+    file: "eslint.config.mjs",
+    sources: ts ? "*.{js,jsx,ts,tsx}" : "*.{js,jsx}",
+    devDependencies: ["eslint"],
+    config: () =>
+      flatConfig(
+        [
+          "import nextVitals from 'eslint-config-next/core-web-vitals';",
+          ...(ts
+            ? ["import nextTs from 'eslint-config-next/typescript';"]
+            : []),
+        ],
+        [
+          "  nextVitals,",
+          ...(ts ? ["  nextTs,"] : []),
+          "  globalIgnores(['.next', 'out', 'build', 'next-env.d.ts']),",
+        ],
+      ),
+  };
+}
+
+// What each package is linted with: config file, the sources it lints (for
+// lint-staged), ESLint packages and the config. Config files are ES modules:
+// .js where package.json has "type": "module"
+const LINT_PRESETS = {
+  node: {
+    file: "eslint.config.mjs",
+    sources: "*.js",
+    devDependencies: ["eslint", "@eslint/js", "globals"],
+    config: () =>
+      flatConfig(
+        ["import js from '@eslint/js';", "import globals from 'globals';"],
+        [
+          "  globalIgnores(['dist']),",
+          `  {
+    files: ['**/*.js'],
+    extends: [js.configs.recommended],
+    languageOptions: { sourceType: 'commonjs', globals: globals.node },
+    rules: {
+      'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
+    },
+  },`,
+        ],
+      ),
+  },
+  "node-typescript": {
+    file: "eslint.config.mjs",
+    sources: "*.ts",
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "globals",
+      "typescript-eslint",
+      "typescript",
+    ],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import globals from 'globals';",
+          "import tseslint from 'typescript-eslint';",
+        ],
+        [
+          "  globalIgnores(['dist']),",
+          `  {
+    files: ['**/*.ts'],
+    extends: [js.configs.recommended, tseslint.configs.recommended],
+    languageOptions: { globals: globals.node },
+    rules: {
+      // Request bodies and driver errors are read as any before they are checked
+      '@typescript-eslint/no-explicit-any': 'off',
+      '@typescript-eslint/no-unused-vars': [
+        'error',
+        { argsIgnorePattern: '^_' },
+      ],
+    },
+  },`,
+        ],
+      ),
+  },
+  react: reactPreset(false),
+  "react-typescript": reactPreset(true),
+  vue: vuePreset(false),
+  "vue-typescript": vuePreset(true),
+  angular: {
+    file: "eslint.config.mjs",
+    sources: "*.{ts,html}",
+    devDependencies: [
+      "eslint",
+      "@eslint/js",
+      "typescript-eslint",
+      "angular-eslint",
+    ],
+    config: () =>
+      flatConfig(
+        [
+          "import js from '@eslint/js';",
+          "import angular from 'angular-eslint';",
+          "import tseslint from 'typescript-eslint';",
+        ],
+        [
+          "  globalIgnores(['dist', '.angular']),",
+          `  {
+    files: ['**/*.ts'],
+    extends: [
+      js.configs.recommended,
+      tseslint.configs.recommended,
+      angular.configs.tsRecommended,
+    ],
+    processor: angular.processInlineTemplates,
+    rules: {
+      '@angular-eslint/directive-selector': [
+        'error',
+        { type: 'attribute', prefix: 'app', style: 'camelCase' },
+      ],
+      '@angular-eslint/component-selector': [
+        'error',
+        { type: 'element', prefix: 'app', style: 'kebab-case' },
+      ],
+    },
+  },
+  {
+    files: ['**/*.html'],
+    extends: [
+      angular.configs.templateRecommended,
+      angular.configs.templateAccessibility,
+    ],
+  },`,
+        ],
+      ),
+  },
+  next: nextPreset(true),
+  "next-javascript": nextPreset(false),
+  solid: solidPreset(false),
+  "solid-typescript": solidPreset(true),
+  svelte: sveltePreset(true),
+  "svelte-javascript": sveltePreset(false),
+  nuxt: vuePreset(true, true),
+  "nuxt-javascript": vuePreset(false, true),
+  astro: astroPreset(true),
+  "astro-javascript": astroPreset(false),
+  remix: reactPreset(true, true),
+  "remix-javascript": reactPreset(false, true),
+};
+
+// Which presets each client framework uses: [JavaScript, TypeScript]
+const CLIENT_PRESETS = {
+  Vue: ["vue", "vue-typescript"],
+  "Next.js": ["next-javascript", "next"],
+  SolidJS: ["solid", "solid-typescript"],
+  SvelteKit: ["svelte-javascript", "svelte"],
+  Nuxt: ["nuxt-javascript", "nuxt"],
+  Astro: ["astro-javascript", "astro"],
+  Remix: ["remix-javascript", "remix"],
+};
+
+/**
+ * Lint preset of a client: react, vue, angular, next, solid, svelte, nuxt,
+ * astro or remix, named after the framework's default language and
+ * suffixed -typescript or -javascript for the other one (see
+ * CLIENT_PRESETS). Create React App clients get "cra" (or
+ * "cra-typescript"): react-scripts pins ESLint 8 and its eslintrc config.
+ */
+export function clientLintPreset(frontend, reactSetup, frontendLang) {
+  const ts = frontendLang === "TypeScript";
+  if (frontend === "React") {
+    const preset = reactSetup === "Create React App" ? "cra" : "react";
+    return ts ? `${preset}-typescript` : preset;
+  }
+  if (frontend === "Angular") return "angular";
+  return CLIENT_PRESETS[frontend][ts ? 1 : 0];
+}
+
+// Sources of the Create React App presets, which have no flat config
+const CRA_SOURCES = {
+  cra: "*.{js,jsx}",
+  "cra-typescript": "*.{js,jsx,ts,tsx}",
+};
+
+// Files prettier formats alone, next to the ones ESLint lints first
+const FORMATTED_ONLY = "*.{json,md,css,scss,yml,yaml}";
+
+/**
+ * lint-staged config of a package using `preset`: ESLint then prettier on
+ * its staged sources, prettier on the rest. Runs in the package's folder.
+ */
+export function lintStagedConfig(preset) {
+  const sources = CRA_SOURCES[preset] ?? LINT_PRESETS[preset].sources;
+  return {
+    [sources]: ["eslint --fix", "prettier --write"],
+    [FORMATTED_ONLY]: "prettier --write",
+  };
+}
+
+// lint-staged config of the project root (compose file, README, ...)
+export const ROOT_LINT_STAGED_CONFIG = { [FORMATTED_ONLY]: "prettier --write" };
+
+// Lint preset of the server, by language
+export const serverLintPreset = (backendLang) =>
+  backendLang === "TypeScript" ? "node-typescript" : "node";
+
+// react-scripts lints with ESLint 8 and the eslintConfig in package.json; an
+// ESLint 9 install would clash with its peer dependency. ESLint 8 only lints
+// .js files in folders unless given the other extensions
+function addCraLinting(ctx, dir, ts) {
+  const lint = ts ? "eslint src --ext .js,.jsx,.ts,.tsx" : "eslint src";
+  patchJson(
+    ctx,
+    path.join(dir, "package.json"),
+    (pkg) => ({
+      ...pkg,
+      scripts: {
+        ...pkg.scripts,
+        ...LINT_SCRIPTS,
+        lint,
+        "lint:fix": `${lint} --fix`,
+      },
+      eslintConfig: {
+        ...pkg.eslintConfig,
+        extends: [
+          ...(pkg.eslintConfig?.extends ?? ["react-app"]).filter(
+            (config) => config !== "prettier",
+          ),
+          "prettier",
+        ],
+      },
+      devDependencies: {
+        ...pkg.devDependencies,
+        ...versions("prettier", "eslint-config-prettier"),
+      },
+    }),
+    'add lint and format scripts, "prettier" to eslintConfig and prettier to devDependencies',
+  );
+}
+
+/**
+ * 🧹 Write the ESLint flat config of `preset` and the Prettier config (with
+ * the preset's Prettier plugins) into `dir`, and add the lint and format
+ * scripts and the packages they need to its package.json. Presets: node,
+ * node-typescript (servers), the client presets and their other-language
+ * variants (see clientLintPreset).
+ */
+export function addLintingConfig(ctx, dir, preset) {
+  if (ctx.readFile(path.join(dir, ".eslintrc.js")) !== null) {
+    ctx.warn(
+      `${path.relative(ctx.rootDir, dir) || "."}/.eslintrc.js is from an earlier devstacker and ESLint 9 ignores it; delete it`,
+    );
+  }
+  const prettierPlugins = LINT_PRESETS[preset]?.prettierPlugins ?? [];
+  ctx.writeJson(
+    path.join(dir, ".prettierrc"),
+    prettierPlugins.length ? prettierConfig(prettierPlugins) : PRETTIER_CONFIG,
+  );
+  ctx.writeFile(path.join(dir, ".prettierignore"), PRETTIER_IGNORE);
+  if (CRA_SOURCES[preset]) {
+    addCraLinting(ctx, dir, preset === "cra-typescript");
+    return;
+  }
+
+  const { file, devDependencies, config } = LINT_PRESETS[preset];
+  patchJson(
+    ctx,
+    path.join(dir, "package.json"),
+    (pkg) => {
+      const added = versions(
+        ...devDependencies,
+        "prettier",
+        "eslint-config-prettier",
+        ...prettierPlugins,
+      );
+      // angular-eslint releases follow Angular's major version
+      const angularMajor = pkg.dependencies?.["@angular/core"]?.match(/\d+/);
+      if (preset === "angular" && angularMajor) {
+        added["angular-eslint"] = `^${angularMajor[0]}.0.0`;
+      }
+      // ESLint takes over the lint script from create-vite's oxlint
+      const { oxlint: _oxlint, ...kept } = pkg.devDependencies ?? {};
+      return {
+        ...pkg,
+        scripts: { ...pkg.scripts, ...LINT_SCRIPTS },
+        devDependencies: { ...kept, ...added },
+      };
+    },
+    `add lint and format scripts and the ${preset} ESLint packages to devDependencies`,
+  );
+  ctx.writeFile(path.join(dir, file), config());
+  const oxlintConfig = path.join(dir, ".oxlintrc.json");
+  if (ctx.readFile(oxlintConfig) !== null) {
+    ctx.remove(oxlintConfig, "remove the oxlint config ESLint replaces");
+  }
+}
+
+// Root scripts: each package lints itself, prettier formats the whole project
+export function rootLintScripts(pm) {
+  const inBoth = (script) =>
+    `${pm.runIn("server", script)} && ${pm.runIn("client", script)}`;
+  return {
+    lint: inBoth("lint"),
+    "lint:fix": inBoth("lint:fix"),
+    format: LINT_SCRIPTS.format,
+    "format:check": LINT_SCRIPTS["format:check"],
+  };
+}
+
+// 🧹 Prettier config and ignore file of the project root, and its scripts
+export function addRootFormatting(ctx, pm, { addDependencies = true } = {}) {
+  const { rootDir } = ctx;
+  if (addDependencies) {
+    patchJson(
+      ctx,
+      path.join(rootDir, "package.json"),
+      (pkg) => ({
+        ...pkg,
+        scripts: { ...pkg.scripts, ...rootLintScripts(pm) },
+        devDependencies: { ...pkg.devDependencies, ...LINT_DEV_DEPENDENCIES },
+      }),
+      "add lint and format scripts and prettier to devDependencies",
+    );
+  }
+  ctx.writeJson(path.join(rootDir, ".prettierrc"), PRETTIER_CONFIG);
+  ctx.writeFile(path.join(rootDir, ".prettierignore"), PRETTIER_IGNORE);
+}
+
+/**
+ * 🧹 Format the whole project with its prettier configs, as its `format`
+ * script does: the generators' files and the ones devstacker wrote, so
+ * `format:check` passes from the start. Runs after the root install.
+ */
+export async function formatProject(ctx, pm) {
+  await ctx.run(...pm.exec("prettier", ["--write", "."]), {
+    cwd: ctx.rootDir,
+  });
+}
+
+/**
+ * `content` of the file at `relative` as the format step leaves it, with the
+ * prettier config and ignore files in `rootDir`. Unchanged for files prettier
+ * skips, and for those it cannot format here (a plugin that is not installed).
+ */
+export async function formatContent(rootDir, relative, content) {
+  const file = path.join(rootDir, relative);
+  try {
+    const { ignored, inferredParser } = await prettier.getFileInfo(file, {
+      ignorePath: [".gitignore", ".prettierignore"].map((name) =>
+        path.join(rootDir, name),
+      ),
+      resolveConfig: true,
+    });
+    if (ignored || !inferredParser) return content;
+    const config = await prettier.resolveConfig(file);
+    return await prettier.format(content, { ...config, filepath: file });
+  } catch {
+    return content;
+  }
+}
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import { OptionsError } from "./errors.js";
+import { normalizeAnswers } from "./options.js";
+
+// 🧾 PROJECT MANIFEST: what a project was scaffolded with, kept in its root
+
+export const MANIFEST_FILE = ".fullstackrc.json";
+// Content of the generated files as written, the base of upgrade's merges
+export const TEMPLATES_FILE = ".fullstack-templates.json";
+
+// Scaffolding choices recorded in the manifest, in the order they are written
+const CHOICE_KEYS = [
+  "projectName",
+  "frontend",
+  "reactSetup",
+  "frontendLang",
+  "backendFramework",
+  "backendLang",
+  "database",
+  "orm",
+  "tailwind",
+  "linting",
+  "testing",
+  "docker",
+  "apiProxy",
+  "git",
+  "packageManager",
+  "backendPort",
+  "frontendPort",
+];
+
+export const { version: DEVSTACKER_VERSION } = fs.readJsonSync(
+  new URL("../package.json", import.meta.url),
+);
+
+/**
+ * @typedef {object} Manifest
+ * @property {string} devstacker Version of devstacker that wrote the manifest
+ * @property {import("./options.js").CreateOptions} choices Scaffolding choices; valid as a preset
+ * @property {Record<string, string>} files SHA-256 of every file devstacker wrote, by path relative to the project root
+ * @property {Record<string, string>} templates Content of those files as written, from .fullstack-templates.json
+ */
+
+export const hashContent = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex");
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+function readJson(file) {
+  try {
+    return fs.readJsonSync(file);
+  } catch (err) {
+    throw new OptionsError(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// Object with sorted keys, so the files diff well between runs
+const sortKeys = (object) =>
+  Object.fromEntries(
+    Object.keys(object)
+      .sort()
+      .map((key) => [key, object[key]]),
+  );
+
+/**
+ * Read the manifest in `rootDir`. Null when there is none; an OptionsError
+ * when it cannot be parsed or its choices are invalid.
+ * @returns {Manifest | null}
+ */
+export function readManifest(rootDir) {
+  const file = path.join(rootDir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+
+  const manifest = readJson(file);
+  const { choices, files } = manifest ?? {};
+  if (!isObject(choices)) {
+    throw new OptionsError(`${file} has no "choices" object`);
+  }
+  if (!isObject(files)) {
+    throw new OptionsError(`${file} has no "files" object`);
+  }
+
+  const templatesFile = path.join(rootDir, TEMPLATES_FILE);
+  const templates = fs.existsSync(templatesFile) ? readJson(templatesFile) : {};
+  if (!isObject(templates)) {
+    throw new OptionsError(`${templatesFile} must contain an object`);
+  }
+
+  return {
+    devstacker: manifest.devstacker,
+    choices: normalizeAnswers(choices, (key) => `"choices.${key}" in ${file}`),
+    files,
+    templates,
+  };
+}
+
+/**
+ * Whether a file listed in the manifest still has the content devstacker
+ * wrote. `relative` is a path from the manifest's `files`.
+ */
+export function isUnmodified(rootDir, manifest, relative) {
+  const expected = manifest?.files[relative];
+  const file = path.join(rootDir, relative);
+  if (!expected || !fs.existsSync(file)) return false;
+  return hashContent(fs.readFileSync(file)) === expected;
+}
+
+// The scaffolding choices among resolved options, as the manifest records them
+export function recordedChoices(options) {
+  const choices = {};
+  for (const key of CHOICE_KEYS) {
+    if (options[key] !== undefined) choices[key] = options[key];
+  }
+  return choices;
+}
+
+// Write a file devstacker keeps for itself; earlier versions are replaced without asking
+function writeStateFile(ctx, relative, data) {
+  const file = path.join(ctx.rootDir, relative);
+  if (ctx.readFile(file) === null) {
+    ctx.writeJson(file, data);
+  } else {
+    ctx.updateFile(
+      file,
+      () => `${JSON.stringify(data, null, 2)}\n`,
+      "record the choices and files of this run",
+    );
+  }
+}
+
+/**
+ * Write the manifest and the templates file for the run in `ctx`: its
+ * choices and the files it wrote, on top of the entries of an earlier
+ * manifest. `templates` gives the generated content of files whose content
+ * on disk is not the template, such as package.json files installs added
+ * dependencies to and files upgrade merged: their template is recorded and
+ * hashed, not the file on disk.
+ * @param {Manifest | null} [previous]
+ * @param {Record<string, string>} [templates]
+ */
+export function writeManifest(ctx, previous = null, templates = {}) {
+  const choices = recordedChoices(ctx.options);
+
+  const written = {};
+  for (const relative of ctx.result().files) {
+    if (relative === MANIFEST_FILE || relative === TEMPLATES_FILE) continue;
+    const content = ctx.readFile(path.join(ctx.rootDir, relative));
+    if (content !== null) written[relative] = content;
+  }
+  Object.assign(written, templates);
+
+  const files = { ...previous?.files };
+  for (const [relative, content] of Object.entries(written)) {
+    files[relative] = hashContent(content);
+  }
+
+  writeStateFile(ctx, MANIFEST_FILE, {
+    devstacker: DEVSTACKER_VERSION,
+    choices,
+    files: sortKeys(files),
+  });
+  writeStateFile(
+    ctx,
+    TEMPLATES_FILE,
+    sortKeys({ ...previous?.templates, ...written }),
+  );
+}
@@ -0,0 +1,347 @@
+import path from "path";
+import { OptionsError } from "./errors.js";
+import { SQL_DATABASES } from "./databases.js";
+import { PACKAGE_MANAGERS } from "./package-manager.js";
+import { validateProjectName } from "./target.js";
+
+/**
+ * @typedef {object} CreateOptions
+ * @property {string} [projectName] Name of the project folder (default: my-fullstack-app)
+ * @property {string} [cwd] Directory the project folder is created in (default: process.cwd())
+ * @property {"React" | "Next.js" | "Vue" | "Angular" | "SvelteKit" | "SolidJS" | "Nuxt" | "Astro" | "Remix"} [frontend]
+ * @property {"Vite" | "Create React App"} [reactSetup] Only used with React
+ * @property {"JavaScript" | "TypeScript"} [frontendLang] Angular is TypeScript only (default: JavaScript for React, Vue and SolidJS, TypeScript otherwise)
+ * @property {"Express" | "Fastify" | "Koa" | "Hono" | "NestJS"} [backendFramework]
+ * @property {"JavaScript" | "TypeScript"} [backendLang] NestJS is TypeScript only (default: JavaScript, TypeScript for NestJS)
+ * @property {"None" | "SQLite" | "MongoDB" | "PostgreSQL" | "MySQL"} [database] (default: SQLite)
+ * @property {"Prisma" | "Drizzle" | "None"} [orm] Only used with SQL databases; None uses the plain driver (default: Prisma)
+ * @property {boolean} [tailwind] Install Tailwind CSS (not available for Next.js and Remix)
+ * @property {boolean} [linting] Add ESLint and Prettier configs
+ * @property {boolean} [testing] Add Jest + supertest server tests, component tests for the client and a root test script
+ * @property {boolean} [docker] Add Dockerfiles and a docker-compose setup
+ * @property {boolean} [git] Write a .gitignore, create a repository with an initial commit and, with linting, a husky + lint-staged pre-commit hook (default: true)
+ * @property {boolean} [apiProxy] Docker images proxy /api/ to the backend (nginx, or the server of server-rendered clients), so built clients call the API on their own origin (default: true)
+ * @property {"npm" | "pnpm" | "yarn" | "bun"} [packageManager] Runs installs and generators, and is used in scripts and Dockerfiles (default: npm)
+ * @property {number} [backendPort] Port the server listens on, in server/.env, the client's API URL and docker-compose.yml (default: 5000)
+ * @property {number} [frontendPort] Port docker-compose.yml publishes the frontend on (default: 3000)
+ * @property {"inherit" | "pipe"} [stdio] Output handling for the framework generators (default: inherit)
+ * @property {boolean} [dryRun] Plan every file, command and config edit without touching disk
+ * @property {"abort" | "overwrite" | "merge"} [existing] What to do when the project folder is not empty (default: abort)
+ * @property {(conflict: { path: string, diff: string, content: string }) => "overwrite" | "skip" | Promise<"overwrite" | "skip">} [onConflict]
+ *   Decides, when merging, whether an existing file that differs is replaced (default: skip)
+ * @property {boolean} [rollback] Undo everything created when a step fails or is cancelled (default: true)
+ * @property {AbortSignal} [signal] Aborts the run; running commands are killed and a CancelledError is thrown
+ * @property {(event: import("./context.js").ProgressEvent) => void} [onProgress]
+ */
+
+/**
+ * @typedef {Required<Omit<CreateOptions, "reactSetup" | "orm" | "onProgress" | "onConflict" | "signal">> &
+ *   Pick<CreateOptions, "reactSetup" | "orm" | "onProgress" | "onConflict" | "signal"> & { rootDir: string }} ResolvedOptions
+ */
+
+export const FRONTENDS = [
+  "React",
+  "Next.js",
+  "Vue",
+  "Angular",
+  "SvelteKit",
+  "SolidJS",
+  "Nuxt",
+  "Astro",
+  "Remix",
+];
+export const REACT_SETUPS = ["Create React App", "Vite"];
+export const BACKEND_FRAMEWORKS = [
+  "Express",
+  "Fastify",
+  "Koa",
+  "Hono",
+  "NestJS",
+];
+export const BACKEND_LANGS = ["JavaScript", "TypeScript"];
+export const FRONTEND_LANGS = ["JavaScript", "TypeScript"];
+export const DATABASES = ["None", "SQLite", "MongoDB", "PostgreSQL", "MySQL"];
+export const ORMS = ["Prisma", "Drizzle", "None"];
+export const EXISTING_STRATEGIES = ["abort", "overwrite", "merge"];
+
+// Frontends whose generator sets Tailwind CSS up itself
+export const TAILWIND_BUILT_IN = ["Next.js", "Remix"];
+
+// Frontends whose generator defaults to JavaScript; the others default to TypeScript
+const JAVASCRIPT_FRONTENDS = ["React", "Vue", "SolidJS"];
+
+// Accepted spellings for each choice, mapped to the canonical values above
+const CHOICE_ALIASES = {
+  frontend: {
+    react: "React",
+    next: "Next.js",
+    nextjs: "Next.js",
+    "next.js": "Next.js",
+    vue: "Vue",
+    angular: "Angular",
+    svelte: "SvelteKit",
+    sveltekit: "SvelteKit",
+    solid: "SolidJS",
+    solidjs: "SolidJS",
+    nuxt: "Nuxt",
+    nuxtjs: "Nuxt",
+    astro: "Astro",
+    remix: "Remix",
+    "react-router": "Remix",
+  },
+  backendFramework: {
+    express: "Express",
+    fastify: "Fastify",
+    koa: "Koa",
+    hono: "Hono",
+    nest: "NestJS",
+    nestjs: "NestJS",
+  },
+  backendLang: {
+    js: "JavaScript",
+    javascript: "JavaScript",
+    ts: "TypeScript",
+    typescript: "TypeScript",
+  },
+  frontendLang: {
+    js: "JavaScript",
+    javascript: "JavaScript",
+    ts: "TypeScript",
+    typescript: "TypeScript",
+  },
+  database: {
+    none: "None",
+    sqlite: "SQLite",
+    sqlite3: "SQLite",
+    mongo: "MongoDB",
+    mongodb: "MongoDB",
+    pg: "PostgreSQL",
+    postgres: "PostgreSQL",
+    postgresql: "PostgreSQL",
+    mysql: "MySQL",
+    mariadb: "MySQL",
+  },
+  orm: {
+    prisma: "Prisma",
+    drizzle: "Drizzle",
+    none: "None",
+    driver: "None",
+  },
+  reactSetup: {
+    cra: "Create React App",
+    "create-react-app": "Create React App",
+    "create react app": "Create React App",
+    vite: "Vite",
+  },
+  packageManager: Object.fromEntries(PACKAGE_MANAGERS.map((pm) => [pm, pm])),
+};
+
+const BOOLEAN_OPTIONS = [
+  "tailwind",
+  "linting",
+  "testing",
+  "docker",
+  "apiProxy",
+  "git",
+];
+const PORT_OPTIONS = ["backendPort", "frontendPort"];
+
+// A port number, or the digits of one (from flags); undefined when invalid
+function parsePort(value) {
+  const port =
+    typeof value === "string" && /^\d+$/.test(value.trim())
+      ? Number(value)
+      : value;
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : undefined;
+}
+
+export const DEFAULT_OPTIONS = {
+  projectName: "my-fullstack-app",
+  frontend: "React",
+  backendFramework: "Express",
+  backendLang: "JavaScript",
+  frontendLang: "JavaScript",
+  database: "SQLite",
+  orm: "Prisma",
+  reactSetup: "Vite",
+  tailwind: false,
+  linting: false,
+  testing: false,
+  docker: false,
+  apiProxy: true,
+  git: true,
+  packageManager: "npm",
+  backendPort: 5000,
+  frontendPort: 3000,
+};
+
+// Language of a frontend when none is chosen (see resolveOptions)
+export const defaultFrontendLang = (frontend) =>
+  resolveOptions({ frontend }).frontendLang;
+
+const RUNTIME_OPTIONS = [
+  "cwd",
+  "stdio",
+  "dryRun",
+  "existing",
+  "onConflict",
+  "rollback",
+  "signal",
+  "onProgress",
+];
+
+function normalizeChoice(key, value, source) {
+  if (typeof value !== "string") {
+    throw new OptionsError(`Invalid ${source}: expected a string`);
+  }
+  const aliases = CHOICE_ALIASES[key];
+  const normalized = aliases[value.trim().toLowerCase()];
+  if (!normalized) {
+    const allowed = [...new Set(Object.values(aliases))].join(", ");
+    throw new OptionsError(
+      `Invalid ${source}: "${value}". Expected one of: ${allowed}`,
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Validate and normalize a partial set of scaffolding choices.
+ * Unset values are left out; `describe` names a key in error messages.
+ */
+export function normalizeAnswers(raw, describe = (key) => `"${key}"`) {
+  const answers = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (value === undefined) continue;
+
+    if (key === "projectName") {
+      const name = typeof value === "string" ? value.trim() : value;
+      const problem = validateProjectName(name);
+      if (problem) {
+        throw new OptionsError(`Invalid ${describe(key)}: ${problem}`);
+      }
+      answers.projectName = name;
+    } else if (BOOLEAN_OPTIONS.includes(key)) {
+      if (typeof value !== "boolean") {
+        throw new OptionsError(
+          `Invalid ${describe(key)}: "${value}". Expected true or false`,
+        );
+      }
+      answers[key] = value;
+    } else if (PORT_OPTIONS.includes(key)) {
+      const port = parsePort(value);
+      if (port === undefined) {
+        throw new OptionsError(
+          `Invalid ${describe(key)}: "${value}". Expected a port number from 1 to 65535`,
+        );
+      }
+      answers[key] = port;
+    } else if (CHOICE_ALIASES[key]) {
+      answers[key] = normalizeChoice(key, value, describe(key));
+    } else {
+      throw new OptionsError(`Unknown option ${describe(key)}`);
+    }
+  }
+
+  if (TAILWIND_BUILT_IN.includes(answers.frontend) && answers.tailwind) {
+    throw new OptionsError(
+      `Tailwind CSS cannot be combined with ${answers.frontend}: its generator sets it up itself`,
+    );
+  }
+  if (
+    answers.backendFramework === "NestJS" &&
+    answers.backendLang === "JavaScript"
+  ) {
+    throw new OptionsError("NestJS backends can only be written in TypeScript");
+  }
+  if (answers.frontend === "Angular" && answers.frontendLang === "JavaScript") {
+    throw new OptionsError("Angular clients can only be written in TypeScript");
+  }
+  if (
+    answers.orm &&
+    answers.database &&
+    !SQL_DATABASES.includes(answers.database)
+  ) {
+    throw new OptionsError(
+      `ORM "${answers.orm}" was given but the database is ${answers.database}`,
+    );
+  }
+  if (answers.backendPort && answers.backendPort === answers.frontendPort) {
+    throw new OptionsError(
+      `The backend and the frontend cannot both use port ${answers.backendPort}`,
+    );
+  }
+  if (answers.reactSetup && answers.frontend && answers.frontend !== "React") {
+    throw new OptionsError(
+      `React setup "${answers.reactSetup}" was given but the frontend is ${answers.frontend}`,
+    );
+  }
+
+  return answers;
+}
+
+/**
+ * Fill in defaults and validate everything createFullstackApp needs.
+ * @param {CreateOptions} options
+ * @returns {ResolvedOptions}
+ */
+export function resolveOptions(options = {}) {
+  const choices = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!RUNTIME_OPTIONS.includes(key)) choices[key] = value;
+  }
+
+  const { reactSetup, backendLang, frontendLang, orm, ...defaults } =
+    DEFAULT_OPTIONS;
+  const resolved = { ...defaults, ...normalizeAnswers(choices) };
+  if (resolved.frontend === "React") resolved.reactSetup ??= reactSetup;
+  if (SQL_DATABASES.includes(resolved.database)) resolved.orm ??= orm;
+  resolved.backendLang ??=
+    resolved.backendFramework === "NestJS" ? "TypeScript" : backendLang;
+  resolved.frontendLang ??= JAVASCRIPT_FRONTENDS.includes(resolved.frontend)
+    ? frontendLang
+    : "TypeScript";
+  // Validate the merged result as well, defaults included
+  normalizeAnswers(resolved);
+
+  const stdio = options.stdio ?? "inherit";
+  if (stdio !== "inherit" && stdio !== "pipe") {
+    throw new OptionsError(
+      `Invalid "stdio": "${stdio}". Expected inherit or pipe`,
+    );
+  }
+  for (const key of ["dryRun", "rollback"]) {
+    if (options[key] !== undefined && typeof options[key] !== "boolean") {
+      throw new OptionsError(`Invalid "${key}": expected true or false`);
+    }
+  }
+  const existing = options.existing ?? "abort";
+  if (!EXISTING_STRATEGIES.includes(existing)) {
+    throw new OptionsError(
+      `Invalid "existing": "${existing}". Expected one of: ${EXISTING_STRATEGIES.join(", ")}`,
+    );
+  }
+  for (const key of ["onProgress", "onConflict"]) {
+    if (options[key] && typeof options[key] !== "function") {
+      throw new OptionsError(`Invalid "${key}": expected a function`);
+    }
+  }
+  if (options.signal && !(options.signal instanceof AbortSignal)) {
+    throw new OptionsError(`Invalid "signal": expected an AbortSignal`);
+  }
+
+  const cwd = options.cwd ?? process.cwd();
+  return {
+    ...resolved,
+    cwd,
+    rootDir: path.resolve(cwd, resolved.projectName),
+    stdio,
+    dryRun: options.dryRun ?? false,
+    existing,
+    onConflict: options.onConflict,
+    rollback: options.rollback ?? true,
+    signal: options.signal,
+    onProgress: options.onProgress,
+  };
+}
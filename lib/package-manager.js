@@ -0,0 +1,111 @@
+import fs from "fs-extra";
+import path from "path";
+
+export const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
+/**
+ * Package manager that launched the CLI, read from npm_config_user_agent
+ * (e.g. "pnpm/9.1.0 npm/? node/v20.11.0 linux x64"). Falls back to npm.
+ */
+export function detectPackageManager(
+  userAgent = process.env.npm_config_user_agent,
+) {
+  const name = userAgent?.split("/")[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : "npm";
+}
+
+const LOCAL_EXEC = { npm: "npx", pnpm: "pnpm exec", yarn: "yarn", bun: "bunx" };
+
+const RUN_IN_DIR = {
+  npm: (dir) => `npm --prefix ${dir} run`,
+  pnpm: (dir) => `pnpm --dir ${dir} run`,
+  yarn: (dir) => `yarn --cwd ${dir} run`,
+  bun: (dir) => `bun --cwd ${dir} run`,
+};
+
+const LOCKFILES = {
+  npm: "package-lock.json",
+  pnpm: "pnpm-lock.yaml",
+  yarn: "yarn.lock",
+  bun: "bun.lock",
+};
+
+const DOCKER = {
+  npm: {
+    setup: "",
+    manifests: "package*.json",
+    ci: "npm ci",
+    prune: "npm prune --omit=dev",
+  },
+  pnpm: {
+    setup: "RUN corepack enable\n",
+    manifests: "package.json pnpm-lock.yaml*",
+    ci: "pnpm install --frozen-lockfile",
+    prune: "pnpm prune --prod",
+  },
+  // Yarn 1 ships with the official node images
+  yarn: {
+    setup: "",
+    manifests: "package.json yarn.lock*",
+    ci: "yarn install --frozen-lockfile",
+    // Yarn 1 has no prune; a production install removes the dev dependencies
+    prune: "yarn install --frozen-lockfile --production",
+  },
+  bun: {
+    setup: "RUN npm install -g bun\n",
+    manifests: "package.json bun.lock*",
+    ci: "bun install --frozen-lockfile",
+    prune: "bun install --frozen-lockfile --production",
+  },
+};
+
+// Package manager whose lockfile is in `dir`, or undefined when there is none
+export function detectLockfile(dir) {
+  return PACKAGE_MANAGERS.find((name) =>
+    fs.existsSync(path.join(dir, LOCKFILES[name])),
+  );
+}
+
+/**
+ * Commands and file names for one package manager. Helpers named after a
+ * command return `[command, args]` pairs for ctx.run; the rest are strings
+ * for package.json scripts, Dockerfiles and instructions shown to the user.
+ */
+export function packageManager(name) {
+  const add = (deps, { dev = false } = {}) => [
+    name,
+    [name === "npm" ? "install" : "add", ...(dev ? ["-D"] : []), ...deps],
+  ];
+
+  return {
+    name,
+    install: () => [name, ["install"]],
+    add,
+
+    // Run a package that is not installed (npx). Yarn 1 has no dlx, so yarn uses npx.
+    dlx: (pkg, args) => {
+      if (name === "pnpm") return ["pnpm", ["dlx", pkg, ...args]];
+      if (name === "bun") return ["bunx", [pkg, ...args]];
+      return ["npx", [pkg, ...args]];
+    },
+
+    // Run a binary installed in the package's own node_modules
+    exec: (bin, args) => {
+      const [command, ...prefix] = LOCAL_EXEC[name].split(" ");
+      return [command, [...prefix, bin, ...args]];
+    },
+
+    // `npm create <initializer>`: npm needs `--` before the initializer's flags
+    create: (initializer, [target, ...flags]) =>
+      name === "npm"
+        ? ["npm", ["create", initializer, target, "--", ...flags]]
+        : [name, ["create", initializer, target, ...flags]],
+
+    execPrefix: LOCAL_EXEC[name],
+    runIn: (dir, script) => `${RUN_IN_DIR[name](dir)} ${script}`,
+    run: (script) => `${name} run ${script}`,
+    addCommand: (dep) => add([dep]).flat().join(" "),
+    lockfile: LOCKFILES[name],
+    docker: DOCKER[name],
+  };
+}
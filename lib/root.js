@@ -0,0 +1,45 @@
+import path from "path";
+import {
+  addRootFormatting,
+  LINT_DEV_DEPENDENCIES,
+  rootLintScripts,
+} from "./linting.js";
+import { addGitHooks, HOOK_DEV_DEPENDENCIES, writeGitignore } from "./git.js";
+import { packageManager } from "./package-manager.js";
+import { rootTestScripts } from "./testing.js";
+
+// 🧩 Root package.json running server and client together
+export function createRootPackage(ctx, clientCmd) {
+  const { rootDir, projectName, linting, testing, git, backendLang, frontend } =
+    ctx.options;
+  const pm = packageManager(ctx.options.packageManager);
+  // TypeScript servers compile before start runs them
+  const build = [
+    ...(backendLang === "TypeScript" ? [pm.runIn("server", "build")] : []),
+    pm.runIn("client", "build"),
+  ];
+
+  const rootPackage = {
+    name: projectName,
+    version: "1.0.0",
+    scripts: {
+      dev: `${pm.execPrefix} concurrently "${pm.runIn("server", "dev")}" "${pm.runIn("client", clientCmd)}"`,
+      build: build.join(" && "),
+      start: pm.runIn("server", "start"),
+      ...(linting && rootLintScripts(pm)),
+      ...(testing && rootTestScripts(pm, frontend)),
+      // Installs the git hooks
+      ...(linting && git && { prepare: "husky" }),
+    },
+    devDependencies: {
+      concurrently: "^8.2.0",
+      ...(linting && LINT_DEV_DEPENDENCIES),
+      ...(linting && git && HOOK_DEV_DEPENDENCIES),
+    },
+  };
+  ctx.writeJson(path.join(rootDir, "package.json"), rootPackage);
+
+  if (linting) addRootFormatting(ctx, pm, { addDependencies: false });
+  writeGitignore(ctx);
+  if (linting && git) addGitHooks(ctx, pm, { addDependencies: false });
+}
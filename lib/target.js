@@ -0,0 +1,74 @@
+import fs from "fs-extra";
+import { builtinModules } from "module";
+import path from "path";
+
+// Folders that never count as user content when walking an existing project
+const IGNORED_DIRS = new Set(["node_modules", ".git"]);
+
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Check a project name against npm's package naming rules and what is safe
+ * as a folder name on every platform.
+ * @returns {string | null} Why the name is invalid, or null when it is fine
+ */
+export function validateProjectName(name) {
+  if (typeof name !== "string" || name.trim() === "") {
+    return "project name cannot be empty";
+  }
+  if (name !== name.trim()) {
+    return "project name cannot start or end with spaces";
+  }
+  if (name.length > 214) {
+    return "project name cannot be longer than 214 characters";
+  }
+  if (name.startsWith("@")) {
+    return "scoped names (@scope/name) cannot be used as a folder name";
+  }
+  if (/[/\\]/.test(name) || name === "." || name === "..") {
+    return "project name must be a single folder name, not a path";
+  }
+  if (name.startsWith(".") || name.startsWith("_")) {
+    return "project name cannot start with a period or an underscore";
+  }
+  if (name !== name.toLowerCase()) {
+    return "project name cannot contain capital letters";
+  }
+  if (/[~'!()*]/.test(name) || encodeURIComponent(name) !== name) {
+    return "project name can only contain URL-friendly characters (a-z, 0-9, -, _, .)";
+  }
+  if (name === "node_modules" || name === "favicon.ico") {
+    return `"${name}" is not allowed as a package name`;
+  }
+  if (builtinModules.includes(name)) {
+    return `"${name}" is the name of a Node.js core module`;
+  }
+  if (WINDOWS_RESERVED.test(name) || name.endsWith(".")) {
+    return `"${name}" is not a valid folder name on Windows`;
+  }
+  return null;
+}
+
+// Entries of `dir`, or an empty list when it does not exist
+export function listEntries(dir) {
+  if (!fs.existsSync(dir)) return [];
+  if (!fs.statSync(dir).isDirectory()) return [path.basename(dir)];
+  return fs.readdirSync(dir);
+}
+
+// Every file below `dir` (skipping node_modules and .git), as absolute paths
+export function listFiles(dir) {
+  const files = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) walk(full);
+      } else {
+        files.push(full);
+      }
+    }
+  };
+  if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) walk(dir);
+  return files;
+}
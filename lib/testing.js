@@ -0,0 +1,963 @@
+import path from "path";
+import { importer, schemaPush } from "./databases.js";
+import { viteConfigFile } from "./dev-proxy.js";
+import { packageManager } from "./package-manager.js";
+import { NEXT_APP_DIR } from "./users-page.js";
+import { memoryRepositoryModule } from "./users-resource.js";
+
+// 🧪 TESTING: Jest + supertest for the server, the frontend's own component
+// tests for the client, and a root test script running both
+
+// Versions of every package the test setups install
+const TEST_VERSIONS = {
+  jest: "^30.5.2",
+  "@jest/globals": "^30.5.2",
+  supertest: "^7.3.0",
+  "@types/supertest": "^7.2.1",
+  "mongodb-memory-server": "^11.3.0",
+  "@electric-sql/pglite": "^0.5.8",
+  "@electric-sql/pglite-socket": "^0.2.11",
+  "@swc/jest": "^0.2.39",
+  "@swc/core": "^1.16.12",
+  // Vitest 5 needs Node 22, and Node 20's npm fails to install it
+  vitest: "^4.1.9",
+  jsdom: "^29.0.1",
+  "@testing-library/react": "^16.3.3",
+  "@testing-library/dom": "^10.4.2",
+  "@testing-library/jest-dom": "^6.9.1",
+  "@testing-library/vue": "^8.1.0",
+  "@vitejs/plugin-react": "^6.1.1",
+  "@solidjs/testing-library": "^0.8.10",
+  "@testing-library/svelte": "^5.4.2",
+};
+
+const versions = (...names) =>
+  Object.fromEntries(names.map((name) => [name, TEST_VERSIONS[name]]));
+
+// Clients the users page gets no tests in: Nuxt's need a Nuxt runtime
+// (@nuxt/test-utils) and Astro's page is plain markup and a script
+const UNTESTED_FRONTENDS = ["Nuxt", "Astro"];
+
+// Root script: the server's tests, then the client's (if it has any)
+export const rootTestScripts = (pm, frontend) => ({
+  test: UNTESTED_FRONTENDS.includes(frontend)
+    ? pm.runIn("server", "test")
+    : `${pm.runIn("server", "test")} && ${pm.runIn("client", "test")}`,
+});
+
+// Adds scripts and devDependencies to the package.json in `dir`
+function addTestPackages(ctx, dir, scripts, devDependencies, description) {
+  ctx.updateJson(
+    path.join(dir, "package.json"),
+    (pkg) => ({
+      ...pkg,
+      scripts: { ...pkg.scripts, ...scripts },
+      devDependencies: { ...pkg.devDependencies, ...devDependencies },
+    }),
+    description,
+  );
+}
+
+// ts-jest does not support the TypeScript version servers install; SWC
+// strips the types instead (type checking is tsc's job)
+function swcTransform(nest) {
+  if (!nest) {
+    return `  transform: {
+    '^.+\\\\.ts$': ['@swc/jest', { jsc: { parser: { syntax: 'typescript' } } }],
+  },
+`;
+  }
+  return `  // NestJS ships ES modules, which Jest only loads once they are compiled to
+  // CommonJS, and injects dependencies by their decorator metadata
+  transform: {
+    '^.+\\\\.(t|j)s$': [
+      '@swc/jest',
+      {
+        jsc: {
+          parser: { syntax: 'typescript', decorators: true },
+          transform: { legacyDecorator: true, decoratorMetadata: true },
+        },
+      },
+    ],
+  },
+  transformIgnorePatterns: ['/node_modules/(?!(\\\\.pnpm/)?@nestjs[+/])'],
+`;
+}
+
+// Where the server's tests keep their data: MongoDB or PostgreSQL (PGlite)
+// servers started for the run, SQLite in memory or, for the ORMs, which push
+// their schema with their CLI, in a temporary file. MySQL has no in-memory
+// server, so its tests get stand-ins for the database module and the users
+// repository
+function testDatabase(database, orm) {
+  if (database === "MongoDB") return "mongodb";
+  if (database === "PostgreSQL") return "pglite";
+  if (database === "SQLite") {
+    return schemaPush(database, orm) ? "sqlite-file" : "sqlite-memory";
+  }
+  if (database === "MySQL") return "stand-ins";
+  return null;
+}
+
+// What jest.config.js says each global setup does
+const GLOBAL_SETUPS = {
+  mongodb:
+    "Starts an in-memory MongoDB for the run and points MONGODB_URL at it",
+  pglite:
+    "Starts PostgreSQL (PGlite, in memory) for the run and points DATABASE_URL at it",
+  "sqlite-file":
+    "Pushes the schema to a SQLite file for the run and points DATABASE_URL at it",
+};
+
+// jest.config.js: the database set up for the run, or the stand-ins
+function jestConfig(ts, testDb, framework) {
+  const ext = ts ? "ts" : "js";
+  const globalSetup = GLOBAL_SETUPS[testDb]
+    ? `  // ${GLOBAL_SETUPS[testDb]}
+  globalSetup: '<rootDir>/test/global-setup.${ext}',
+  globalTeardown: '<rootDir>/test/global-teardown.${ext}',
+`
+    : "";
+  const standIns =
+    testDb === "stand-ins"
+      ? `  // MySQL has no in-memory server: the database module and the users
+  // repository are swapped for the in-memory ones in test/stand-ins
+  moduleNameMapper: {
+    '^\\\\.{1,2}/(.*/)?database$': '<rootDir>/test/stand-ins/database',
+    '^\\\\.{1,2}/(.*/)?users\\\\.repository$': '<rootDir>/test/stand-ins/users.repository',
+  },
+`
+      : "";
+  return `/** @type {import('jest').Config} */
+module.exports = {
+  testEnvironment: 'node',
+  setupFiles: ['<rootDir>/test/setup.${ext}'],
+${ts ? swcTransform(framework === "NestJS") : ""}${globalSetup}${standIns}};
+`;
+}
+
+// test/setup: runs in every test file before the config module reads the environment
+function setupFile(testDb) {
+  const url = {
+    "stand-ins": `
+// The stand-ins never connect; any URL passes the config check
+process.env.DATABASE_URL ??= 'stand-in';
+`,
+    "sqlite-memory": `
+// Each test file gets a database of its own, which better-sqlite3 keeps in memory
+process.env.DATABASE_URL = ':memory:';
+`,
+  };
+  return `// Logs stay quiet unless LOG_LEVEL is set, e.g. LOG_LEVEL=debug npm test
+process.env.LOG_LEVEL ??= 'silent';
+process.env.DOTENV_CONFIG_QUIET ??= 'true';
+${url[testDb] ?? ""}`;
+}
+
+// global-setup and global-teardown share what they start through globalThis
+const shared = (ts, name) =>
+  `${ts ? "(globalThis as any)" : "globalThis"}.${name}`;
+const hook = (ts, name) =>
+  `${ts ? "export default async function" : "module.exports = async function"} ${name}()`;
+
+function mongoGlobalSetup(ts) {
+  const load = importer(ts);
+  return `${load("{ MongoMemoryServer }", "mongodb-memory-server")}
+
+// Runs once before the test files; they inherit MONGODB_URL
+${hook(ts, "globalSetup")} {
+  const mongo = await MongoMemoryServer.create();
+  process.env.MONGODB_URL = mongo.getUri('test');
+  // Read back by global-teardown
+  ${shared(ts, "__MONGO__")} = mongo;
+}${ts ? "" : ";"}
+`;
+}
+
+function mongoGlobalTeardown(ts) {
+  return `${hook(ts, "globalTeardown")} {
+  await ${shared(ts, "__MONGO__")}.stop();
+}${ts ? "" : ";"}
+`;
+}
+
+// The server's script that pushes the schema, run from the server folder.
+// Asynchronously, as the PGlite server answering it runs in this process
+const pushSchema = (pm, script) => `
+  // The ORM creates the tables, as \`${pm.run(script)}\` does for the database in .env
+  await promisify(exec)('${pm.run(script)}', { cwd: join(__dirname, '..') });`;
+
+const PUSH_IMPORTS = [
+  ["{ exec }", "child_process"],
+  ["{ join }", "path"],
+  ["{ promisify }", "util"],
+];
+
+// PostgreSQL compiled to WebAssembly, served on a free local port
+function pgliteGlobalSetup(ts, pm, push) {
+  const load = importer(ts);
+  const imports = [
+    ...(push ? PUSH_IMPORTS : []),
+    ["{ PGlite }", "@electric-sql/pglite"],
+    ["{ PGLiteSocketServer }", "@electric-sql/pglite-socket"],
+  ];
+  return `${imports.map((args) => load(...args)).join("\n")}
+
+// Runs once before the test files; they inherit DATABASE_URL
+${hook(ts, "globalSetup")} {
+  // As many connections as a pg pool opens
+  const server = new PGLiteSocketServer({
+    db: await PGlite.create(),
+    port: 0,
+    maxConnections: 10,
+  });
+  await server.start();
+  process.env.DATABASE_URL = \`postgresql://postgres:postgres@\${server.getServerConn()}/postgres\`;${push ? pushSchema(pm, push.script) : ""}
+  // Read back by global-teardown
+  ${shared(ts, "__DATABASE__")} = server;
+}${ts ? "" : ";"}
+`;
+}
+
+function pgliteGlobalTeardown(ts) {
+  return `${hook(ts, "globalTeardown")} {
+  const server = ${shared(ts, "__DATABASE__")};
+  await server.stop();
+  await server.db.close();
+}${ts ? "" : ";"}
+`;
+}
+
+// A SQLite file in a temporary folder, for the ORM's CLI to push the schema to
+function sqliteGlobalSetup(ts, pm, push, orm) {
+  const load = importer(ts);
+  const imports = [
+    ["{ exec }", "child_process"],
+    ["{ mkdtempSync }", "fs"],
+    ["{ tmpdir }", "os"],
+    ["{ join }", "path"],
+    ["{ promisify }", "util"],
+  ];
+  const file = "join(dir, 'test.db')";
+  return `${imports.map((args) => load(...args)).join("\n")}
+
+// Runs once before the test files; they inherit DATABASE_URL
+${hook(ts, "globalSetup")} {
+  const dir = mkdtempSync(join(tmpdir(), 'test-db-'));
+  process.env.DATABASE_URL = ${orm === "Prisma" ? `\`file:\${${file}}\`` : file};${pushSchema(pm, push.script)}
+  // Read back by global-teardown
+  ${shared(ts, "__DATABASE__")} = dir;
+}${ts ? "" : ";"}
+`;
+}
+
+function sqliteGlobalTeardown(ts) {
+  return `${importer(ts)("{ rmSync }", "fs")}
+
+${hook(ts, "globalTeardown")} {
+  rmSync(${shared(ts, "__DATABASE__")}, { recursive: true, force: true });
+}${ts ? "" : ";"}
+`;
+}
+
+// Same functions as the database module, connecting to nothing
+function databaseStandIn(ts) {
+  const exported = ts
+    ? "export { connectDatabase, checkDatabase, disconnectDatabase };"
+    : "module.exports = { connectDatabase, checkDatabase, disconnectDatabase };";
+  return `// Stands in for the database module in tests (see moduleNameMapper in jest.config.js)
+async function connectDatabase() {}
+
+async function checkDatabase() {}
+
+async function disconnectDatabase() {}
+
+${exported}
+`;
+}
+
+// How supertest reaches each framework's app, and what starts and stops it
+const SUPERTEST_TARGETS = {
+  Express: { server: "app" },
+  Koa: { server: "app.callback()" },
+  Hono: {
+    imports: [["{ getRequestListener }", "@hono/node-server"]],
+    server: "getRequestListener(app.fetch)",
+  },
+  Fastify: {
+    server: "app.server",
+    setup: "await app.ready();",
+    teardown: "await app.close();",
+  },
+};
+
+// Lifecycle and supertest target of the app under test
+function appUnderTest(ts, framework) {
+  const src = ts ? "../src" : "..";
+  if (framework === "NestJS") {
+    return {
+      imports: [["{ createApp }", `${src}/app`]],
+      typeImports: [["{ INestApplication }", "@nestjs/common"]],
+      body: `let app: INestApplication;
+// supertest sends requests to the app without it listening on a port
+const api = () => request(app.getHttpServer());
+
+beforeAll(async () => {
+  app = await createApp();
+  await app.init();
+  await connectDatabase();
+});
+
+// Closing the app disconnects the database (see AppModule)
+afterAll(() => app.close());`,
+    };
+  }
+
+  const {
+    imports = [],
+    server,
+    setup,
+    teardown,
+  } = SUPERTEST_TARGETS[framework];
+  return {
+    imports: [...imports, ["app", `${src}/app`]],
+    body: `// supertest sends requests to the app without it listening on a port
+const api = () => request(${server});
+
+beforeAll(async () => {
+  ${setup ? `${setup}\n  ` : ""}await connectDatabase();
+});
+
+afterAll(async () => {
+  ${teardown ? `${teardown}\n  ` : ""}await disconnectDatabase();
+});`,
+  };
+}
+
+// test/app.test: health checks, the JSON 404 and the users API
+function appTest(ts, framework) {
+  const load = importer(ts);
+  const src = ts ? "../src" : "..";
+  const { imports, typeImports = [], body } = appUnderTest(ts, framework);
+  const database =
+    framework === "NestJS"
+      ? "{ connectDatabase }"
+      : "{ connectDatabase, disconnectDatabase }";
+  const lines = [
+    load("{ afterAll, beforeAll, describe, expect, it }", "@jest/globals"),
+    load("request", "supertest"),
+    ...imports.map(([binding, source]) => load(binding, source)),
+    load(database, `${src}/database`),
+    ...(ts
+      ? typeImports.map(
+          ([binding, source]) => `import type ${binding} from '${source}';`,
+        )
+      : []),
+  ];
+  return `${lines.join("\n")}
+
+${body}
+
+describe('health checks', () => {
+  it('answers GET /healthz', async () => {
+    const res = await api().get('/healthz');
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ok');
+  });
+
+  it('answers GET /readyz once the database is connected', async () => {
+    const res = await api().get('/readyz');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'ready' });
+  });
+});
+
+it('answers unknown routes with a JSON 404', async () => {
+  const res = await api().get('/no-such-route');
+  expect(res.status).toBe(404);
+  expect(res.body.error).toEqual(expect.any(String));
+});
+
+describe('/api/users', () => {
+  it('creates, reads, lists and deletes a user', async () => {
+    const created = await api()
+      .post('/api/users')
+      .send({ email: 'Ada@Example.com', name: 'Ada' });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ email: 'ada@example.com', name: 'Ada' });
+    const { id } = created.body;
+
+    expect((await api().get(\`/api/users/\${id}\`)).body).toEqual(created.body);
+    expect((await api().get('/api/users')).body).toContainEqual(created.body);
+
+    expect((await api().delete(\`/api/users/\${id}\`)).status).toBe(204);
+    expect((await api().get(\`/api/users/\${id}\`)).status).toBe(404);
+  });
+
+  it('rejects an invalid user with the problems found', async () => {
+    const res = await api().post('/api/users').send({ email: 'not an email' });
+    expect(res.status).toBe(400);
+    expect(res.body.details).toContain('email must be a valid email address');
+  });
+
+  it('rejects an email that is already in use', async () => {
+    await api().post('/api/users').send({ email: 'grace@example.com' });
+    const res = await api().post('/api/users').send({ email: 'grace@example.com' });
+    expect(res.status).toBe(409);
+  });
+});
+`;
+}
+
+/**
+ * 🧪 Jest + supertest for the server in `serverDir`: jest.config.js, the
+ * test scripts and packages, and test/app.test exercising the app without
+ * it listening against a real database: an in-memory MongoDB or PostgreSQL
+ * (PGlite) started for the run, or SQLite, the ORMs' schema pushed to it
+ * first. MySQL servers get in-memory stand-ins for the database module and
+ * the users repository. The caller installs the packages.
+ */
+export function addServerTests(ctx, serverDir) {
+  const { backendLang, backendFramework, database, orm } = ctx.options;
+  const ts = backendLang === "TypeScript";
+  const ext = ts ? ".ts" : ".js";
+  const pm = packageManager(ctx.options.packageManager);
+  const testDb = testDatabase(database, orm);
+  const push = schemaPush(database, orm);
+  const write = (file, content) =>
+    ctx.writeFile(path.join(serverDir, "test", file + ext), content);
+
+  addTestPackages(
+    ctx,
+    serverDir,
+    { test: "jest", "test:watch": "jest --watchAll" },
+    versions(
+      "jest",
+      "@jest/globals",
+      "supertest",
+      ...(ts ? ["@types/supertest", "@swc/jest", "@swc/core"] : []),
+      ...(testDb === "mongodb" ? ["mongodb-memory-server"] : []),
+      ...(testDb === "pglite"
+        ? ["@electric-sql/pglite", "@electric-sql/pglite-socket"]
+        : []),
+    ),
+    "add the test scripts and Jest and supertest to devDependencies",
+  );
+  ctx.writeFile(
+    path.join(serverDir, "jest.config.js"),
+    jestConfig(ts, testDb, backendFramework),
+  );
+  write("setup", setupFile(testDb));
+  write("app.test", appTest(ts, backendFramework));
+  if (testDb === "mongodb") {
+    write("global-setup", mongoGlobalSetup(ts));
+    write("global-teardown", mongoGlobalTeardown(ts));
+  } else if (testDb === "pglite") {
+    write("global-setup", pgliteGlobalSetup(ts, pm, push));
+    write("global-teardown", pgliteGlobalTeardown(ts));
+  } else if (testDb === "sqlite-file") {
+    write("global-setup", sqliteGlobalSetup(ts, pm, push, orm));
+    write("global-teardown", sqliteGlobalTeardown(ts));
+  } else if (testDb === "stand-ins") {
+    write("stand-ins/database", databaseStandIn(ts));
+    write(
+      "stand-ins/users.repository",
+      memoryRepositoryModule(ts, ts ? "../../src" : "../.."),
+    );
+  }
+  ctx.log("🧪 Jest and supertest tests added to server");
+}
+
+// Stubs fetch with an in-memory users API; \`mock\` is vi or jest, \`q\` and \`s\`
+// the quote and statement end the client's code uses. \`jsdoc\` types it in
+// comments, for JavaScript that is type-checked
+function mockApi(mock, { q = "'", s = "", ts = false, jsdoc = false } = {}) {
+  const type = (annotation) => (ts ? annotation : "");
+  const users = "{ id: number; email: string; name: string | null }[]";
+  const doc = (comment) => (jsdoc ? `/** ${comment} */ ` : "");
+  const stub = jsdoc
+    ? "/** @type {typeof globalThis.fetch} */ (/** @type {unknown} */ (fetch))"
+    : `fetch${type(" as unknown as typeof globalThis.fetch")}`;
+  return `// fetch answers from an in-memory list instead of the server
+${jsdoc ? `/** @param {${users}} [users] */\n` : ""}function mockApi(users${type(`: ${users}`)} = []) {
+  const fetch = ${mock}.fn(${doc("@param {string} _url @param {RequestInit} [init]")}async (_url${type(": string")}, init${type(": RequestInit")} = {}) => {
+    if (init.method === ${q}POST${q}) {
+      users.push({ id: users.length + 1, name: null, ...JSON.parse(${ts || jsdoc ? "String(init.body)" : "init.body"}) })${s}
+    }
+    return { ok: true, status: 200, json: async () => users }${s}
+  })${s}
+  globalThis.fetch = ${stub}${s}
+  return fetch${s}
+}`;
+}
+
+// Component tests of the React users page (React Testing Library)
+function reactUsersTest({ runner, s, ts = false, component, q = "'" }) {
+  const quote = (text) => `${q}${text}${q}`;
+  const imports =
+    runner === "vitest"
+      ? [
+          `import { fireEvent, render, screen } from ${quote("@testing-library/react")}${s}`,
+          `import { afterEach, expect, it, vi } from ${quote("vitest")}${s}`,
+          `import Users from ${quote(component)}${s}`,
+        ]
+      : [
+          `import { fireEvent, render, screen } from ${quote("@testing-library/react")}${s}`,
+          `import Users from ${quote(component)}${s}`,
+        ];
+  const mock = runner === "vitest" ? "vi" : "jest";
+  return `${imports.join("\n")}
+
+const realFetch = globalThis.fetch${s}
+
+${mockApi(mock, { q, s, ts })}
+
+afterEach(() => {
+  globalThis.fetch = realFetch${s}
+})${s}
+
+it(${quote("lists the users from the API")}, async () => {
+  mockApi([{ id: 1, email: ${quote("ada@example.com")}, name: ${quote("Ada")} }])${s}
+  render(<Users />)${s}
+  expect(await screen.findByText(${quote("Ada (ada@example.com)")})).toBeInTheDocument()${s}
+})${s}
+
+it(${quote("adds a user through the form")}, async () => {
+  const fetch = mockApi()${s}
+  render(<Users />)${s}
+  expect(await screen.findByText(${quote("No users yet.")})).toBeInTheDocument()${s}
+
+  fireEvent.change(screen.getByPlaceholderText(${quote("Email")}), {
+    target: { value: ${quote("grace@example.com")} },
+  })${s}
+  fireEvent.click(screen.getByRole(${quote("button")}, { name: ${quote("Add user")} }))${s}
+
+  expect(await screen.findByText(${quote("grace@example.com")})).toBeInTheDocument()${s}
+  expect(fetch).toHaveBeenCalledWith(
+    ${quote("/api/users")},
+    expect.objectContaining({ method: ${quote("POST")} }),
+  )${s}
+})${s}
+`;
+}
+
+// The Vue users page, through Vue Testing Library
+function vueUsersTest(ts) {
+  return `import { fireEvent, render, screen } from '@testing-library/vue'
+import { afterEach, expect, it, vi } from 'vitest'
+import UsersPage from './UsersPage.vue'
+
+const realFetch = globalThis.fetch
+
+${mockApi("vi", { ts })}
+
+afterEach(() => {
+  globalThis.fetch = realFetch
+})
+
+it('lists the users from the API', async () => {
+  mockApi([{ id: 1, email: 'ada@example.com', name: 'Ada' }])
+  render(UsersPage)
+  expect(await screen.findByText('Ada (ada@example.com)')).toBeInTheDocument()
+})
+
+it('adds a user through the form', async () => {
+  const fetch = mockApi()
+  render(UsersPage)
+  expect(await screen.findByText('No users yet.')).toBeInTheDocument()
+
+  await fireEvent.update(screen.getByPlaceholderText('Email'), 'grace@example.com')
+  await fireEvent.click(screen.getByRole('button', { name: 'Add user' }))
+
+  expect(await screen.findByText('grace@example.com')).toBeInTheDocument()
+  expect(fetch).toHaveBeenCalledWith(
+    '/api/users',
+    expect.objectContaining({ method: 'POST' }),
+  )
+})
+`;
+}
+
+// The SolidJS users component, through Solid Testing Library
+function solidUsersTest(ts) {
+  return `import { fireEvent, render, screen } from '@solidjs/testing-library'
+import { afterEach, expect, it, vi } from 'vitest'
+import Users from './Users'
+
+const realFetch = globalThis.fetch
+
+${mockApi("vi", { ts })}
+
+afterEach(() => {
+  globalThis.fetch = realFetch
+})
+
+it('lists the users from the API', async () => {
+  mockApi([{ id: 1, email: 'ada@example.com', name: 'Ada' }])
+  render(() => <Users />)
+  expect(await screen.findByText('Ada (ada@example.com)')).toBeInTheDocument()
+})
+
+it('adds a user through the form', async () => {
+  const fetch = mockApi()
+  render(() => <Users />)
+  expect(await screen.findByText('No users yet.')).toBeInTheDocument()
+
+  fireEvent.input(screen.getByPlaceholderText('Email'), {
+    target: { value: 'grace@example.com' },
+  })
+  fireEvent.click(screen.getByRole('button', { name: 'Add user' }))
+
+  expect(await screen.findByText('grace@example.com')).toBeInTheDocument()
+  expect(fetch).toHaveBeenCalledWith(
+    '/api/users',
+    expect.objectContaining({ method: 'POST' }),
+  )
+})
+`;
+}
+
+// SvelteKit's / page, through Svelte Testing Library. sv's JavaScript
+// projects type-check their .js files (checkJs), so they get JSDoc types
+function svelteKitPageTest(ts) {
+  return `import { fireEvent, render, screen } from '@testing-library/svelte';
+import { afterEach, expect, it, vi } from 'vitest';
+import Page from './+page.svelte';
+
+// SvelteKit fills $env/dynamic/public in when the app starts, not under Vitest
+vi.mock('$env/dynamic/public', () => ({ env: {} }));
+
+const realFetch = globalThis.fetch;
+
+${mockApi("vi", { s: ";", ts, jsdoc: !ts })}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+it('lists the users from the API', async () => {
+  mockApi([{ id: 1, email: 'ada@example.com', name: 'Ada' }]);
+  render(Page);
+  expect(await screen.findByText('Ada (ada@example.com)')).toBeInTheDocument();
+});
+
+it('adds a user through the form', async () => {
+  const fetch = mockApi();
+  render(Page);
+  expect(await screen.findByText('No users yet.')).toBeInTheDocument();
+
+  await fireEvent.input(screen.getByPlaceholderText('Email'), {
+    target: { value: 'grace@example.com' },
+  });
+  await fireEvent.click(screen.getByRole('button', { name: 'Add user' }));
+
+  expect(await screen.findByText('grace@example.com')).toBeInTheDocument();
+  expect(fetch).toHaveBeenCalledWith(
+    '/api/users',
+    expect.objectContaining({ method: 'POST' }),
+  );
+});
+`;
+}
+
+// The Angular users component through TestBed. Only describe/it/expect, so
+// it runs under either of Angular's test runners (Vitest or Karma)
+const ANGULAR_USERS_SPEC = `import { TestBed } from '@angular/core/testing';
+import { Users } from './users';
+
+// fetch answers with these users instead of calling the server
+function mockApi(users: unknown[]) {
+  globalThis.fetch = async () =>
+    ({ ok: true, status: 200, json: async () => users }) as Response;
+}
+
+// Renders the component: the first change detection runs ngOnInit, which
+// fetches the users; once that settles, render again
+async function renderUsers() {
+  const fixture = TestBed.createComponent(Users);
+  fixture.detectChanges();
+  await new Promise((resolve) => setTimeout(resolve));
+  fixture.detectChanges();
+  return fixture.nativeElement as HTMLElement;
+}
+
+describe('Users', () => {
+  const realFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('lists the users from the API', async () => {
+    mockApi([{ id: 1, email: 'ada@example.com', name: 'Ada' }]);
+    const element = await renderUsers();
+    expect(element.textContent).toContain('Ada (ada@example.com)');
+  });
+
+  it('says when there are no users', async () => {
+    mockApi([]);
+    const element = await renderUsers();
+    expect(element.textContent).toContain('No users yet.');
+  });
+});
+`;
+
+// Vitest on top of vite.config.js (or .ts): components render into jsdom.
+// `plugin` is an [import, call] pair for a plugin the tests add
+function vitestConfig(viteConfig, setupFile, { plugin, s = "" } = {}) {
+  const [pluginImport, pluginCall] = plugin ?? [];
+  return `${pluginImport ? `${pluginImport}${s}\n` : ""}import { defineConfig, mergeConfig } from 'vitest/config'${s}
+import viteConfig from './${viteConfig}'${s}
+
+export default mergeConfig(
+  viteConfig,
+  defineConfig({
+${pluginCall ? `    plugins: [${pluginCall}],\n` : ""}    test: {
+      environment: 'jsdom',
+      setupFiles: ['./${setupFile}'],
+    },
+  }),
+)${s}
+`;
+}
+
+// Next.js and Remix build with their own compiler (or Vite plugin, which
+// does not run under Vitest); Vitest needs the React plugin for JSX
+function reactVitestConfig(setupFile) {
+  return `import react from "@vitejs/plugin-react";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  plugins: [react()],
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./${setupFile}"],
+  },
+});
+`;
+}
+
+// jest-dom's matchers (toBeInTheDocument, ...) and unmounting after each test
+function vitestSetup(library, q, s) {
+  return `import ${q}@testing-library/jest-dom/vitest${q}${s}
+import { cleanup } from ${q}${library}${q}${s}
+import { afterEach } from ${q}vitest${q}${s}
+
+afterEach(cleanup)${s}
+`;
+}
+
+const VITEST_SCRIPTS = { test: "vitest run", "test:watch": "vitest" };
+
+// Vitest's config and setup file in a Vite client. In TypeScript the setup
+// file is under src/, where `tsc -b` (or vue-tsc, svelte-check) picks up the
+// jest-dom matcher types it imports for the test files. `style` is passed on
+// to vitestConfig
+function addVitestConfig(ctx, clientDir, library, style = {}) {
+  const { frontend, frontendLang } = ctx.options;
+  const ts = frontendLang === "TypeScript";
+  // sv's JavaScript projects are type-checked too (checkJs)
+  const typeChecked = ts || frontend === "SvelteKit";
+  const setupFile = `${typeChecked ? "src/" : ""}vitest.setup.${ts ? "ts" : "js"}`;
+  ctx.writeFile(
+    path.join(clientDir, ts ? "vitest.config.ts" : "vitest.config.js"),
+    vitestConfig(viteConfigFile(frontendLang), setupFile, style),
+  );
+  ctx.writeFile(
+    path.join(clientDir, setupFile),
+    vitestSetup(library, "'", style.s ?? ""),
+  );
+}
+
+/**
+ * 🧪 Component tests for the users page of the client in `clientDir`:
+ * Vitest and Testing Library for React (Vite), Vue, Next.js, SolidJS,
+ * SvelteKit and Remix, the Jest setup react-scripts ships for Create React
+ * App, and TestBed for Angular, whose runner `ng new` already configured.
+ * Nuxt and Astro clients get none (see UNTESTED_FRONTENDS). The tests are in
+ * the client's language. Adds `test` and `test:watch` scripts that run once
+ * and in watch mode. The caller installs the packages.
+ */
+export function addClientTests(ctx, clientDir) {
+  const { frontend, reactSetup, frontendLang } = ctx.options;
+  const ts = frontendLang === "TypeScript";
+  const write = (file, content) =>
+    ctx.writeFile(path.join(clientDir, file), content);
+  const jsx = ts ? "tsx" : "jsx";
+
+  if (frontend === "React" && reactSetup === "Create React App") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      {
+        test: "react-scripts test --watchAll=false",
+        "test:watch": "react-scripts test",
+      },
+      {},
+      "run the tests once in test, and in watch mode in test:watch",
+    );
+    write(
+      `src/Users.test.${ts ? "tsx" : "js"}`,
+      reactUsersTest({ runner: "jest", s: ";", ts, component: "./Users" }),
+    );
+  } else if (frontend === "React") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      VITEST_SCRIPTS,
+      versions(
+        "vitest",
+        "jsdom",
+        "@testing-library/react",
+        "@testing-library/dom",
+        "@testing-library/jest-dom",
+      ),
+      "add the test scripts, Vitest and React Testing Library to devDependencies",
+    );
+    addVitestConfig(ctx, clientDir, "@testing-library/react");
+    write(
+      `src/Users.test.${jsx}`,
+      reactUsersTest({ runner: "vitest", s: "", ts, component: "./Users" }),
+    );
+  } else if (frontend === "Vue") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      VITEST_SCRIPTS,
+      versions(
+        "vitest",
+        "jsdom",
+        "@testing-library/vue",
+        "@testing-library/dom",
+        "@testing-library/jest-dom",
+      ),
+      "add the test scripts, Vitest and Vue Testing Library to devDependencies",
+    );
+    addVitestConfig(ctx, clientDir, "@testing-library/vue");
+    write(
+      `src/components/UsersPage.test.${ts ? "ts" : "js"}`,
+      vueUsersTest(ts),
+    );
+  } else if (frontend === "SolidJS") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      VITEST_SCRIPTS,
+      versions(
+        "vitest",
+        "jsdom",
+        "@solidjs/testing-library",
+        "@testing-library/dom",
+        "@testing-library/jest-dom",
+      ),
+      "add the test scripts, Vitest and Solid Testing Library to devDependencies",
+    );
+    // vite-plugin-solid sets Vitest up for Solid (resolve conditions, JSX)
+    addVitestConfig(ctx, clientDir, "@solidjs/testing-library");
+    write(`src/Users.test.${jsx}`, solidUsersTest(ts));
+  } else if (frontend === "SvelteKit") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      VITEST_SCRIPTS,
+      versions(
+        "vitest",
+        "jsdom",
+        "@testing-library/svelte",
+        "@testing-library/dom",
+        "@testing-library/jest-dom",
+      ),
+      "add the test scripts, Vitest and Svelte Testing Library to devDependencies",
+    );
+    // svelteTesting() makes Svelte compile for the browser under jsdom
+    addVitestConfig(ctx, clientDir, "@testing-library/svelte", {
+      plugin: [
+        "import { svelteTesting } from '@testing-library/svelte/vite'",
+        "svelteTesting()",
+      ],
+      s: ";",
+    });
+    write(`src/routes/page.test.${ts ? "ts" : "js"}`, svelteKitPageTest(ts));
+  } else if (frontend === "Next.js") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      VITEST_SCRIPTS,
+      versions(
+        "vitest",
+        "jsdom",
+        "@vitejs/plugin-react",
+        "@testing-library/react",
+        "@testing-library/dom",
+        "@testing-library/jest-dom",
+      ),
+      "add the test scripts, Vitest and React Testing Library to devDependencies",
+    );
+    const setupFile = ts ? "vitest.setup.ts" : "vitest.setup.js";
+    write(
+      ts ? "vitest.config.mts" : "vitest.config.mjs",
+      reactVitestConfig(setupFile),
+    );
+    write(setupFile, vitestSetup("@testing-library/react", '"', ";"));
+    write(
+      `__tests__/users.test.${jsx}`,
+      reactUsersTest({
+        runner: "vitest",
+        s: ";",
+        ts,
+        q: '"',
+        component: `../${NEXT_APP_DIR}/users/page`,
+      }),
+    );
+  } else if (frontend === "Remix") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      VITEST_SCRIPTS,
+      {
+        ...versions(
+          "vitest",
+          "jsdom",
+          "@testing-library/react",
+          "@testing-library/dom",
+          "@testing-library/jest-dom",
+        ),
+        // Unlike 6, supports the Vite 7 React Router's templates may pin
+        "@vitejs/plugin-react": "^5.2.0",
+      },
+      "add the test scripts, Vitest and React Testing Library to devDependencies",
+    );
+    const setupFile = ts ? "vitest.setup.ts" : "vitest.setup.js";
+    write(
+      ts ? "vitest.config.ts" : "vitest.config.js",
+      reactVitestConfig(setupFile),
+    );
+    write(setupFile, vitestSetup("@testing-library/react", '"', ";"));
+    // routes.ts lists the routes, so a test file next to them is not one
+    write(
+      `app/routes/home.test.${jsx}`,
+      reactUsersTest({
+        runner: "vitest",
+        s: ";",
+        ts,
+        q: '"',
+        component: "./home",
+      }),
+    );
+  } else if (UNTESTED_FRONTENDS.includes(frontend)) {
+    ctx.warn(
+      `No component tests for ${frontend} clients: the test script only runs the server's`,
+    );
+    return;
+  } else if (frontend === "Angular") {
+    addTestPackages(
+      ctx,
+      clientDir,
+      { test: "ng test --watch=false", "test:watch": "ng test" },
+      {},
+      "run the tests once in test, and in watch mode in test:watch",
+    );
+    write("src/app/users/users.spec.ts", ANGULAR_USERS_SPEC);
+  }
+  ctx.log("🧪 Component tests added to client");
+}
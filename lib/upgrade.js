@@ -0,0 +1,201 @@
+import { applyPatch, structuredPatch } from "diff";
+import path from "path";
+import { createContext } from "./context.js";
+import { renderTemplates } from "./create.js";
+import { detectProject } from "./detect.js";
+import { OptionsError } from "./errors.js";
+import { hashContent, readManifest, writeManifest } from "./manifest.js";
+import { resolveOptions } from "./options.js";
+
+/**
+ * @typedef {object} UpgradeOptions
+ * @property {string} [cwd] The project folder (default: process.cwd())
+ * @property {boolean} [dryRun]
+ * @property {import("./options.js").CreateOptions["onConflict"]} [onConflict]
+ *   Decides whether an edited file the new template cannot be merged into is replaced (default: skip)
+ * @property {boolean} [rollback]
+ * @property {AbortSignal} [signal]
+ * @property {(event: import("./context.js").ProgressEvent) => void} [onProgress]
+ */
+
+/**
+ * @typedef {object} UpgradeSummary
+ * @property {string[]} updated Unmodified files replaced by their new template
+ * @property {string[]} merged Edited files the template's changes were merged into
+ * @property {string[]} created Templates the project did not have yet
+ * @property {string[]} conflicts Edited files whose changes overlap the template's; see `conflicts` in the result for the resolution
+ * @property {string[]} unchanged Files the new templates do not change
+ * @property {string[]} deleted Generated files the user removed, left removed
+ */
+
+const RUNTIME_OPTIONS = [
+  "dryRun",
+  "onConflict",
+  "rollback",
+  "signal",
+  "onProgress",
+];
+
+// Apply the template's changes since `base` to the user's version; null when they overlap
+function mergeChanges(base, ours, theirs) {
+  const patch = structuredPatch("base", "template", base, theirs);
+  const merged = applyPatch(ours, patch);
+  return merged === false ? null : merged;
+}
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Merge a package.json template into the project's file key by key: installs
+ * add to it, so it is never replaced whole. An entry (a script, a
+ * dependency, a field) takes the template's value unless the user changed it
+ * since `base`; entries the template dropped are kept. Null when a file is
+ * not valid JSON.
+ */
+function mergePackage(base, ours, theirs) {
+  let pkg, previous, template;
+  try {
+    [pkg, previous, template] = [ours, base ?? "{}", theirs].map((text) =>
+      JSON.parse(text),
+    );
+  } catch {
+    return null;
+  }
+  // The template's value, unless the user set their own since `base`
+  const merge = (current, old, next) =>
+    current === undefined || current === old ? next : current;
+
+  for (const [key, value] of Object.entries(template)) {
+    if (isObject(value) && isObject(pkg[key])) {
+      for (const [name, entry] of Object.entries(value)) {
+        pkg[key][name] = merge(pkg[key][name], previous[key]?.[name], entry);
+      }
+    } else if (JSON.stringify(pkg[key]) === JSON.stringify(previous[key])) {
+      pkg[key] = value;
+    }
+  }
+  return `${JSON.stringify(pkg, null, 2)}\n`;
+}
+
+// Bring every template up to date; returns the template content to record for files that differ from it
+function upgradeFiles(ctx, manifest, templates, summary) {
+  const recorded = {};
+
+  for (const relative of Object.keys(templates).sort()) {
+    const file = path.join(ctx.rootDir, relative);
+    const theirs = templates[relative];
+    const ours = ctx.readFile(file);
+    const base = manifest?.templates[relative] ?? null;
+
+    if (ours === theirs) {
+      summary.unchanged.push(relative);
+      recorded[relative] = theirs;
+    } else if (ours === null) {
+      if (manifest?.files[relative]) {
+        summary.deleted.push(relative);
+      } else {
+        ctx.writeFile(file, theirs);
+        summary.created.push(relative);
+      }
+    } else if (path.posix.basename(relative) === "package.json") {
+      const merged = mergePackage(base, ours, theirs);
+      if (merged === null) {
+        ctx.writeFile(file, theirs);
+        summary.conflicts.push(relative);
+      } else if (merged === ours) {
+        summary.unchanged.push(relative);
+        recorded[relative] = theirs;
+      } else {
+        ctx.updateFile(file, () => merged, "merge the new template's entries");
+        summary.merged.push(relative);
+        recorded[relative] = theirs;
+      }
+    } else if (manifest?.files[relative] === hashContent(ours)) {
+      ctx.updateFile(file, () => theirs, "update to the new template");
+      summary.updated.push(relative);
+    } else if (base === theirs) {
+      // Edited by the user, but the template itself did not change
+      summary.unchanged.push(relative);
+    } else {
+      const merged = base === null ? null : mergeChanges(base, ours, theirs);
+      if (merged === null) {
+        // Held back and settled through onConflict, as when merging
+        ctx.writeFile(file, theirs);
+        summary.conflicts.push(relative);
+      } else {
+        ctx.updateFile(file, () => merged, "merge the new template");
+        summary.merged.push(relative);
+        recorded[relative] = theirs;
+      }
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Re-apply the templates of this devstacker version to a project created
+ * with an earlier one. Templates are regenerated for the choices in the
+ * project's .fullstackrc.json (or, without one, the choices detected from
+ * it) and compared with the files on disk:
+ *
+ * - files unmodified since devstacker wrote them are replaced,
+ * - edited files get the template's changes merged in, using the content
+ *   recorded in .fullstack-templates.json as the base; package.json files,
+ *   which installs change, are always merged, entry by entry,
+ * - edited files where both sides changed the same lines are conflicts,
+ *   settled through `onConflict` (default: keep the user's file),
+ * - new templates are created; generated files the user deleted stay deleted.
+ *
+ * The manifest is then rewritten for this version. Without a manifest, every
+ * file that differs is a conflict.
+ *
+ * @param {UpgradeOptions} options
+ * @returns {Promise<import("./context.js").ScaffoldResult & { summary: UpgradeSummary }>}
+ */
+export async function upgradeProject(options = {}) {
+  const { cwd = process.cwd(), ...runtime } = options;
+  for (const key of Object.keys(runtime)) {
+    if (!RUNTIME_OPTIONS.includes(key)) {
+      throw new OptionsError(`Unknown option "${key}"`);
+    }
+  }
+  const rootDir = path.resolve(cwd);
+  const project = detectProject(rootDir);
+  const manifest = readManifest(rootDir);
+  const templates = await renderTemplates({ ...project, rootDir });
+
+  const resolved = {
+    ...resolveOptions({ ...project, ...runtime, existing: "merge" }),
+    cwd: path.dirname(rootDir),
+    rootDir,
+  };
+  const ctx = createContext(resolved);
+  /** @type {UpgradeSummary} */
+  const summary = {
+    updated: [],
+    merged: [],
+    created: [],
+    conflicts: [],
+    unchanged: [],
+    deleted: [],
+  };
+
+  try {
+    let recorded;
+    await ctx.step("upgrade", () => {
+      recorded = upgradeFiles(ctx, manifest, templates, summary);
+    });
+    // After the step, so conflicts resolved as overwrite are recorded too
+    writeManifest(ctx, manifest, recorded);
+  } catch (err) {
+    if (resolved.rollback && !resolved.dryRun) {
+      err.rolledBack = ctx.rollback();
+    }
+    throw err;
+  }
+  if (!resolved.dryRun) ctx.commit();
+
+  return { ...ctx.result(), summary };
+}
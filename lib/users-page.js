@@ -0,0 +1,765 @@
+import path from "path";
+
+// 👥 USERS PAGE: a list/create page in the client calling /api/users
+
+// The API's base URL: a constant, or with `lazy` a function reading it on
+// each call (Nuxt's runtime config only exists once the app is running)
+const apiUrlDeclaration = (apiUrl, lazy, s) =>
+  lazy ? `const apiUrl = () => ${apiUrl}${s}` : `const API_URL = ${apiUrl}${s}`;
+
+// Client module for the server's API, with JSDoc types, after the module's
+// `imports`. `apiUrl` is the base URL expression: /api unless a variable
+// overrides it. `q` and `s` are the quote and the ";" of the generator's
+// code style
+function jsApiClient(apiUrl, { q = "'", s = "", imports = "", lazy = false }) {
+  return `${imports}// Client for the server's API. In development, calls go to /api on the page's
+// origin and the dev server proxies them to the server
+
+${apiUrlDeclaration(apiUrl, lazy, s)}
+
+/** @typedef {{ id: number | string, email: string, name: string | null }} User */
+/** @typedef {{ email: string, name?: string }} NewUser */
+
+// Error response of the API, with its status and validation details
+export class ApiError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   * @param {string[]} [details]
+   */
+  constructor(status, message, details) {
+    super(details ? \`\${message}: \${details.join(${q}, ${q})}\` : message)${s}
+    this.name = ${q}ApiError${q}${s}
+    this.status = status${s}
+    this.details = details${s}
+  }
+}
+
+/**
+ * fetch() on the API: sends and reads JSON, throws an ApiError for error responses
+ * @template T
+ * @param {string} path Path under the API, such as /users
+ * @param {RequestInit} [init]
+ * @returns {Promise<T>}
+ */
+export async function request(path, init = {}) {
+  const res = await fetch(${lazy ? "apiUrl()" : "API_URL"} + path, {
+    ...init,
+    headers: init.body ? { ${q}Content-Type${q}: ${q}application/json${q} } : undefined,
+  })${s}
+  if (res.status === 204) return /** @type {T} */ (undefined)${s}
+  // Proxies answer 502 or 504 with HTML when the server is down
+  const body = await res.json().catch(() => ({ error: res.statusText }))${s}
+  if (!res.ok) throw new ApiError(res.status, body.error, body.details)${s}
+  return body${s}
+}
+
+export const usersApi = {
+  /** @returns {Promise<User[]>} */
+  list: () => request(${q}/users${q}),
+  /**
+   * @param {NewUser} user
+   * @returns {Promise<User>}
+   */
+  create: (user) => request(${q}/users${q}, { method: ${q}POST${q}, body: JSON.stringify(user) }),
+  /**
+   * @param {User[${q}id${q}]} id
+   * @returns {Promise<void>}
+   */
+  remove: (id) => request(\`/users/\${id}\`, { method: ${q}DELETE${q} }),
+}${s}
+`;
+}
+
+// The same module in TypeScript, after the module's `imports`
+function tsApiClient(apiUrl, { q = "'", s = "", imports = "", lazy = false }) {
+  return `${imports}// Client for the server's API. In development, calls go to /api on the page's
+// origin and the dev server proxies them to the server
+
+${apiUrlDeclaration(apiUrl, lazy, s)}
+
+export interface User {
+  id: number | string${s}
+  email: string${s}
+  name: string | null${s}
+}
+
+export interface NewUser {
+  email: string${s}
+  name?: string${s}
+}
+
+// Error response of the API, with its status and validation details
+export class ApiError extends Error {
+  readonly status: number${s}
+  readonly details?: string[]${s}
+
+  constructor(status: number, message: string, details?: string[]) {
+    super(details ? \`\${message}: \${details.join(${q}, ${q})}\` : message)${s}
+    this.name = ${q}ApiError${q}${s}
+    this.status = status${s}
+    this.details = details${s}
+  }
+}
+
+// fetch() on the API: sends and reads JSON, throws an ApiError for error responses
+export async function request<T>(path: string, init: RequestInit = {}): Promise<T> {
+  const res = await fetch(${lazy ? "apiUrl()" : "API_URL"} + path, {
+    ...init,
+    headers: init.body ? { ${q}Content-Type${q}: ${q}application/json${q} } : undefined,
+  })${s}
+  if (res.status === 204) return undefined as T${s}
+  // Proxies answer 502 or 504 with HTML when the server is down
+  const body = await res.json().catch(() => ({ error: res.statusText }))${s}
+  if (!res.ok) throw new ApiError(res.status, body.error, body.details)${s}
+  return body as T${s}
+}
+
+export const usersApi = {
+  list: () => request<User[]>(${q}/users${q}),
+  create: (user: NewUser) =>
+    request<User>(${q}/users${q}, { method: ${q}POST${q}, body: JSON.stringify(user) }),
+  remove: (id: User[${q}id${q}]) => request<void>(\`/users/\${id}\`, { method: ${q}DELETE${q} }),
+}${s}
+`;
+}
+
+// React users component. `q` and `s` are the quote and the ";" of the
+// generator's code style, `ts` adds the types and `page` makes it a route's
+// page instead of the component App renders: the Next.js /users page (a
+// client component, importing the API client from `api`) by default
+function reactUsers({
+  q = "'",
+  s = "",
+  ts = false,
+  page = false,
+  useClient = page,
+  api = page ? "../../lib/api" : "./api",
+}) {
+  const quote = (text) => `${q}${text}${q}`;
+  const type = (annotation) => (ts ? annotation : "");
+  const message = ts ? "message(err)" : "err.message";
+  const imports = [
+    `import { ${type("type FormEvent, ")}useEffect, useState } from ${quote("react")}${s}`,
+    `import { ${type("type User, ")}usersApi } from ${quote(api)}${s}`,
+  ];
+  return `${useClient ? `${quote("use client")}${s}\n\n` : ""}${imports.join("\n")}
+${ts ? `\nconst message = (err: unknown) => (err instanceof Error ? err.message : String(err))${s}\n` : ""}
+${page ? "export default function UsersPage() {" : "function Users() {"}
+  const [users, setUsers] = useState${type("<User[]>")}([])${s}
+  const [form, setForm] = useState({ email: ${quote("")}, name: ${quote("")} })${s}
+  const [error, setError] = useState${type("<string | null>")}(null)${s}
+
+  useEffect(() => {
+    usersApi
+      .list()
+      .then(setUsers)
+      .catch((err) => setError(${message}))${s}
+  }, [])${s}
+
+  async function handleSubmit(event${type(": FormEvent<HTMLFormElement>")}) {
+    event.preventDefault()${s}
+    setError(null)${s}
+    try {
+      await usersApi.create(form)${s}
+      setForm({ email: ${quote("")}, name: ${quote("")} })${s}
+      setUsers(await usersApi.list())${s}
+    } catch (err) {
+      setError(${message})${s}
+    }
+  }
+
+  async function handleDelete(id${type(`: User[${quote("id")}]`)}) {
+    setError(null)${s}
+    try {
+      await usersApi.remove(id)${s}
+      setUsers(await usersApi.list())${s}
+    } catch (err) {
+      setError(${message})${s}
+    }
+  }
+
+  return (
+    <main className="users">
+      <h1>Users</h1>
+      <form onSubmit={handleSubmit}>
+        <input
+          type="email"
+          placeholder="Email"
+          required
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+        />
+        <input
+          placeholder="Name (optional)"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <button type="submit">Add user</button>
+      </form>
+      {error && <p role="alert">{error}</p>}
+      {users.length === 0 ? (
+        <p>No users yet.</p>
+      ) : (
+        <ul>
+          {users.map((user) => (
+            <li key={user.id}>
+              {user.name ? \`\${user.name} (\${user.email})\` : user.email}{${quote(" ")}}
+              <button onClick={() => handleDelete(user.id)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </main>
+  )${s}
+}
+${page ? "" : `\nexport default Users${s}\n`}`;
+}
+
+// App component rendering the users page (replaces the generator's demo)
+function reactApp(s) {
+  return `import Users from './Users'${s}
+import './App.css'${s}
+
+function App() {
+  return <Users />${s}
+}
+
+export default App${s}
+`;
+}
+
+// SolidJS users component: the React one's page in signals, <Show> and <For>
+function solidUsers(ts) {
+  const type = (annotation) => (ts ? annotation : "");
+  const message = ts ? "message(err)" : "err.message";
+  return `import { For, Show, createSignal, onMount } from 'solid-js'
+import { ${type("type User, ")}usersApi } from './api'
+${ts ? "\nconst message = (err: unknown) => (err instanceof Error ? err.message : String(err))\n" : ""}
+function Users() {
+  const [users, setUsers] = createSignal${type("<User[]>")}([])
+  const [email, setEmail] = createSignal('')
+  const [name, setName] = createSignal('')
+  const [error, setError] = createSignal${type("<string | null>")}(null)
+
+  async function loadUsers() {
+    try {
+      setUsers(await usersApi.list())
+    } catch (err) {
+      setError(${message})
+    }
+  }
+
+  async function handleSubmit(event${type(": SubmitEvent")}) {
+    event.preventDefault()
+    setError(null)
+    try {
+      await usersApi.create({ email: email(), name: name() })
+      setEmail('')
+      setName('')
+      await loadUsers()
+    } catch (err) {
+      setError(${message})
+    }
+  }
+
+  async function handleDelete(id${type(": User['id']")}) {
+    setError(null)
+    try {
+      await usersApi.remove(id)
+      await loadUsers()
+    } catch (err) {
+      setError(${message})
+    }
+  }
+
+  onMount(loadUsers)
+
+  return (
+    <main class="users">
+      <h1>Users</h1>
+      <form onSubmit={handleSubmit}>
+        <input
+          type="email"
+          placeholder="Email"
+          required
+          value={email()}
+          onInput={(e) => setEmail(e.currentTarget.value)}
+        />
+        <input
+          placeholder="Name (optional)"
+          value={name()}
+          onInput={(e) => setName(e.currentTarget.value)}
+        />
+        <button type="submit">Add user</button>
+      </form>
+      <Show when={error()}>
+        <p role="alert">{error()}</p>
+      </Show>
+      <Show when={users().length > 0} fallback={<p>No users yet.</p>}>
+        <ul>
+          <For each={users()}>
+            {(user) => (
+              <li>
+                {user.name ? \`\${user.name} (\${user.email})\` : user.email}{' '}
+                <button onClick={() => handleDelete(user.id)}>Delete</button>
+              </li>
+            )}
+          </For>
+        </ul>
+      </Show>
+    </main>
+  )
+}
+
+export default Users
+`;
+}
+
+// Replaces create-react-app's test of its demo page
+function craAppTest(ts) {
+  return `import { render, screen, waitFor } from '@testing-library/react';
+import App from './App';
+
+test('renders the users page', async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([]) }),
+  )${ts ? " as jest.Mock" : ""};
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /users/i })).toBeInTheDocument();
+  await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+});
+`;
+}
+
+// Vue single-file component, with <script setup lang="ts"> when `ts`
+function vueUsers(ts) {
+  const type = (annotation) => (ts ? annotation : "");
+  const message = ts ? "message(err)" : "err.message";
+  return `<script setup${type(' lang="ts"')}>
+import { onMounted, ref } from 'vue'
+import { ${type("type User, ")}usersApi } from '../api'
+${ts ? "\nconst message = (err: unknown) => (err instanceof Error ? err.message : String(err))\n" : ""}
+const users = ref${type("<User[]>")}([])
+const email = ref('')
+const name = ref('')
+const error = ref${type("<string | null>")}(null)
+
+async function loadUsers() {
+  try {
+    users.value = await usersApi.list()
+  } catch (err) {
+    error.value = ${message}
+  }
+}
+
+async function addUser() {
+  error.value = null
+  try {
+    await usersApi.create({ email: email.value, name: name.value })
+    email.value = ''
+    name.value = ''
+    await loadUsers()
+  } catch (err) {
+    error.value = ${message}
+  }
+}
+
+async function deleteUser(id${type(": User['id']")}) {
+  error.value = null
+  try {
+    await usersApi.remove(id)
+    await loadUsers()
+  } catch (err) {
+    error.value = ${message}
+  }
+}
+
+onMounted(loadUsers)
+</script>
+
+<template>
+  <main class="users">
+    <h1>Users</h1>
+    <form @submit.prevent="addUser">
+      <input v-model="email" type="email" placeholder="Email" required />
+      <input v-model="name" placeholder="Name (optional)" />
+      <button type="submit">Add user</button>
+    </form>
+    <p v-if="error" role="alert">{{ error }}</p>
+    <p v-if="!users.length">No users yet.</p>
+    <ul v-else>
+      <li v-for="user in users" :key="user.id">
+        {{ user.name ? \`\${user.name} (\${user.email})\` : user.email }}
+        <button @click="deleteUser(user.id)">Delete</button>
+      </li>
+    </ul>
+  </main>
+</template>
+`;
+}
+
+const vueApp = (ts) => `<script setup${ts ? ' lang="ts"' : ""}>
+import UsersPage from './components/UsersPage.vue'
+</script>
+
+<template>
+  <UsersPage />
+</template>
+`;
+
+// SvelteKit's / page in runes. Without \`ts\`, JSDoc types it: sv's
+// JavaScript projects are type-checked too (checkJs)
+function svelteKitPage(ts) {
+  const jsdoc = (annotation) => (ts ? "" : `/** ${annotation} */ `);
+  const type = (annotation) => (ts ? annotation : "");
+  return `<script${type(' lang="ts"')}>
+  import { onMount } from 'svelte';
+  import { ${type("type User, ")}usersApi } from '$lib/api';
+
+  ${jsdoc("@param {unknown} err")}const message = (err${type(": unknown")}) => (err instanceof Error ? err.message : String(err));
+
+  ${jsdoc("@type {import('$lib/api').User[]}")}let users = $state${type("<User[]>")}([]);
+  let email = $state('');
+  let name = $state('');
+  ${jsdoc("@type {string | null}")}let error = $state${type("<string | null>")}(null);
+
+  async function loadUsers() {
+    try {
+      users = await usersApi.list();
+    } catch (err) {
+      error = message(err);
+    }
+  }
+
+  ${jsdoc("@param {SubmitEvent} event")}async function addUser(event${type(": SubmitEvent")}) {
+    event.preventDefault();
+    error = null;
+    try {
+      await usersApi.create({ email, name });
+      email = '';
+      name = '';
+      await loadUsers();
+    } catch (err) {
+      error = message(err);
+    }
+  }
+
+  ${jsdoc("@param {import('$lib/api').User['id']} id")}async function deleteUser(id${type(": User['id']")}) {
+    error = null;
+    try {
+      await usersApi.remove(id);
+      await loadUsers();
+    } catch (err) {
+      error = message(err);
+    }
+  }
+
+  onMount(loadUsers);
+</script>
+
+<main class="users">
+  <h1>Users</h1>
+  <form onsubmit={addUser}>
+    <input bind:value={email} type="email" placeholder="Email" required />
+    <input bind:value={name} placeholder="Name (optional)" />
+    <button type="submit">Add user</button>
+  </form>
+  {#if error}
+    <p role="alert">{error}</p>
+  {/if}
+  {#if users.length === 0}
+    <p>No users yet.</p>
+  {:else}
+    <ul>
+      {#each users as user (user.id)}
+        <li>
+          {user.name ? \`\${user.name} (\${user.email})\` : user.email}
+          <button onclick={() => deleteUser(user.id)}>Delete</button>
+        </li>
+      {/each}
+    </ul>
+  {/if}
+</main>
+`;
+}
+
+// Standalone component (Angular CLI 20+ file naming), state kept in signals
+const ANGULAR_USERS = `import { Component, OnInit, signal } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { User, usersApi } from '../api';
+
+const message = (err: unknown) => (err instanceof Error ? err.message : String(err));
+
+@Component({
+  selector: 'app-users',
+  imports: [FormsModule],
+  template: \`
+    <main class="users">
+      <h1>Users</h1>
+      <form (ngSubmit)="addUser()">
+        <input name="email" type="email" placeholder="Email" required [(ngModel)]="email" />
+        <input name="name" placeholder="Name (optional)" [(ngModel)]="name" />
+        <button type="submit">Add user</button>
+      </form>
+      @if (error()) {
+        <p role="alert">{{ error() }}</p>
+      }
+      <ul>
+        @for (user of users(); track user.id) {
+          <li>
+            {{ user.name ? user.name + ' (' + user.email + ')' : user.email }}
+            <button (click)="deleteUser(user.id)">Delete</button>
+          </li>
+        } @empty {
+          <li>No users yet.</li>
+        }
+      </ul>
+    </main>
+  \`,
+})
+export class Users implements OnInit {
+  protected readonly users = signal<User[]>([]);
+  protected readonly email = signal('');
+  protected readonly name = signal('');
+  protected readonly error = signal<string | null>(null);
+
+  ngOnInit() {
+    this.loadUsers();
+  }
+
+  protected async addUser() {
+    this.error.set(null);
+    try {
+      await usersApi.create({ email: this.email(), name: this.name() });
+      this.email.set('');
+      this.name.set('');
+      await this.loadUsers();
+    } catch (err) {
+      this.error.set(message(err));
+    }
+  }
+
+  protected async deleteUser(id: User['id']) {
+    this.error.set(null);
+    try {
+      await usersApi.remove(id);
+      await this.loadUsers();
+    } catch (err) {
+      this.error.set(message(err));
+    }
+  }
+
+  private async loadUsers() {
+    try {
+      this.users.set(await usersApi.list());
+    } catch (err) {
+      this.error.set(message(err));
+    }
+  }
+}
+`;
+
+// The stylesheet `astro add tailwind` creates; Astro pages import it themselves
+const ASTRO_TAILWIND_IMPORT = "import '../styles/global.css';";
+
+/** Import Tailwind's stylesheet in the frontmatter of an Astro page */
+export function importAstroTailwind(page) {
+  if (page.includes(ASTRO_TAILWIND_IMPORT)) return page;
+  // Replaces the blank line of an empty frontmatter
+  return page.startsWith("---\n")
+    ? page.replace(/^---\n(\n(?=---))?/, `---\n${ASTRO_TAILWIND_IMPORT}\n`)
+    : `---\n${ASTRO_TAILWIND_IMPORT}\n---\n\n${page}`;
+}
+
+// Astro's / page: static markup, filled in by a client-side <script>, which
+// Astro bundles (as TypeScript) with the API client it imports
+function astroPage(ts) {
+  const element = (tag) => (ts ? `<${tag}>` : "");
+  const type = (annotation) => (ts ? annotation : "");
+  return `---
+
+---
+
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <link rel="icon" type="image/svg+xml" href="/favicon.svg" />
+    <meta name="viewport" content="width=device-width" />
+    <meta name="generator" content={Astro.generator} />
+    <title>Users</title>
+  </head>
+  <body>
+    <main class="users">
+      <h1>Users</h1>
+      <form id="user-form">
+        <input name="email" type="email" placeholder="Email" required />
+        <input name="name" placeholder="Name (optional)" />
+        <button type="submit">Add user</button>
+      </form>
+      <p id="error" role="alert" hidden></p>
+      <p id="empty" hidden>No users yet.</p>
+      <ul id="users"></ul>
+    </main>
+  </body>
+</html>
+
+<script>
+  import { usersApi } from '../api';
+
+  const form = document.querySelector${element("HTMLFormElement")}('#user-form')${type("!")};
+  const list = document.querySelector${element("HTMLUListElement")}('#users')${type("!")};
+  const empty = document.querySelector${element("HTMLParagraphElement")}('#empty')${type("!")};
+  const error = document.querySelector${element("HTMLParagraphElement")}('#error')${type("!")};
+
+  async function loadUsers() {
+    const users = await usersApi.list();
+    empty.hidden = users.length > 0;
+    list.replaceChildren(
+      ...users.map((user) => {
+        const item = document.createElement('li');
+        item.textContent = \`\${user.name ? \`\${user.name} (\${user.email})\` : user.email} \`;
+        const button = document.createElement('button');
+        button.textContent = 'Delete';
+        button.addEventListener('click', () => update(() => usersApi.remove(user.id)));
+        item.append(button);
+        return item;
+      }),
+    );
+  }
+
+  // Runs a change (if any), then reloads the list; errors show above it
+  async function update(change${type(": () => Promise<unknown>")} = async () => {}) {
+    error.hidden = true;
+    try {
+      await change();
+      await loadUsers();
+    } catch (err) {
+      error.textContent = err instanceof Error ? err.message : String(err);
+      error.hidden = false;
+    }
+  }
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const data = new FormData(form);
+    update(async () => {
+      await usersApi.create({ email: String(data.get('email')), name: String(data.get('name')) });
+      form.reset();
+    });
+  });
+
+  update();
+</script>
+`;
+}
+
+// create-next-app runs with --no-src-dir (see generateClient): the App
+// Router's app/ and the lib/ modules are at the client's root
+export const NEXT_APP_DIR = "app";
+
+/**
+ * Add the users page to a freshly generated client, with the API client
+ * module it calls, in the client's language. React, Vue and SolidJS render
+ * it as the app, Next.js serves it at /users, Angular routes '' to it and
+ * SvelteKit, Nuxt, Astro and Remix replace their starter's / page with it.
+ */
+export function addUsersPage(ctx, clientDir) {
+  const { frontend, reactSetup, frontendLang } = ctx.options;
+  const ts = frontendLang === "TypeScript";
+  const write = (file, content) =>
+    ctx.writeFile(path.join(clientDir, file), content);
+  // The API client module in the client's language
+  const apiClient = (file, apiUrl, style = {}) =>
+    ts
+      ? write(`${file}.ts`, tsApiClient(apiUrl, style))
+      : write(`${file}.js`, jsApiClient(apiUrl, style));
+  const jsx = ts ? "tsx" : "jsx";
+
+  if (frontend === "React" && reactSetup === "Create React App") {
+    const ext = ts ? "tsx" : "js";
+    apiClient("src/api", "process.env.REACT_APP_API_URL ?? '/api'", {
+      s: ";",
+    });
+    write(`src/Users.${ext}`, reactUsers({ s: ";", ts }));
+    write(`src/App.${ext}`, reactApp(";"));
+    write(`src/App.test.${ext}`, craAppTest(ts));
+  } else if (frontend === "React") {
+    apiClient("src/api", "import.meta.env.VITE_API_URL ?? '/api'");
+    write(`src/Users.${jsx}`, reactUsers({ ts }));
+    write(`src/App.${jsx}`, reactApp(""));
+  } else if (frontend === "Vue") {
+    apiClient("src/api", "import.meta.env.VITE_API_URL ?? '/api'");
+    write("src/components/UsersPage.vue", vueUsers(ts));
+    write("src/App.vue", vueApp(ts));
+  } else if (frontend === "Next.js") {
+    const style = { q: '"', s: ";" };
+    apiClient("lib/api", 'process.env.NEXT_PUBLIC_API_URL ?? "/api"', style);
+    // .jsx rather than .js (create-next-app's own pages): Vitest only
+    // transforms JSX in .jsx files
+    write(
+      `${NEXT_APP_DIR}/users/page.${jsx}`,
+      reactUsers({ ...style, ts, page: true }),
+    );
+  } else if (frontend === "SolidJS") {
+    apiClient("src/api", "import.meta.env.VITE_API_URL ?? '/api'");
+    write(`src/Users.${jsx}`, solidUsers(ts));
+    write(`src/App.${jsx}`, reactApp(""));
+  } else if (frontend === "SvelteKit") {
+    // Read when the app starts rather than built in (see writeClientEnv)
+    apiClient("src/lib/api", "env.PUBLIC_API_URL ?? '/api'", {
+      s: ";",
+      imports: "import { env } from '$env/dynamic/public';\n\n",
+    });
+    write("src/routes/+page.svelte", svelteKitPage(ts));
+  } else if (frontend === "Nuxt") {
+    apiClient("app/api", "useRuntimeConfig().public.apiUrl", {
+      imports: "import { useRuntimeConfig } from '#imports'\n\n",
+      lazy: true,
+    });
+    write("app/components/UsersPage.vue", vueUsers(ts));
+    write("app/app.vue", vueApp(ts));
+  } else if (frontend === "Astro") {
+    apiClient("src/api", "import.meta.env.PUBLIC_API_URL ?? '/api'", {
+      s: ";",
+    });
+    const page = astroPage(ts);
+    write(
+      "src/pages/index.astro",
+      ctx.options.tailwind ? importAstroTailwind(page) : page,
+    );
+  } else if (frontend === "Remix") {
+    const style = { q: '"', s: ";" };
+    apiClient("app/api", 'import.meta.env.VITE_API_URL ?? "/api"', style);
+    write(
+      `app/routes/home.${jsx}`,
+      reactUsers({ ...style, ts, page: true, useClient: false, api: "../api" }),
+    );
+    ctx.remove(
+      path.join(clientDir, "app", "welcome"),
+      "remove the starter's welcome screen (the home route rendered it)",
+    );
+  } else if (frontend === "Angular") {
+    // The URL comes from the environment files (see writeClientEnv)
+    write(
+      "src/app/api.ts",
+      tsApiClient("environment.apiUrl", {
+        s: ";",
+        imports:
+          "import { environment } from '../environments/environment';\n\n",
+      }),
+    );
+    write("src/app/users/users.ts", ANGULAR_USERS);
+    ctx.updateFile(
+      path.join(clientDir, "src", "app", "app.routes.ts"),
+      (routes) =>
+        "import { Users } from './users/users';\n" +
+        routes.replace(
+          "export const routes: Routes = [];",
+          "export const routes: Routes = [{ path: '', component: Users }];",
+        ),
+      "import Users and route '' to it",
+    );
+  }
+  ctx.log("👥 Users page added to client");
+}
@@ -0,0 +1,629 @@
+import path from "path";
+import { importer } from "./databases.js";
+
+// 👤 USER RESOURCE: the sample model's data access, validation and errors
+
+// TypeScript-only fragments of the generated code
+const typed = (ts) => ({
+  ts,
+  param: (name, type) => (ts ? `${name}: ${type}` : name),
+  returns: (type) => (ts ? `: Promise<${type}>` : ""),
+  as: (type) => (ts ? ` as ${type}` : ""),
+  orNull: (expr) =>
+    ts ? `(${expr} as User | undefined) ?? null` : `${expr} ?? null`,
+  exported: ts ? "export " : "",
+});
+
+function httpError(ts, nest) {
+  if (nest) {
+    return `import { HttpException } from '@nestjs/common';
+
+// Nest answers thrown HttpExceptions with this body and status
+export class HttpError extends HttpException {
+  constructor(status: number, message: string, details?: string[]) {
+    super({ error: message, details }, status);
+  }
+}
+`;
+  }
+  return `// Error carrying the HTTP status (and optional details) to respond with
+${ts ? "export " : ""}class HttpError extends Error {
+${ts ? "  status: number;\n  details?: string[];\n\n" : ""}  constructor(${ts ? "status: number, message: string, details?: string[]" : "status, message, details"}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+${ts ? "" : "\nmodule.exports = { HttpError };\n"}`;
+}
+
+function validation(ts) {
+  const load = importer(ts);
+  const t = typed(ts);
+  return `${load("{ HttpError }", "../http-error")}
+${
+  ts
+    ? `
+export interface UserInput {
+  email: string;
+  name: string | null;
+}
+`
+    : ""
+}
+const EMAIL_PATTERN = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+
+/**
+ * Checks the body of POST and PUT /api/users and returns the fields to store.
+ * Throws a 400 HttpError listing every problem.
+ */
+${t.exported}function validateUser(${t.param("body", "any")})${ts ? ": UserInput" : ""} {
+  if (typeof body !== 'object' || body === null) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+
+  const errors${ts ? ": string[]" : ""} = [];
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(email)) errors.push('email must be a valid email address');
+  if (body.name != null && typeof body.name !== 'string') errors.push('name must be a string');
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (name.length > 100) errors.push('name must be at most 100 characters');
+
+  if (errors.length) throw new HttpError(400, 'Invalid user', errors);
+  return { email, name: name || null };
+}
+${ts ? "" : "\nmodule.exports = { validateUser };\n"}`;
+}
+
+function mongooseModel(ts) {
+  const load = importer(ts);
+  return `${load("{ mongoose }", "../database")}
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  name: { type: String, default: null },
+});
+
+${ts ? "export " : ""}const User = mongoose.model('User', userSchema);
+${ts ? "" : "\nmodule.exports = { User };\n"}`;
+}
+
+// Functions every repository shares: id parsing and unique-email errors
+function helpers(t, duplicateCode, { sqlIds = true } = {}) {
+  const toId = `
+// Route ids are strings; the table uses integer ids
+function toId(${t.param("id", "string")}) {
+  const userId = Number(id);
+  return Number.isInteger(userId) ? userId : null;
+}
+`;
+  const conflict = duplicateCode
+    ? `
+// A unique email violation becomes a 409 (ORMs keep the driver error as cause)
+function conflict(${t.param("err", "any")}) {
+  const code = err?.code ?? err?.cause?.code;
+  return code === ${duplicateCode} ? duplicate() : err;
+}
+`
+    : "";
+  return `const duplicate = () => new HttpError(409, 'Email is already in use');
+${sqlIds ? toId : ""}${conflict}`;
+}
+
+// No database: users are kept in memory until the server restarts
+function memoryRepository(t) {
+  return {
+    imports: [],
+    body: `${helpers(t, null)}
+const users${t.ts ? ": User[]" : ""} = [];
+let nextId = 1;
+
+${t.exported}async function list()${t.returns("User[]")} {
+  return users;
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  return users.find((user) => user.id === toId(id)) ?? null;
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  if (users.some((user) => user.email === data.email)) throw duplicate();
+  const user = { id: nextId++, ...data };
+  users.push(user);
+  return user;
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  const user = await get(id);
+  if (!user) return null;
+  if (users.some((other) => other !== user && other.email === data.email)) {
+    throw duplicate();
+  }
+  return Object.assign(user, data);
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  const index = users.findIndex((user) => user.id === toId(id));
+  if (index === -1) return false;
+  users.splice(index, 1);
+  return true;
+}`,
+  };
+}
+
+function mongoRepository(t) {
+  return {
+    imports: [
+      ["{ isValidObjectId }", "mongoose"],
+      [
+        t.ts ? "{ User as UserModel }" : "{ User: UserModel }",
+        "../models/user",
+      ],
+    ],
+    body: `${helpers(t, "11000", { sqlIds: false })}
+// Responses use \`id\` like the SQL databases instead of Mongo's _id
+function toUser(${t.param("doc", "{ id: string; email: string; name?: string | null }")})${t.ts ? ": User" : ""} {
+  return { id: doc.id, email: doc.email, name: doc.name ?? null };
+}
+
+${t.exported}async function list()${t.returns("User[]")} {
+  const docs = await UserModel.find().sort({ _id: 1 });
+  return docs.map(toUser);
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  if (!isValidObjectId(id)) return null;
+  const doc = await UserModel.findById(id);
+  return doc && toUser(doc);
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  try {
+    return toUser(await UserModel.create(data));
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  if (!isValidObjectId(id)) return null;
+  try {
+    const doc = await UserModel.findByIdAndUpdate(id, data, {
+      returnDocument: 'after',
+      runValidators: true,
+    });
+    return doc && toUser(doc);
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  if (!isValidObjectId(id)) return false;
+  return (await UserModel.findByIdAndDelete(id)) !== null;
+}`,
+  };
+}
+
+function prismaRepository(t) {
+  return {
+    imports: [["{ prisma }", "../database"]],
+    body: `${helpers(t, "'P2002'")}
+// Prisma reports a missing row as P2025 instead of returning null
+const isNotFound = (${t.param("err", "any")}) => err?.code === 'P2025';
+
+${t.exported}async function list()${t.returns("User[]")} {
+  return prisma.user.findMany({ orderBy: { id: 'asc' } });
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  return prisma.user.findUnique({ where: { id: userId } });
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  try {
+    return await prisma.user.create({ data });
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  try {
+    return await prisma.user.update({ where: { id: userId }, data });
+  } catch (err) {
+    if (isNotFound(err)) return null;
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  const userId = toId(id);
+  if (userId === null) return false;
+  try {
+    await prisma.user.delete({ where: { id: userId } });
+    return true;
+  } catch (err) {
+    if (isNotFound(err)) return false;
+    throw err;
+  }
+}`,
+  };
+}
+
+// Drizzle: PostgreSQL and SQLite return rows from writes, MySQL only ids
+function drizzleRepository(t, database) {
+  const mysql = database === "MySQL";
+  const create = mysql
+    ? `const [{ id }] = await db.insert(users).values(data).$returningId();
+    return findById(id)${t.as("Promise<User>")};`
+    : `const [user] = await db.insert(users).values(data).returning();
+    return user;`;
+  const update = mysql
+    ? `if (!(await findById(userId))) return null;
+  try {
+    await db.update(users).set(data).where(eq(users.id, userId));
+  } catch (err) {
+    throw conflict(err);
+  }
+  return findById(userId);`
+    : `try {
+    const [user] = await db
+      .update(users)
+      .set(data)
+      .where(eq(users.id, userId))
+      .returning();
+    return user ?? null;
+  } catch (err) {
+    throw conflict(err);
+  }`;
+  const remove = mysql
+    ? `const [result] = await db.delete(users).where(eq(users.id, userId));
+  return result.affectedRows > 0;`
+    : `const deleted = await db.delete(users).where(eq(users.id, userId)).returning();
+  return deleted.length > 0;`;
+
+  return {
+    imports: [
+      ["{ asc, eq }", "drizzle-orm"],
+      ["{ db }", "../database"],
+      ["{ users }", "../db/schema"],
+    ],
+    body: `${helpers(t, DUPLICATE_CODES[database])}
+async function findById(${t.param("userId", "number")})${t.returns("User | null")} {
+  const [user] = await db.select().from(users).where(eq(users.id, userId));
+  return user ?? null;
+}
+
+${t.exported}async function list()${t.returns("User[]")} {
+  return db.select().from(users).orderBy(asc(users.id));
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  const userId = toId(id);
+  return userId === null ? null : findById(userId);
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  try {
+    ${create}
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  ${update}
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  const userId = toId(id);
+  if (userId === null) return false;
+  ${remove}
+}`,
+  };
+}
+
+const DUPLICATE_CODES = {
+  SQLite: "'SQLITE_CONSTRAINT_UNIQUE'",
+  PostgreSQL: "'23505'",
+  MySQL: "'ER_DUP_ENTRY'",
+};
+
+// Plain drivers create the table themselves (switch to migrations as the schema grows)
+const CREATE_TABLE = {
+  SQLite: `CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT
+)`,
+  PostgreSQL: `CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT
+)`,
+  MySQL: `CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255)
+)`,
+};
+
+// better-sqlite3 is synchronous, so the table is created when the module loads
+function sqliteRepository(t) {
+  return {
+    imports: [["{ db }", "../database"]],
+    body: `${helpers(t, DUPLICATE_CODES.SQLite)}
+db.exec(\`${CREATE_TABLE.SQLite}\`);
+
+${t.exported}async function list()${t.returns("User[]")} {
+  return db.prepare('SELECT * FROM users ORDER BY id').all()${t.as("User[]")};
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  return ${t.orNull("db.prepare('SELECT * FROM users WHERE id = ?').get(userId)")};
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  try {
+    return db
+      .prepare('INSERT INTO users (email, name) VALUES (?, ?) RETURNING *')
+      .get(data.email, data.name)${t.as("User")};
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  try {
+    const statement = db.prepare(
+      'UPDATE users SET email = ?, name = ? WHERE id = ? RETURNING *',
+    );
+    return ${t.orNull("statement.get(data.email, data.name, userId)")};
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  const userId = toId(id);
+  if (userId === null) return false;
+  return db.prepare('DELETE FROM users WHERE id = ?').run(userId).changes > 0;
+}`,
+  };
+}
+
+// The table is created on first use; a failed attempt is retried on the next request
+function createTableOnce(t, database) {
+  return `let ready${t.ts ? ": Promise<unknown> | undefined" : ""};
+function init() {
+  ready ??= pool.query(\`${CREATE_TABLE[database]}\`).catch((err) => {
+    ready = undefined;
+    throw err;
+  });
+  return ready;
+}`;
+}
+
+function postgresRepository(t) {
+  return {
+    imports: [["{ pool }", "../database"]],
+    body: `${helpers(t, DUPLICATE_CODES.PostgreSQL)}
+${createTableOnce(t, "PostgreSQL")}
+
+${t.exported}async function list()${t.returns("User[]")} {
+  await init();
+  const { rows } = await pool.query('SELECT * FROM users ORDER BY id');
+  return rows;
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  await init();
+  const { rows } = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return rows[0] ?? null;
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  await init();
+  try {
+    const { rows } = await pool.query(
+      'INSERT INTO users (email, name) VALUES ($1, $2) RETURNING *',
+      [data.email, data.name],
+    );
+    return rows[0];
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  await init();
+  try {
+    const { rows } = await pool.query(
+      'UPDATE users SET email = $1, name = $2 WHERE id = $3 RETURNING *',
+      [data.email, data.name, userId],
+    );
+    return rows[0] ?? null;
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  const userId = toId(id);
+  if (userId === null) return false;
+  await init();
+  const { rowCount } = await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+  return Boolean(rowCount);
+}`,
+  };
+}
+
+// mysql2 has no RETURNING: writes are followed by a select
+function mysqlRepository(t) {
+  const rows = t.ts ? "<(User & RowDataPacket)[]>" : "";
+  const header = t.ts ? "<ResultSetHeader>" : "";
+  return {
+    imports: [["{ pool }", "../database"]],
+    typeImports: [["{ ResultSetHeader, RowDataPacket }", "mysql2"]],
+    body: `${helpers(t, DUPLICATE_CODES.MySQL)}
+${createTableOnce(t, "MySQL")}
+
+async function findById(${t.param("userId", "number")})${t.returns("User | null")} {
+  const [rows] = await pool.query${rows}('SELECT * FROM users WHERE id = ?', [userId]);
+  return rows[0] ?? null;
+}
+
+${t.exported}async function list()${t.returns("User[]")} {
+  await init();
+  const [rows] = await pool.query${rows}('SELECT * FROM users ORDER BY id');
+  return rows;
+}
+
+${t.exported}async function get(${t.param("id", "string")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  await init();
+  return findById(userId);
+}
+
+${t.exported}async function create(${t.param("data", "UserInput")})${t.returns("User")} {
+  await init();
+  try {
+    const [result] = await pool.query${header}(
+      'INSERT INTO users (email, name) VALUES (?, ?)',
+      [data.email, data.name],
+    );
+    return findById(result.insertId)${t.as("Promise<User>")};
+  } catch (err) {
+    throw conflict(err);
+  }
+}
+
+${t.exported}async function update(${t.param("id", "string")}, ${t.param("data", "UserInput")})${t.returns("User | null")} {
+  const userId = toId(id);
+  if (userId === null) return null;
+  await init();
+  if (!(await findById(userId))) return null;
+  try {
+    await pool.query('UPDATE users SET email = ?, name = ? WHERE id = ?', [
+      data.email,
+      data.name,
+      userId,
+    ]);
+  } catch (err) {
+    throw conflict(err);
+  }
+  return findById(userId);
+}
+
+${t.exported}async function remove(${t.param("id", "string")})${t.returns("boolean")} {
+  const userId = toId(id);
+  if (userId === null) return false;
+  await init();
+  const [result] = await pool.query${header}('DELETE FROM users WHERE id = ?', [userId]);
+  return result.affectedRows > 0;
+}`,
+  };
+}
+
+function repositoryFor(t, database, orm) {
+  if (database === "MongoDB") return mongoRepository(t);
+  if (!DUPLICATE_CODES[database]) return memoryRepository(t);
+  if (orm === "Prisma") return prismaRepository(t);
+  if (orm === "Drizzle") return drizzleRepository(t, database);
+  if (database === "SQLite") return sqliteRepository(t);
+  if (database === "PostgreSQL") return postgresRepository(t);
+  return mysqlRepository(t);
+}
+
+// list/get/create/update/remove for the chosen database, returning plain { id, email, name } objects.
+// `errorPath` and `validationPath` are where the file imports HttpError and UserInput from
+function repository(
+  ts,
+  database,
+  orm,
+  { errorPath = "../http-error", validationPath = "./users.validation" } = {},
+) {
+  const load = importer(ts);
+  const t = typed(ts);
+  const { imports, typeImports = [], body } = repositoryFor(t, database, orm);
+  const importLines = [
+    ...imports.map(([binding, source]) => load(binding, source)),
+    load("{ HttpError }", errorPath),
+    ...(ts
+      ? [
+          ...typeImports.map(
+            ([binding, source]) => `import type ${binding} from '${source}';`,
+          ),
+          `import type { UserInput } from '${validationPath}';`,
+        ]
+      : []),
+  ];
+
+  return `${importLines.join("\n")}
+${
+  ts
+    ? `
+export interface User {
+  id: number | string;
+  email: string;
+  name: string | null;
+}
+`
+    : ""
+}
+${body}
+${ts ? "" : "\nmodule.exports = { list, get, create, update, remove };\n"}`;
+}
+
+/**
+ * Framework-independent files of the User resource, as paths relative to
+ * server/: the HttpError class, body validation, the Mongoose model and the
+ * repository. Routes and controllers come from the framework (see
+ * backend-frameworks.js).
+ */
+export function userResourceFiles(
+  ts,
+  database,
+  orm,
+  { srcDir = "", nest = false } = {},
+) {
+  const ext = ts ? ".ts" : ".js";
+  const file = (...parts) => path.posix.join(srcDir, ...parts) + ext;
+  return {
+    [file("http-error")]: httpError(ts, nest),
+    [file("users", "users.validation")]: validation(ts),
+    ...(database === "MongoDB"
+      ? { [file("models", "user")]: mongooseModel(ts) }
+      : {}),
+    [file("users", "users.repository")]: repository(ts, database, orm),
+  };
+}
+
+/**
+ * The in-memory users repository, for a file that reaches the server's
+ * sources through `srcPath`: the tests' stand-in for the SQL repositories
+ * (see testing.js).
+ */
+export function memoryRepositoryModule(ts, srcPath) {
+  return repository(ts, "None", undefined, {
+    errorPath: `${srcPath}/http-error`,
+    validationPath: `${srcPath}/users/users.validation`,
+  });
+}
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FeatureExistsError, addFeature } from "../lib/index.js";
+import { scaffold } from "./helpers.js";
+
+test("adding Docker plans the Dockerfiles and compose file", async () => {
+  const rootDir = await scaffold();
+  const result = await addFeature({
+    feature: "docker",
+    cwd: rootDir,
+    stdio: "pipe",
+    dryRun: true,
+  });
+
+  const planned = result.plan.map((file) => file.path);
+  for (const file of [
+    "docker-compose.yml",
+    "server/Dockerfile",
+    "client/Dockerfile",
+  ]) {
+    assert.ok(planned.includes(file), `${file} is planned`);
+  }
+});
+
+test("a feature the project has is refused", async () => {
+  const rootDir = await scaffold({ docker: true });
+
+  await assert.rejects(
+    addFeature({ feature: "docker", cwd: rootDir, dryRun: true }),
+    FeatureExistsError,
+  );
+});
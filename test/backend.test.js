@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { createFullstackApp } from "../lib/index.js";
+import { BASE_OPTIONS, readJson, scaffold, tempDir } from "./helpers.js";
+
+const exists = (dir, relative) => fs.existsSync(path.join(dir, relative));
+
+test("TypeScript servers build strict sources from src/ to dist/", async () => {
+  const serverDir = path.join(
+    await scaffold({ backendLang: "TypeScript" }),
+    "server",
+  );
+
+  const { compilerOptions, include } = readJson(serverDir, "tsconfig.json");
+  assert.equal(compilerOptions.strict, true);
+  assert.equal(compilerOptions.rootDir, "./src");
+  assert.equal(compilerOptions.outDir, "./dist");
+  assert.deepEqual(compilerOptions.types, ["node"]);
+  assert.deepEqual(include, ["src"]);
+
+  const pkg = readJson(serverDir, "package.json");
+  const { dev, build, start, typecheck } = pkg.scripts;
+  assert.deepEqual(
+    { dev, build, start, typecheck },
+    {
+      dev: "tsx watch src/index.ts",
+      build: "tsc",
+      start: "node dist/index.js",
+      typecheck: "tsc --noEmit",
+    },
+  );
+  assert.equal(pkg.main, "dist/index.js");
+  assert.ok(exists(serverDir, "src/index.ts"));
+  assert.ok(!exists(serverDir, "index.ts"));
+});
+
+test("Prisma servers generate the client before tsc", async () => {
+  const serverDir = path.join(
+    await scaffold({
+      backendLang: "TypeScript",
+      database: "SQLite",
+      orm: "Prisma",
+    }),
+    "server",
+  );
+
+  assert.equal(
+    readJson(serverDir, "package.json").scripts.build,
+    "prisma generate && tsc",
+  );
+});
+
+test("NestJS adds its decorator settings to the tsconfig", async () => {
+  const serverDir = path.join(
+    await scaffold({ backendLang: "TypeScript", backendFramework: "NestJS" }),
+    "server",
+  );
+
+  const { compilerOptions } = readJson(serverDir, "tsconfig.json");
+  assert.equal(compilerOptions.strict, true);
+  assert.equal(compilerOptions.experimentalDecorators, true);
+  assert.equal(compilerOptions.emitDecoratorMetadata, true);
+  assert.equal(readJson(serverDir, "package.json").main, "dist/main.js");
+  assert.ok(exists(serverDir, "src/main.ts"));
+});
+
+test("JavaScript servers run their sources from the folder", async () => {
+  const serverDir = path.join(await scaffold(), "server");
+
+  const pkg = readJson(serverDir, "package.json");
+  assert.equal(pkg.scripts.dev, "node index.js");
+  assert.equal(pkg.scripts.start, "node index.js");
+  assert.equal(pkg.scripts.build, undefined);
+  assert.ok(exists(serverDir, "index.js"));
+  assert.ok(!exists(serverDir, "tsconfig.json"));
+  assert.ok(!exists(serverDir, "src"));
+});
+
+test("TypeScript servers install a known TypeScript major", async () => {
+  const { commands } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    backendLang: "TypeScript",
+    cwd: tempDir(),
+    dryRun: true,
+  });
+  const devInstall = commands.find(
+    ({ cwd, args }) => cwd === "server" && args.includes("-D"),
+  );
+
+  assert.ok(devInstall.args.includes("typescript@~5.9.3"));
+  assert.ok(!devInstall.args.includes("typescript"));
+});
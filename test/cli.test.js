@@ -0,0 +1,216 @@
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { scaffold, tempDir } from "./helpers.js";
+
+const BIN = fileURLToPath(new URL("../bin/index.js", import.meta.url));
+
+// Run the CLI to the end; resolves with its exit code and output
+async function cli(args, { cwd = tempDir(), env } = {}) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(
+      process.execPath,
+      [BIN, ...args],
+      { cwd, env: { ...process.env, NO_COLOR: "1", ...env } },
+    );
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+// A folder with an `npm` that prints `lines` to stderr and fails
+function failingNpm(lines) {
+  const dir = tempDir();
+  const npm = path.join(dir, "npm");
+  fs.writeFileSync(
+    npm,
+    `#!/bin/sh\n${lines.map((line) => `echo "${line}" >&2`).join("\n")}\nexit 1\n`,
+  );
+  fs.chmodSync(npm, 0o755);
+  return dir;
+}
+
+// `add lint` in a scaffolded project, whose npm install fails with `lines`
+async function failedInstall(lines) {
+  const rootDir = await scaffold();
+  const bin = failingNpm(lines);
+  return cli(["add", "lint"], {
+    cwd: rootDir,
+    env: { PATH: `${bin}${path.delimiter}${process.env.PATH}` },
+  });
+}
+
+test("a failed command's error output is printed under its message", async () => {
+  const { code, stderr } = await failedInstall([
+    "npm error code ERESOLVE",
+    "npm error ERESOLVE unable to resolve dependency tree",
+  ]);
+
+  assert.equal(code, 1);
+  assert.match(
+    stderr,
+    /Command failed with exit code 1: npm install\nnpm error code ERESOLVE\nnpm error ERESOLVE unable/,
+  );
+});
+
+test("only the last lines of a long error output are printed", async () => {
+  const lines = Array.from({ length: 26 }, (_, i) => `npm error line ${i}`);
+  const { stderr } = await failedInstall(lines);
+
+  assert.match(stderr, /\.\.\. \(6 earlier lines\)\nnpm error line 6\n/);
+  assert.match(stderr, /npm error line 25\n/);
+  assert.doesNotMatch(stderr, /npm error line 5\n/);
+});
+
+// The options and commands a `--dry-run --json` run resolves to
+async function dryRun(args, options) {
+  const { code, stdout, stderr } = await cli(
+    [...args, "--dry-run", "--json", "--yes"],
+    options,
+  );
+  assert.equal(code, 0, stderr);
+  return JSON.parse(stdout);
+}
+
+test("flags are read into the project's choices", async () => {
+  const { options } = await dryRun([
+    "shop",
+    "-f",
+    "vue",
+    "-s",
+    "fastify",
+    "-l",
+    "ts",
+    "--db",
+    "postgres",
+    "--orm",
+    "drizzle",
+    "--pm",
+    "pnpm",
+    "--no-git",
+    "--lint",
+  ]);
+
+  assert.equal(options.projectName, "shop");
+  assert.equal(options.frontend, "Vue");
+  assert.equal(options.backendFramework, "Fastify");
+  assert.equal(options.backendLang, "TypeScript");
+  assert.equal(options.frontendLang, "TypeScript");
+  assert.equal(options.database, "PostgreSQL");
+  assert.equal(options.orm, "Drizzle");
+  assert.equal(options.packageManager, "pnpm");
+  assert.equal(options.git, false);
+  assert.equal(options.linting, true);
+});
+
+test("--backend and --frontend-lang override --lang", async () => {
+  const { options } = await dryRun(["-l", "ts", "-b", "js", "-f", "react"]);
+
+  assert.equal(options.backendLang, "JavaScript");
+  assert.equal(options.frontendLang, "TypeScript");
+});
+
+test("a preset supplies answers the flags override", async () => {
+  const cwd = tempDir();
+  fs.writeJsonSync(path.join(cwd, "preset.json"), {
+    name: "from-preset",
+    frontend: "svelte",
+    db: "postgres",
+    orm: "drizzle",
+    docker: true,
+  });
+
+  const { options } = await dryRun(["-p", "preset.json", "--db", "mongodb"], {
+    cwd,
+  });
+
+  assert.equal(options.projectName, "from-preset");
+  assert.equal(options.frontend, "SvelteKit");
+  assert.equal(options.docker, true);
+  // The preset's ORM only applied to its SQL database
+  assert.equal(options.database, "MongoDB");
+  assert.equal(options.orm, undefined);
+});
+
+test("another project's .fullstackrc.json is read as a preset", async () => {
+  const rootDir = await scaffold({
+    backendFramework: "Hono",
+    database: "SQLite",
+  });
+
+  const { options } = await dryRun(
+    ["copy", "-p", path.join(rootDir, ".fullstackrc.json")],
+    { cwd: path.dirname(rootDir) },
+  );
+
+  assert.equal(options.projectName, "copy");
+  assert.equal(options.reactSetup, "Vite");
+  assert.equal(options.backendFramework, "Hono");
+  assert.equal(options.database, "SQLite");
+});
+
+test("choices that cannot be combined are refused", async () => {
+  const refused = {
+    'ORM "Drizzle" was given but the database is MongoDB': [
+      "--db",
+      "mongodb",
+      "--orm",
+      "drizzle",
+    ],
+    "NestJS backends can only be written in TypeScript": [
+      "-s",
+      "nest",
+      "-b",
+      "js",
+    ],
+    "Tailwind CSS cannot be combined with Next.js": [
+      "-f",
+      "next",
+      "--tailwind",
+    ],
+    "--force and --merge cannot be combined": ["--force", "--merge"],
+    "--lint and --no-lint cannot be combined": ["--lint", "--no-lint"],
+    "--json can only be used with --dry-run": ["--json"],
+    'Invalid value for --db: "oracle"': ["--db", "oracle"],
+  };
+  for (const [message, args] of Object.entries(refused)) {
+    const { code, stderr } = await cli([...args, "--yes"]);
+
+    assert.equal(code, 1, message);
+    assert.ok(stderr.includes(message), `${message} in:\n${stderr}`);
+    assert.match(stderr, /Run with --help to see all options\./);
+  }
+});
+
+test("--help lists the options without prompting", async () => {
+  const { code, stdout } = await cli(["--help"]);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /^Usage: create-fullstack-app \[project-name\]/m);
+  for (const flag of ["--frontend", "--db", "--orm", "--preset", "--merge"]) {
+    assert.ok(stdout.includes(flag), flag);
+  }
+  const add = await cli(["add", "--help"]);
+  assert.match(add.stdout, /create-fullstack-app add <feature>/);
+});
+
+test("create-next-app gets every choice as a flag", async () => {
+  const { commands, plan } = await dryRun(["-f", "next", "-l", "js"]);
+  const { args } = commands.find(({ args }) =>
+    args.includes("create-next-app@latest"),
+  );
+
+  for (const flag of ["--yes", "--app", "--no-src-dir", "--no-tailwind"]) {
+    assert.ok(args.includes(flag), flag);
+  }
+  assert.ok(args.includes("--js"));
+  assert.ok(
+    plan.some(({ path }) => path === "client/app/users/page.jsx"),
+    "the users page is in app/",
+  );
+});
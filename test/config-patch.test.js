@@ -0,0 +1,268 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { patchConfig, patchJson } from "../lib/config-patch.js";
+import { createContext } from "../lib/context.js";
+import { ConfigPatchError } from "../lib/index.js";
+import { tempDir } from "./helpers.js";
+
+// `source` written as `file`, then edited by `patch`; returns the new content
+function patched(file, source, patch, patcher = patchConfig) {
+  const rootDir = tempDir();
+  const filePath = path.join(rootDir, file);
+  fs.outputFileSync(filePath, source);
+  patcher(createContext({ rootDir }), filePath, patch, "edit it");
+  return fs.readFileSync(filePath, "utf-8");
+}
+
+const addProxy = (config) =>
+  config.set(
+    ["server", "proxy", "/api"],
+    config.string("http://localhost:5000"),
+  );
+
+test("defineConfig({ ... }) gets the plugin and its import", () => {
+  const source = `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react()],
+})
+`;
+  const result = patched("vite.config.js", source, (config) => {
+    config.addImport("tailwindcss", "@tailwindcss/vite");
+    config.prepend(["plugins"], "tailwindcss()");
+  });
+
+  assert.equal(
+    result,
+    `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [tailwindcss(), react()],
+})
+`,
+  );
+});
+
+test("an object with `satisfies` gets nested objects in the file's style", () => {
+  const source = `import type { Config } from "tailwindcss";
+
+export default {
+  content: [],
+} satisfies Config;
+`;
+  const result = patched("config.ts", source, addProxy);
+
+  assert.equal(
+    result,
+    `import type { Config } from "tailwindcss";
+
+export default {
+  content: [],
+  server: {
+    proxy: {
+      "/api": "http://localhost:5000",
+    },
+  },
+} satisfies Config;
+`,
+  );
+});
+
+test("the object of an exported variable is edited", () => {
+  const source = `import type { NextConfig } from "next";
+
+const nextConfig: NextConfig = {
+  /* config options here */
+};
+
+export default nextConfig;
+`;
+  const result = patched("next.config.ts", source, (config) =>
+    config.set(["reactStrictMode"], "true"),
+  );
+
+  assert.equal(
+    result,
+    `import type { NextConfig } from "next";
+
+const nextConfig: NextConfig = {
+  /* config options here */
+  reactStrictMode: true,
+};
+
+export default nextConfig;
+`,
+  );
+});
+
+test("module.exports is edited and an existing value replaced", () => {
+  const source = `/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: [],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}
+`;
+  const result = patched("tailwind.config.js", source, (config) =>
+    config.set(["content"], `[${config.string("./src/**/*.{js,jsx}")}]`),
+  );
+
+  // No string in the file to take the quotes from
+  assert.match(result, /^ {2}content: \["\.\/src\/\*\*\/\*\.\{js,jsx\}"\],$/m);
+  assert.match(result, /^ {2}plugins: \[\],\n\}\n$/m);
+});
+
+test("one-line and empty objects are spread over lines", () => {
+  assert.equal(
+    patched("a.config.mjs", "export default { base: '/' };\n", addProxy),
+    `export default {
+  base: '/',
+  server: {
+    proxy: {
+      '/api': 'http://localhost:5000',
+    },
+  },
+};
+`,
+  );
+  assert.equal(
+    patched("b.config.mjs", "export default {};\n", (config) =>
+      config.prepend(["plugins"], "a()"),
+    ),
+    "export default {\n  plugins: [a()],\n};\n",
+  );
+});
+
+test("properties go after a trailing comment, with a comment of their own", () => {
+  const source = `export default defineNuxtConfig({
+  compatibilityDate: '2025-07-15', // pinned
+  devtools: { enabled: true }
+})
+`;
+  const result = patched("nuxt.config.ts", source, (config) =>
+    config.set(["routeRules"], "{}", { comment: "Proxied to the server" }),
+  );
+
+  assert.equal(
+    result,
+    `export default defineNuxtConfig({
+  compatibilityDate: '2025-07-15', // pinned
+  devtools: { enabled: true },
+  // Proxied to the server
+  routeRules: {},
+})
+`,
+  );
+});
+
+test("imports follow the file's quotes and semicolons", () => {
+  const addImport = (config) => config.addImport("a", "a-plugin");
+
+  assert.match(
+    patched(
+      "a.config.js",
+      'import x from "x";\n\nexport default {};\n',
+      addImport,
+    ),
+    /^import a from "a-plugin";$/m,
+  );
+  assert.match(
+    patched(
+      "b.config.js",
+      "import x from 'x'\n\nexport default {}\n",
+      addImport,
+    ),
+    /^import a from 'a-plugin'$/m,
+  );
+});
+
+test("applying an edit again changes nothing", () => {
+  const source = "export default defineConfig({\n  plugins: [react()],\n})\n";
+  const edit = (config) => {
+    config.addImport("tailwindcss", "@tailwindcss/vite");
+    config.prepend(["plugins"], "tailwindcss()");
+  };
+  const once = patched("vite.config.js", source, edit);
+
+  assert.equal(patched("vite.config.js", once, edit), once);
+});
+
+test("a config exported as a function is refused", () => {
+  const source = `export default defineConfig(({ mode }) => ({
+  plugins: [],
+}))
+`;
+  assert.throws(
+    () => patched("vite.config.js", source, addProxy),
+    (err) =>
+      err instanceof ConfigPatchError &&
+      err.code === "ERR_CONFIG_PATCH" &&
+      err.file === "vite.config.js",
+  );
+});
+
+test("a missing file is refused", () => {
+  const rootDir = tempDir();
+  assert.throws(
+    () =>
+      patchConfig(
+        createContext({ rootDir }),
+        path.join(rootDir, "vite.config.js"),
+        addProxy,
+        "add the proxy",
+      ),
+    /Could not update vite\.config\.js: the file is missing/,
+  );
+});
+
+test("JSON is written back with a trailing newline", () => {
+  const result = patched(
+    "package.json",
+    '{\n  "name": "client"\n}\n',
+    (pkg) => ({ ...pkg, private: true }),
+    patchJson,
+  );
+
+  assert.equal(result, '{\n  "name": "client",\n  "private": true\n}\n');
+});
+
+test("an exported array gets an element and its named import", () => {
+  const source = `import { type RouteConfig, index } from "@react-router/dev/routes";
+
+export default [index("routes/home.tsx")] satisfies RouteConfig;
+`;
+  const addRoute = (config) => {
+    config.addNamedImport("route", "@react-router/dev/routes");
+    config.prepend([], `route(${config.string("api/*")}, "routes/api.ts")`);
+  };
+  const result = patched("routes.ts", source, addRoute);
+
+  assert.equal(
+    result,
+    `import { type RouteConfig, index, route } from "@react-router/dev/routes";
+
+export default [route("api/*", "routes/api.ts"), index("routes/home.tsx")] satisfies RouteConfig;
+`,
+  );
+  assert.equal(patched("routes.ts", result, addRoute), result);
+});
+
+test("a named import is added as a statement of its own when there is none", () => {
+  const result = patched("routes.js", "export default [];\n", (config) =>
+    config.addNamedImport("route", "@react-router/dev/routes"),
+  );
+
+  assert.equal(
+    result,
+    'import { route } from "@react-router/dev/routes";\n\nexport default [];\n',
+  );
+});
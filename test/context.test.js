@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { createContext } from "../lib/context.js";
+import { StepError } from "../lib/index.js";
+import { tempDir } from "./helpers.js";
+
+test("a failed optional step warns with the command's exit code only", async () => {
+  const rootDir = path.join(tempDir(), "my-app");
+  const ctx = createContext({ rootDir, stdio: "pipe" });
+
+  await ctx.step(
+    "docker",
+    () =>
+      ctx.run(
+        process.execPath,
+        ["-e", "console.error('first\\nsecond'); process.exit(3)"],
+        { cwd: path.dirname(rootDir) },
+      ),
+    { optional: true },
+  );
+
+  const [warning] = ctx.result().warnings;
+  assert.match(
+    warning,
+    /^Step "docker" failed: Command failed with exit code 3/,
+  );
+  assert.doesNotMatch(warning, /\n/);
+});
+
+test("a rollback brings back the content an overwrite moved aside", async () => {
+  const parent = tempDir();
+  const rootDir = path.join(parent, "my-app");
+  fs.outputFileSync(path.join(rootDir, "notes.txt"), "my notes\n");
+  fs.outputFileSync(path.join(rootDir, "server/index.js"), "// mine\n");
+  const ctx = createContext({ rootDir, stdio: "pipe" });
+
+  const failing = ctx.step("backend", async () => {
+    ctx.emptyDir(rootDir);
+    ctx.writeFile(path.join(rootDir, "server/index.js"), "// generated\n");
+    ctx.writeFile(path.join(rootDir, "package.json"), "{}\n");
+    await ctx.run(process.execPath, ["-e", "process.exit(1)"], {
+      cwd: rootDir,
+    });
+  });
+  await assert.rejects(failing, StepError);
+  ctx.rollback();
+
+  assert.deepEqual(fs.readdirSync(parent), ["my-app"]);
+  assert.deepEqual(fs.readdirSync(rootDir).sort(), ["notes.txt", "server"]);
+  assert.equal(
+    fs.readFileSync(path.join(rootDir, "server/index.js"), "utf8"),
+    "// mine\n",
+  );
+});
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import {
+  MANIFEST_FILE,
+  TargetExistsError,
+  createFullstackApp,
+} from "../lib/index.js";
+import { BASE_OPTIONS, tempDir } from "./helpers.js";
+
+test("a dry run plans the project without touching the disk", async () => {
+  const cwd = tempDir();
+  const result = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd,
+    dryRun: true,
+  });
+
+  assert.equal(result.dryRun, true);
+  assert.equal(result.rootDir, path.join(cwd, "my-app"));
+  assert.deepEqual(fs.readdirSync(cwd), []);
+
+  const planned = result.plan.map((file) => file.path);
+  for (const file of ["package.json", "server/package.json", MANIFEST_FILE]) {
+    assert.ok(planned.includes(file), `${file} is planned`);
+  }
+  assert.ok(
+    result.commands.some(({ args }) => args.includes("vite@latest")),
+    "create-vite is planned",
+  );
+});
+
+test("the manifest records the choices", async () => {
+  const result = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd: tempDir(),
+    database: "PostgreSQL",
+    orm: "Drizzle",
+    dryRun: true,
+  });
+  const manifest = JSON.parse(
+    result.plan.find((file) => file.path === MANIFEST_FILE).content,
+  );
+
+  assert.equal(manifest.choices.database, "PostgreSQL");
+  assert.equal(manifest.choices.orm, "Drizzle");
+  assert.ok(manifest.files["server/package.json"]);
+});
+
+// A my-app folder in a new temporary folder, with `files` in it
+function existingProject(files) {
+  const cwd = tempDir();
+  for (const [file, content] of Object.entries(files)) {
+    fs.outputFileSync(path.join(cwd, "my-app", file), content);
+  }
+  return cwd;
+}
+
+test("a folder with content is refused by default", async () => {
+  const cwd = existingProject({ "notes.txt": "mine\n" });
+
+  await assert.rejects(
+    createFullstackApp({ ...BASE_OPTIONS, cwd, dryRun: true }),
+    (error) =>
+      error instanceof TargetExistsError &&
+      error.rootDir === path.join(cwd, "my-app") &&
+      error.entries.join() === "notes.txt",
+  );
+});
+
+test("overwriting moves the folder's content aside", async () => {
+  const cwd = existingProject({ "notes.txt": "mine\n" });
+
+  const { mutations } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd,
+    existing: "overwrite",
+    dryRun: true,
+  });
+
+  assert.deepEqual(mutations[0], {
+    path: ".",
+    description: "remove existing content (notes.txt)",
+  });
+  assert.ok(fs.existsSync(path.join(cwd, "my-app/notes.txt")));
+});
+
+test("merging keeps the folder's files and holds conflicting ones", async () => {
+  const cwd = existingProject({
+    "notes.txt": "mine\n",
+    ".gitignore": "secrets/\n",
+  });
+
+  const { mutations, conflicts, plan } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd,
+    existing: "merge",
+    dryRun: true,
+  });
+
+  assert.ok(!mutations.some(({ path }) => path === "."));
+  assert.ok(!plan.some(({ path }) => path === "notes.txt"));
+  assert.deepEqual(
+    conflicts.map(({ path, resolution }) => [path, resolution]),
+    [[".gitignore", "pending"]],
+  );
+});
+
+test("a file in the project folder's place is refused by every strategy", async () => {
+  const cwd = tempDir();
+  fs.writeFileSync(path.join(cwd, "my-app"), "");
+
+  for (const existing of ["abort", "overwrite", "merge"]) {
+    await assert.rejects(
+      createFullstackApp({ ...BASE_OPTIONS, cwd, existing, dryRun: true }),
+      TargetExistsError,
+      existing,
+    );
+  }
+});
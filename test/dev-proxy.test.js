@@ -0,0 +1,215 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { createContext } from "../lib/context.js";
+import { addDevProxy } from "../lib/dev-proxy.js";
+import { tempDir } from "./helpers.js";
+
+test("Remix's api/* route is added to the routes the app has", () => {
+  const rootDir = tempDir();
+  const clientDir = path.join(rootDir, "client");
+  const routes = `import { type RouteConfig, index, route } from "@react-router/dev/routes";
+
+export default [
+  index("routes/home.tsx"),
+  route("about", "routes/about.tsx"),
+] satisfies RouteConfig;
+`;
+  fs.outputFileSync(path.join(clientDir, "app/routes.ts"), routes);
+  const ctx = createContext({
+    rootDir,
+    frontend: "Remix",
+    frontendLang: "TypeScript",
+    backendPort: 5000,
+  });
+
+  addDevProxy(ctx, clientDir);
+
+  assert.equal(
+    fs.readFileSync(path.join(clientDir, "app/routes.ts"), "utf-8"),
+    routes.replace(
+      '  index("routes/home.tsx"),',
+      '  route("api/*", "routes/api.ts"),\n  index("routes/home.tsx"),',
+    ),
+  );
+  assert.ok(fs.existsSync(path.join(clientDir, "app/routes/api.ts")));
+});
+
+// Write the generator's `file` with `content` to a new client folder, add
+// the dev proxy and return what the file became, with the client folder
+function proxied(frontend, file, content, options = {}) {
+  const rootDir = tempDir();
+  const clientDir = path.join(rootDir, "client");
+  fs.outputFileSync(path.join(clientDir, file), content);
+  const ctx = createContext({
+    rootDir,
+    frontend,
+    frontendLang: "TypeScript",
+    backendPort: 5000,
+    ...options,
+  });
+
+  addDevProxy(ctx, clientDir);
+
+  return {
+    patched: fs.readFileSync(path.join(clientDir, file), "utf-8"),
+    clientDir,
+  };
+}
+
+test("create-vite's config gets server.proxy", () => {
+  const config = `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react()],
+})
+`;
+
+  assert.equal(
+    proxied("React", "vite.config.js", config, {
+      reactSetup: "Vite",
+      frontendLang: "JavaScript",
+    }).patched,
+    config.replace(
+      "  plugins: [react()],\n",
+      `  plugins: [react()],
+  server: {
+    proxy: {
+      '/api': process.env.API_PROXY_TARGET ?? 'http://localhost:5000',
+    },
+  },
+`,
+    ),
+  );
+});
+
+test("the proxy joins the server options a Vite config has", () => {
+  const config = `import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+export default defineConfig({
+  plugins: [vue()],
+  server: {
+    port: 3000,
+  },
+})
+`;
+
+  assert.equal(
+    proxied("Vue", "vite.config.ts", config, { backendPort: 4000 }).patched,
+    config.replace(
+      "    port: 3000,\n",
+      `    port: 3000,
+    proxy: {
+      '/api': process.env.API_PROXY_TARGET ?? 'http://localhost:4000',
+    },
+`,
+    ),
+  );
+});
+
+test("create-next-app's config gets rewrites", () => {
+  const config = `import type { NextConfig } from "next";
+
+const nextConfig: NextConfig = {
+  /* config options here */
+};
+
+export default nextConfig;
+`;
+
+  assert.equal(
+    proxied("Next.js", "next.config.ts", config).patched,
+    config.replace(
+      "  /* config options here */\n",
+      `  /* config options here */
+  rewrites: async () => {
+    const target = process.env.API_PROXY_TARGET ?? "http://localhost:5000";
+    return [{ source: "/api/:path*", destination: \`\${target}/api/:path*\` }];
+  },
+`,
+    ),
+  );
+});
+
+test("Nuxt's config gets a proxy route rule", () => {
+  const config = `// https://nuxt.com/docs/api/configuration/nuxt-config
+export default defineNuxtConfig({
+  compatibilityDate: '2025-07-15',
+  devtools: { enabled: true }
+})
+`;
+
+  assert.equal(
+    proxied("Nuxt", "nuxt.config.ts", config).patched,
+    config.replace(
+      "  devtools: { enabled: true }\n",
+      `  devtools: { enabled: true },
+  routeRules: {
+    // The target is read when the client is built (or the dev server starts)
+    '/api/**': {
+      proxy: \`\${process.env.API_PROXY_TARGET ?? 'http://localhost:5000'}/api/**\`,
+    },
+  },
+`,
+    ),
+  );
+});
+
+test("Astro's config gets vite.server.proxy next to the plugins", () => {
+  const config = `// @ts-check
+import { defineConfig } from 'astro/config';
+
+import tailwindcss from '@tailwindcss/vite';
+
+// https://astro.build/config
+export default defineConfig({
+  vite: {
+    plugins: [tailwindcss()]
+  }
+});
+`;
+
+  assert.equal(
+    proxied("Astro", "astro.config.mjs", config).patched,
+    config.replace(
+      "    plugins: [tailwindcss()]\n",
+      `    plugins: [tailwindcss()],
+    server: {
+      proxy: {
+        '/api': process.env.API_PROXY_TARGET ?? 'http://localhost:5000',
+      },
+    },
+`,
+    ),
+  );
+});
+
+test("Angular's serve target gets proxy.conf.json", () => {
+  const serve = {
+    builder: "@angular/build:dev-server",
+    configurations: {
+      production: { buildTarget: "client:build:production" },
+      development: { buildTarget: "client:build:development" },
+    },
+    defaultConfiguration: "development",
+  };
+  const angular = { projects: { client: { architect: { serve } } } };
+
+  const { patched, clientDir } = proxied(
+    "Angular",
+    "angular.json",
+    JSON.stringify(angular, null, 2),
+  );
+
+  assert.deepEqual(JSON.parse(patched).projects.client.architect.serve, {
+    ...serve,
+    options: { proxyConfig: "proxy.conf.json" },
+  });
+  assert.deepEqual(fs.readJsonSync(path.join(clientDir, "proxy.conf.json")), {
+    "/api": { target: "http://localhost:5000", secure: false },
+  });
+});
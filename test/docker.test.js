@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { parse } from "yaml";
+import { scaffold } from "./helpers.js";
+
+const dockerProject = async (options) => {
+  const rootDir = await scaffold({ docker: true, ...options });
+  const read = (relative) =>
+    fs.readFileSync(path.join(rootDir, relative), "utf8");
+  return {
+    compose: parse(read("docker-compose.yml")),
+    dockerfile: read("server/Dockerfile"),
+  };
+};
+
+test("the production SQLite file is in a volume the schema is pushed to", async () => {
+  const { compose, dockerfile } = await dockerProject({
+    database: "SQLite",
+    orm: "Prisma",
+  });
+  const { migrate, backend } = compose.services;
+
+  assert.equal(backend.environment.DATABASE_URL, "file:/app/data/dev.db");
+  assert.deepEqual(backend.volumes, ["sqlite_data:/app/data"]);
+  assert.deepEqual(migrate.volumes, backend.volumes);
+  assert.deepEqual(compose.volumes, { sqlite_data: {} });
+  assert.deepEqual(backend.depends_on, {
+    migrate: { condition: "service_completed_successfully" },
+  });
+  assert.match(dockerfile, /FROM deps AS migrate\n/);
+  assert.match(
+    dockerfile,
+    /CMD \["node_modules\/\.bin\/prisma", "db", "push"\]/,
+  );
+  assert.match(dockerfile, /chown node:node \/app \/app\/data\n/);
+  // The dev server keeps its file in the mounted folder
+  assert.equal(
+    compose.services["backend-dev"].environment.DATABASE_URL,
+    "file:./dev.db",
+  );
+});
+
+test("the migrate service waits for the database", async () => {
+  const { compose } = await dockerProject({
+    database: "PostgreSQL",
+    orm: "Drizzle",
+  });
+  const { migrate, backend } = compose.services;
+
+  assert.deepEqual(migrate.depends_on, {
+    postgres: { condition: "service_healthy" },
+  });
+  assert.deepEqual(Object.keys(backend.depends_on), ["postgres", "migrate"]);
+  assert.equal(migrate.volumes, undefined);
+  assert.match(compose.services["backend-dev"].command.at(-1), /db:push &&/);
+});
+
+test("plain drivers create their table themselves", async () => {
+  const { compose, dockerfile } = await dockerProject({
+    database: "PostgreSQL",
+    orm: "None",
+  });
+
+  assert.equal(compose.services.migrate, undefined);
+  assert.doesNotMatch(dockerfile, /AS migrate/);
+});
+
+test("every database's data is in a named volume", async () => {
+  const expected = {
+    SQLite: ["backend", "sqlite_data"],
+    PostgreSQL: ["postgres", "postgres_data"],
+    MySQL: ["mysql", "mysql_data"],
+    MongoDB: ["mongo", "mongo_data"],
+  };
+  for (const [database, [service, volume]] of Object.entries(expected)) {
+    const { compose } = await dockerProject({ database });
+
+    assert.deepEqual(Object.keys(compose.volumes), [volume], database);
+    assert.match(
+      compose.services[service].volumes[0],
+      new RegExp(`^${volume}:`),
+    );
+  }
+  const { compose } = await dockerProject({ database: "None" });
+  assert.equal(compose.volumes, undefined);
+});
+
+test("nginx proxies /api/ to the backend on the client's origin", async () => {
+  const rootDir = await scaffold({ docker: true, backendPort: 4000 });
+  const read = (relative) =>
+    fs.readFileSync(path.join(rootDir, relative), "utf8");
+  const nginx = read("client/nginx.conf");
+
+  assert.match(
+    nginx,
+    /location \^~ \/api\/ \{\n\s+proxy_pass http:\/\/backend:4000;\n/,
+  );
+  assert.match(nginx, /proxy_set_header Upgrade \$http_upgrade;/);
+  assert.match(nginx, /map \$http_upgrade \$connection_upgrade \{/);
+  // The SPA fallback and the static file rule are still there
+  assert.match(nginx, /try_files \$uri \$uri\/ \/index\.html;/);
+  assert.ok(
+    nginx.indexOf("location ^~ /api/") < nginx.indexOf("location ~*"),
+    "the /api/ block comes before the static file rule",
+  );
+  // The built client calls /api on its own origin
+  assert.doesNotMatch(read("client/Dockerfile"), /VITE_API_URL/);
+});
+
+test("without the proxy the built client calls the backend's port", async () => {
+  const rootDir = await scaffold({ docker: true, apiProxy: false });
+  const read = (relative) =>
+    fs.readFileSync(path.join(rootDir, relative), "utf8");
+  const nginx = read("client/nginx.conf");
+
+  assert.doesNotMatch(nginx, /\/api\/|proxy_pass|\$connection_upgrade/);
+  assert.match(
+    read("client/Dockerfile"),
+    /ARG VITE_API_URL=http:\/\/localhost:5000\/api\nENV VITE_API_URL=\$VITE_API_URL\n/,
+  );
+});
+
+test("server-rendered clients proxy through their own server, not nginx", async () => {
+  const expected = {
+    "Next.js":
+      /FROM deps AS builder\nARG API_PROXY_TARGET=http:\/\/backend:5000\n/,
+    SvelteKit: /ENV API_PROXY_TARGET=http:\/\/backend:5000\n/,
+  };
+  for (const [frontend, dockerfile] of Object.entries(expected)) {
+    const rootDir = await scaffold({
+      docker: true,
+      frontend,
+      reactSetup: undefined,
+    });
+
+    assert.ok(!fs.existsSync(path.join(rootDir, "client/nginx.conf")));
+    assert.match(
+      fs.readFileSync(path.join(rootDir, "client/Dockerfile"), "utf8"),
+      dockerfile,
+      frontend,
+    );
+  }
+});
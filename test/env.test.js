@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { parse } from "yaml";
+import { createContext } from "../lib/context.js";
+import { writeClientEnv } from "../lib/env.js";
+import { scaffold, tempDir } from "./helpers.js";
+
+// Names of the variables a .env file sets
+const variables = (env) =>
+  [...env.matchAll(/^([A-Z_]+)=/gm)].map(([, name]) => name);
+
+// A scaffolded project's files, read as text
+async function project(options) {
+  const rootDir = await scaffold(options);
+  return (relative) => fs.readFileSync(path.join(rootDir, relative), "utf8");
+}
+
+test("the server's .env.example is its .env under a header", async () => {
+  const read = await project({ database: "PostgreSQL", orm: "Drizzle" });
+  const env = read("server/.env");
+
+  assert.deepEqual(variables(env), ["DATABASE_URL", "PORT", "LOG_LEVEL"]);
+  assert.match(read("server/.env.example"), /^# Copy this file to \.env/);
+  assert.ok(read("server/.env.example").endsWith(`\n\n${env}`));
+});
+
+test("the config module checks every variable the server's .env sets", async () => {
+  const expected = {
+    None: ["PORT", "LOG_LEVEL"],
+    MongoDB: ["MONGODB_URL", "PORT", "LOG_LEVEL"],
+    SQLite: ["DATABASE_URL", "PORT", "LOG_LEVEL"],
+  };
+  for (const [database, names] of Object.entries(expected)) {
+    const read = await project({ database, backendLang: "TypeScript" });
+    const config = read("server/src/config/index.ts");
+
+    assert.deepEqual(variables(read("server/.env")), names, database);
+    for (const name of names) {
+      assert.match(config, new RegExp(`^  ${name}: z\\.`, "m"), name);
+    }
+    assert.match(config, /process\.exit\(1\);/);
+  }
+});
+
+test("the server's port is the one chosen", async () => {
+  const read = await project({ backendPort: 4000 });
+
+  assert.match(read("server/.env"), /^PORT=4000$/m);
+  assert.match(read("server/config/index.js"), /\.default\(4000\)/);
+});
+
+test("each client's .env names the variable its framework exposes", async () => {
+  const expected = {
+    React: ["VITE_API_URL"],
+    Vue: ["VITE_API_URL"],
+    "Next.js": ["NEXT_PUBLIC_API_URL", "API_PROXY_TARGET"],
+    SvelteKit: ["PUBLIC_API_URL", "API_PROXY_TARGET"],
+    Astro: ["PUBLIC_API_URL"],
+  };
+  for (const [frontend, names] of Object.entries(expected)) {
+    const read = await project({
+      frontend,
+      reactSetup: frontend === "React" ? "Vite" : undefined,
+    });
+    const env = read("client/.env");
+
+    assert.deepEqual(variables(env), names, frontend);
+    assert.match(env, new RegExp(`^${names[0]}=/api$`, "m"));
+    assert.ok(read("client/.env.example").endsWith(`\n\n${env}`));
+  }
+});
+
+test("Create React App's variables start with REACT_APP_", async () => {
+  const read = await project({ reactSetup: "Create React App" });
+
+  assert.deepEqual(variables(read("client/.env")), ["REACT_APP_API_URL"]);
+});
+
+test(".env files stay out of git and the examples are committed", async () => {
+  const gitignore = (await project())(".gitignore").split("\n");
+
+  for (const line of [".env", ".env.*", "!.env.example"]) {
+    assert.ok(gitignore.includes(line), line);
+  }
+});
+
+test("the dev containers only get their own client's API variable", async () => {
+  const read = await project({
+    frontend: "Vue",
+    reactSetup: undefined,
+    docker: true,
+  });
+  const { environment } = parse(read("docker-compose.yml")).services[
+    "frontend-dev"
+  ];
+
+  assert.ok(!("REACT_APP_API_URL" in environment));
+  assert.ok(!("NEXT_PUBLIC_API_URL" in environment));
+  assert.match(environment.API_PROXY_TARGET, /^http:\/\/backend-dev:5000$/);
+});
+
+// An Angular client with the build configurations `ng new` writes
+function angularClient(options) {
+  const rootDir = tempDir();
+  const clientDir = path.join(rootDir, "client");
+  const build = { configurations: { production: {}, development: {} } };
+  fs.outputJsonSync(path.join(clientDir, "angular.json"), {
+    projects: { client: { architect: { build } } },
+  });
+  const ctx = createContext({
+    rootDir,
+    frontend: "Angular",
+    backendPort: 5000,
+    ...options,
+  });
+  writeClientEnv(ctx, clientDir);
+  return (relative) => fs.readFileSync(path.join(clientDir, relative), "utf8");
+}
+
+test("Angular gets environment files instead of a .env", () => {
+  const read = angularClient({ apiProxy: true });
+
+  assert.match(read("src/environments/environment.ts"), /apiUrl: '\/api'/);
+  assert.match(
+    read("src/environments/environment.development.ts"),
+    /production: false,\n\s+\/\/ .*\n\s+apiUrl: '\/api'/,
+  );
+  const { build } = JSON.parse(read("angular.json")).projects.client.architect;
+  assert.deepEqual(build.configurations.development.fileReplacements, [
+    {
+      replace: "src/environments/environment.ts",
+      with: "src/environments/environment.development.ts",
+    },
+  ]);
+  assert.throws(() => read(".env"), { code: "ENOENT" });
+});
+
+test("without the API proxy Angular's production build calls the server's port", () => {
+  const read = angularClient({ apiProxy: false });
+
+  assert.match(
+    read("src/environments/environment.ts"),
+    /apiUrl: 'http:\/\/localhost:5000\/api'/,
+  );
+});
@@ -0,0 +1,45 @@
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { after } from "node:test";
+import { createFullstackApp } from "../lib/index.js";
+
+// Choices that keep a dry run away from the network and the terminal
+export const BASE_OPTIONS = {
+  projectName: "my-app",
+  frontend: "React",
+  reactSetup: "Vite",
+  backendFramework: "Express",
+  database: "None",
+  git: false,
+  stdio: "pipe",
+};
+
+// Empty folder removed once the test file is done
+export function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "devstacker-test-"));
+  after(() => fs.removeSync(dir));
+  return dir;
+}
+
+/**
+ * A project as devstacker writes it, without the commands: the files of a
+ * dry run's plan, written to a temporary folder. Returns the project folder.
+ */
+export async function scaffold(options = {}) {
+  const cwd = tempDir();
+  const { rootDir, plan } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    ...options,
+    cwd,
+    dryRun: true,
+  });
+  for (const file of plan) {
+    if (file.content === undefined) continue;
+    fs.outputFileSync(path.join(rootDir, file.path), file.content);
+  }
+  return rootDir;
+}
+
+export const readJson = (rootDir, relative) =>
+  fs.readJsonSync(path.join(rootDir, relative));
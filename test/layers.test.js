@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import { createRequire } from "module";
+import path from "path";
+import { test } from "node:test";
+import { scaffold } from "./helpers.js";
+
+const FRAMEWORKS = ["Express", "Fastify", "Koa", "Hono", "NestJS"];
+
+// The server folder of a scaffolded project, and its files relative to it
+async function server(options) {
+  const serverDir = path.join(await scaffold(options), "server");
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else files.push(path.relative(serverDir, full).split(path.sep).join("/"));
+    }
+  };
+  walk(serverDir);
+  return { serverDir, files };
+}
+
+// The relative modules a source file imports or requires
+const relativeImports = (source) =>
+  [...source.matchAll(/(?:from |require\()'(\.{1,2}\/[^']+)'/g)].map(
+    ([, specifier]) => specifier,
+  );
+
+test("Express, Koa and Hono split the server into the same layers", async () => {
+  for (const backendFramework of ["Express", "Koa", "Hono"]) {
+    const { files } = await server({ backendFramework, database: "SQLite" });
+
+    for (const file of [
+      "index.js",
+      "app.js",
+      "config/index.js",
+      "config/logger.js",
+      "middleware/request-logger.js",
+      "middleware/error-handler.js",
+      "routes/health.routes.js",
+      "routes/users.routes.js",
+      "controllers/health.controller.js",
+      "controllers/users.controller.js",
+      "users/users.repository.js",
+      "database.js",
+    ]) {
+      assert.ok(files.includes(file), `${backendFramework}: ${file}`);
+    }
+  }
+});
+
+test("every relative import of the server resolves to a generated file", async () => {
+  for (const backendFramework of FRAMEWORKS) {
+    for (const backendLang of ["JavaScript", "TypeScript"]) {
+      if (backendFramework === "NestJS" && backendLang === "JavaScript") {
+        continue;
+      }
+      const { serverDir, files } = await server({
+        backendFramework,
+        backendLang,
+        database: "PostgreSQL",
+        orm: "Drizzle",
+      });
+      const ext = backendLang === "TypeScript" ? ".ts" : ".js";
+
+      for (const file of files.filter((name) => name.endsWith(ext))) {
+        const source = fs.readFileSync(path.join(serverDir, file), "utf8");
+        for (const specifier of relativeImports(source)) {
+          const target = path.posix.join(path.posix.dirname(file), specifier);
+          assert.ok(
+            files.includes(`${target}${ext}`) ||
+              files.includes(`${target}/index${ext}`),
+            `${backendFramework} ${backendLang}: ${file} imports ${specifier}`,
+          );
+        }
+      }
+    }
+  }
+});
+
+test("the app module is built without listening; the entry point starts and stops it", async () => {
+  for (const backendFramework of FRAMEWORKS) {
+    const { serverDir } = await server({
+      backendFramework,
+      backendLang: "TypeScript",
+      database: "MongoDB",
+    });
+    const read = (file) =>
+      fs.readFileSync(path.join(serverDir, "src", file), "utf8");
+    const nest = backendFramework === "NestJS";
+    const entry = read(nest ? "main.ts" : "index.ts");
+
+    assert.doesNotMatch(read("app.ts"), /\.listen\(|serve\(/, backendFramework);
+    assert.match(entry, /\.listen\(|serve\(/, backendFramework);
+    if (nest) {
+      // Nest closes the database in AppModule's shutdown hook
+      assert.match(entry, /app\.enableShutdownHooks\(\);/);
+      assert.match(
+        read("app.module.ts"),
+        /async onApplicationShutdown\(\) \{\n\s+await disconnectDatabase\(\);/,
+      );
+    } else {
+      assert.match(
+        entry,
+        /process\.on\('SIGTERM', shutdown\);/,
+        backendFramework,
+      );
+      assert.match(entry, /await disconnectDatabase\(\);/, backendFramework);
+    }
+  }
+});
+
+test("Express answers errors as JSON", async () => {
+  const { serverDir } = await server({ backendFramework: "Express" });
+  const require = createRequire(path.join(serverDir, "app.js"));
+  const { HttpError } = require("./http-error");
+  const { errorHandler, notFound } = require("./middleware/error-handler");
+  const respond = (err) => {
+    const res = {
+      status(code) {
+        this.code = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+    };
+    const logged = [];
+    const req = { log: { error: (...args) => logged.push(args) } };
+    errorHandler(err, req, res, () => {});
+    return { code: res.code, body: res.body, logged };
+  };
+
+  let passed;
+  notFound({ method: "GET", path: "/nope" }, {}, (err) => (passed = err));
+  assert.ok(passed instanceof HttpError);
+  assert.deepEqual(respond(passed), {
+    code: 404,
+    body: { error: "Route GET /nope not found", details: undefined },
+    logged: [],
+  });
+
+  const invalidJson = Object.assign(new Error("bad"), {
+    type: "entity.parse.failed",
+  });
+  assert.equal(respond(invalidJson).code, 400);
+
+  const crash = respond(new Error("boom"));
+  assert.deepEqual(crash.body, { error: "Internal server error" });
+  assert.equal(crash.code, 500);
+  assert.equal(crash.logged.length, 1);
+});
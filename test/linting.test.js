@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { addFeature, createFullstackApp } from "../lib/index.js";
+import { BASE_OPTIONS, scaffold, tempDir } from "./helpers.js";
+
+test("the project is formatted after the install", async () => {
+  const { commands } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd: tempDir(),
+    linting: true,
+    dryRun: true,
+  });
+  const format = commands.findIndex(({ args }) => args.includes("prettier"));
+
+  assert.deepEqual(commands[format], {
+    command: "npx",
+    args: ["prettier", "--write", "."],
+    cwd: ".",
+  });
+  const install = commands.findIndex(
+    ({ args, cwd }) => cwd === "." && args.join(" ") === "install",
+  );
+  assert.ok(format > install);
+});
+
+test("ESLint replaces create-vite's oxlint", async () => {
+  const rootDir = await scaffold();
+  const clientDir = path.join(rootDir, "client");
+  fs.outputJsonSync(path.join(clientDir, "package.json"), {
+    name: "client",
+    scripts: { lint: "oxlint" },
+    dependencies: { react: "^19.0.0" },
+    devDependencies: { oxlint: "^1.0.0", vite: "^7.0.0" },
+  });
+  fs.outputJsonSync(path.join(clientDir, ".oxlintrc.json"), {});
+
+  const result = await addFeature({
+    feature: "lint",
+    cwd: rootDir,
+    stdio: "pipe",
+    dryRun: true,
+  });
+  const pkg = JSON.parse(
+    result.plan.find((file) => file.path === "client/package.json").content,
+  );
+
+  assert.equal(pkg.scripts.lint, "eslint .");
+  assert.equal(pkg.devDependencies.oxlint, undefined);
+  assert.equal(pkg.devDependencies.vite, "^7.0.0");
+  assert.ok(
+    result.mutations.some(({ path }) => path === "client/.oxlintrc.json"),
+  );
+});
+
+test("the initial commit runs the pre-commit hook", async () => {
+  const { commands } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd: tempDir(),
+    linting: true,
+    git: true,
+    dryRun: true,
+  });
+  const commit = commands.find(
+    ({ command, args }) => command === "git" && args[0] === "commit",
+  );
+
+  assert.deepEqual(commit.args, [
+    "commit",
+    "-m",
+    "Initial commit from devstacker",
+  ]);
+});
+
+// typescript-eslint 8's peer range for typescript: >=4.8.4 <6.1.0
+const TYPESCRIPT_ESLINT_PEER = { lowest: [4, 8, 4], below: [6, 1, 0] };
+
+const compareVersions = (a, b) =>
+  a.map((part, i) => part - b[i]).find((difference) => difference) ?? 0;
+
+// Whether every version a ~x.y.z range allows is in the peer range
+function inPeerRange(range) {
+  const [major, minor, patch] = range
+    .match(/^~(\d+)\.(\d+)\.(\d+)$/)
+    .slice(1)
+    .map(Number);
+  return (
+    compareVersions([major, minor, patch], TYPESCRIPT_ESLINT_PEER.lowest) >=
+      0 &&
+    compareVersions([major, minor + 1, 0], TYPESCRIPT_ESLINT_PEER.below) <= 0
+  );
+}
+
+test("a linted TypeScript server installs a TypeScript typescript-eslint supports", async () => {
+  const { commands, plan } = await createFullstackApp({
+    ...BASE_OPTIONS,
+    cwd: tempDir(),
+    backendLang: "TypeScript",
+    backendFramework: "NestJS",
+    linting: true,
+    dryRun: true,
+  });
+  const { devDependencies } = JSON.parse(
+    plan.find((file) => file.path === "server/package.json").content,
+  );
+  const installed = commands
+    .filter(({ cwd }) => cwd === "server")
+    .flatMap(({ args }) => args)
+    .filter((arg) => arg.startsWith("typescript@"))
+    .map((arg) => arg.slice("typescript@".length));
+
+  assert.match(devDependencies["typescript-eslint"], /^\^8\./);
+  assert.deepEqual(installed, [devDependencies.typescript]);
+  assert.ok(
+    inPeerRange(devDependencies.typescript),
+    devDependencies.typescript,
+  );
+});
+
+test("adding linting brings a server's TypeScript back in range", async () => {
+  const rootDir = await scaffold({ backendLang: "TypeScript" });
+  const serverPackage = path.join(rootDir, "server/package.json");
+  const pkg = fs.readJsonSync(serverPackage);
+  fs.outputJsonSync(serverPackage, {
+    ...pkg,
+    devDependencies: { ...pkg.devDependencies, typescript: "^7.0.2" },
+  });
+
+  const result = await addFeature({
+    feature: "lint",
+    cwd: rootDir,
+    stdio: "pipe",
+    dryRun: true,
+  });
+  const { devDependencies } = JSON.parse(
+    result.plan.find((file) => file.path === "server/package.json").content,
+  );
+
+  assert.ok(
+    inPeerRange(devDependencies.typescript),
+    devDependencies.typescript,
+  );
+});
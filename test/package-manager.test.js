@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import {
+  detectLockfile,
+  detectPackageManager,
+  packageManager,
+} from "../lib/package-manager.js";
+import { tempDir } from "./helpers.js";
+
+// What each package manager runs, per helper
+const COMMANDS = {
+  npm: {
+    install: ["npm", ["install"]],
+    add: ["npm", ["install", "zod"]],
+    addDev: ["npm", ["install", "-D", "tsx"]],
+    dlx: ["npx", ["create-next-app@latest", "client"]],
+    exec: ["npx", ["prisma", "generate"]],
+    create: [
+      "npm",
+      ["create", "vite@latest", "client", "--", "--template", "vue"],
+    ],
+    runIn: "npm --prefix server run dev",
+    run: "npm run dev",
+    addCommand: "npm install zod",
+    lockfile: "package-lock.json",
+  },
+  pnpm: {
+    install: ["pnpm", ["install"]],
+    add: ["pnpm", ["add", "zod"]],
+    addDev: ["pnpm", ["add", "-D", "tsx"]],
+    dlx: ["pnpm", ["dlx", "create-next-app@latest", "client"]],
+    exec: ["pnpm", ["exec", "prisma", "generate"]],
+    create: ["pnpm", ["create", "vite@latest", "client", "--template", "vue"]],
+    runIn: "pnpm --dir server run dev",
+    run: "pnpm run dev",
+    addCommand: "pnpm add zod",
+    lockfile: "pnpm-lock.yaml",
+  },
+  yarn: {
+    install: ["yarn", ["install"]],
+    add: ["yarn", ["add", "zod"]],
+    addDev: ["yarn", ["add", "-D", "tsx"]],
+    dlx: ["npx", ["create-next-app@latest", "client"]],
+    exec: ["yarn", ["prisma", "generate"]],
+    create: ["yarn", ["create", "vite@latest", "client", "--template", "vue"]],
+    runIn: "yarn --cwd server run dev",
+    run: "yarn run dev",
+    addCommand: "yarn add zod",
+    lockfile: "yarn.lock",
+  },
+  bun: {
+    install: ["bun", ["install"]],
+    add: ["bun", ["add", "zod"]],
+    addDev: ["bun", ["add", "-D", "tsx"]],
+    dlx: ["bunx", ["create-next-app@latest", "client"]],
+    exec: ["bunx", ["prisma", "generate"]],
+    create: ["bun", ["create", "vite@latest", "client", "--template", "vue"]],
+    runIn: "bun --cwd server run dev",
+    run: "bun run dev",
+    addCommand: "bun add zod",
+    lockfile: "bun.lock",
+  },
+};
+
+test("every package manager gets its own commands", () => {
+  for (const [name, expected] of Object.entries(COMMANDS)) {
+    const pm = packageManager(name);
+
+    assert.deepEqual(
+      {
+        install: pm.install(),
+        add: pm.add(["zod"]),
+        addDev: pm.add(["tsx"], { dev: true }),
+        dlx: pm.dlx("create-next-app@latest", ["client"]),
+        exec: pm.exec("prisma", ["generate"]),
+        create: pm.create("vite@latest", ["client", "--template", "vue"]),
+        runIn: pm.runIn("server", "dev"),
+        run: pm.run("dev"),
+        addCommand: pm.addCommand("zod"),
+        lockfile: pm.lockfile,
+      },
+      expected,
+      name,
+    );
+  }
+});
+
+test("the Docker images install from the lockfile", () => {
+  for (const name of Object.keys(COMMANDS)) {
+    const { manifests, ci } = packageManager(name).docker;
+
+    assert.ok(manifests.startsWith("package"), name);
+    assert.match(ci, name === "npm" ? /^npm ci$/ : /--frozen-lockfile$/);
+  }
+});
+
+test("the package manager is read from the user agent", () => {
+  assert.equal(detectPackageManager("pnpm/9.1.0 npm/? node/v20.11.0"), "pnpm");
+  assert.equal(detectPackageManager("bun/1.2.0 npm/? node/v22.0.0"), "bun");
+  assert.equal(detectPackageManager("cnpm/9.0.0 node/v20.11.0"), "npm");
+  assert.equal(detectPackageManager(undefined), "npm");
+});
+
+test("the lockfile tells which package manager a folder uses", () => {
+  const dir = tempDir();
+  assert.equal(detectLockfile(dir), undefined);
+
+  fs.writeFileSync(path.join(dir, "yarn.lock"), "");
+  assert.equal(detectLockfile(dir), "yarn");
+});
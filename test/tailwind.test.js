@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { addFeature } from "../lib/index.js";
+import { scaffold } from "./helpers.js";
+
+const VITE_CONFIG = `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+export default defineConfig({
+  plugins: [react()],
+})
+`;
+
+// A React client as create-vite writes it, enough for the Tailwind setup
+async function viteProject() {
+  const rootDir = await scaffold();
+  const clientDir = path.join(rootDir, "client");
+  fs.outputJsonSync(path.join(clientDir, "package.json"), {
+    name: "client",
+    dependencies: { react: "^19.0.0" },
+  });
+  fs.outputFileSync(path.join(clientDir, "vite.config.js"), VITE_CONFIG);
+  fs.outputFileSync(path.join(clientDir, "src/index.css"), ":root {}\n");
+  return rootDir;
+}
+
+const planned = (result, relative) =>
+  result.plan.find((file) => file.path === relative)?.content;
+
+test("Tailwind is imported once in the stylesheet", async () => {
+  const rootDir = await viteProject();
+  const css = path.join(rootDir, "client/src/index.css");
+  const add = () =>
+    addFeature({
+      feature: "tailwind",
+      cwd: rootDir,
+      force: true,
+      stdio: "pipe",
+      dryRun: true,
+    });
+
+  const first = planned(await add(), "client/src/index.css");
+  assert.equal(first, '@import "tailwindcss";\n:root {}\n');
+
+  fs.writeFileSync(css, first);
+  const second = await add();
+  assert.equal(planned(second, "client/src/index.css") ?? first, first);
+  assert.equal(
+    planned(second, "client/vite.config.js").match(/tailwindcss\(\)/g).length,
+    1,
+  );
+});
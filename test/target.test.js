@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  OptionsError,
+  createFullstackApp,
+  validateProjectName,
+} from "../lib/index.js";
+import { BASE_OPTIONS, tempDir } from "./helpers.js";
+
+test("names npm or the file system would refuse are rejected", () => {
+  const rejected = {
+    "": "cannot be empty",
+    " my-app": "cannot start or end with spaces",
+    ["a".repeat(215)]: "longer than 214 characters",
+    "@scope/app": "scoped names",
+    "apps/web": "single folder name",
+    "..": "single folder name",
+    ".hidden": "cannot start with a period",
+    _private: "cannot start with a period or an underscore",
+    MyApp: "capital letters",
+    "my app": "URL-friendly characters",
+    "what!": "URL-friendly characters",
+    node_modules: "not allowed as a package name",
+    http: "Node.js core module",
+    con: "not a valid folder name on Windows",
+    "lpt1.txt": "not a valid folder name on Windows",
+  };
+  for (const [name, problem] of Object.entries(rejected)) {
+    assert.ok(validateProjectName(name)?.includes(problem), name);
+  }
+});
+
+test("npm package names are accepted", () => {
+  for (const name of ["my-app", "app2", "my.app", "my_app", "a"]) {
+    assert.equal(validateProjectName(name), null, name);
+  }
+});
+
+test("an invalid project name fails before anything is planned", async () => {
+  await assert.rejects(
+    createFullstackApp({
+      ...BASE_OPTIONS,
+      projectName: "My App",
+      cwd: tempDir(),
+      dryRun: true,
+    }),
+    (error) =>
+      error instanceof OptionsError &&
+      /^Invalid "projectName": project name cannot contain capital letters/.test(
+        error.message,
+      ),
+  );
+});
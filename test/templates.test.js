@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import * as prettier from "prettier";
+import { test } from "node:test";
+import { renderTemplates } from "../lib/create.js";
+import { BASE_OPTIONS, scaffold } from "./helpers.js";
+
+test("templates are the files a dry run writes", async () => {
+  const rootDir = await scaffold();
+  const templates = await renderTemplates({ ...BASE_OPTIONS, rootDir });
+
+  assert.equal(
+    templates["server/app.js"],
+    fs.readFileSync(path.join(rootDir, "server/app.js"), "utf-8"),
+  );
+  assert.equal(templates[".fullstackrc.json"], undefined);
+});
+
+test("templates of linted projects are formatted with the project's config", async () => {
+  const rootDir = await scaffold({ linting: true });
+  const templates = await renderTemplates({
+    ...BASE_OPTIONS,
+    linting: true,
+    rootDir,
+  });
+  const file = path.join(rootDir, "server/index.js");
+  const config = fs.readJsonSync(path.join(rootDir, "server/.prettierrc"));
+
+  assert.equal(
+    templates["server/index.js"],
+    await prettier.format(fs.readFileSync(file, "utf-8"), {
+      ...config,
+      filepath: file,
+    }),
+  );
+  // Files prettier has no parser for are left as they are
+  assert.equal(
+    templates["server/.env.example"],
+    fs.readFileSync(path.join(rootDir, "server/.env.example"), "utf-8"),
+  );
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { readJson, scaffold } from "./helpers.js";
+
+const serverTests = async (options) => {
+  const rootDir = await scaffold({ testing: true, ...options });
+  const serverDir = path.join(rootDir, "server");
+  const read = (relative) =>
+    fs.readFileSync(path.join(serverDir, relative), "utf8");
+  return { serverDir, read, pkg: readJson(serverDir, "package.json") };
+};
+
+test("PostgreSQL servers are tested against PGlite with the schema pushed", async () => {
+  const { serverDir, read, pkg } = await serverTests({
+    database: "PostgreSQL",
+    orm: "Drizzle",
+  });
+
+  const setup = read("test/global-setup.js");
+  assert.match(setup, /new PGLiteSocketServer\(/);
+  assert.match(setup, /await promisify\(exec\)\('npm run db:push'/);
+  assert.match(read("jest.config.js"), /globalSetup:/);
+  assert.doesNotMatch(read("jest.config.js"), /moduleNameMapper/);
+  assert.ok(pkg.devDependencies["@electric-sql/pglite-socket"]);
+  assert.equal(fs.existsSync(path.join(serverDir, "test/stand-ins")), false);
+});
+
+test("the plain SQLite driver is tested in memory", async () => {
+  const { serverDir, read } = await serverTests({
+    database: "SQLite",
+    orm: "None",
+  });
+
+  assert.match(read("test/setup.js"), /DATABASE_URL = ':memory:'/);
+  assert.doesNotMatch(read("jest.config.js"), /globalSetup|moduleNameMapper/);
+  assert.equal(
+    fs.existsSync(path.join(serverDir, "test/global-setup.js")),
+    false,
+  );
+});
+
+test("Prisma pushes its schema to a temporary SQLite file", async () => {
+  const { read } = await serverTests({
+    database: "SQLite",
+    orm: "Prisma",
+    backendLang: "TypeScript",
+    packageManager: "pnpm",
+  });
+
+  const setup = read("test/global-setup.ts");
+  assert.match(setup, /DATABASE_URL = `file:\$\{join\(dir, 'test\.db'\)\}`/);
+  assert.match(setup, /'pnpm run prisma:db:push'/);
+  assert.match(read("test/global-teardown.ts"), /rmSync\(/);
+});
+
+test("MySQL servers keep the stand-ins", async () => {
+  const { read } = await serverTests({ database: "MySQL", orm: "Drizzle" });
+
+  assert.match(read("jest.config.js"), /moduleNameMapper/);
+  assert.match(read("test/stand-ins/database.js"), /connectDatabase/);
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import fs from "fs-extra";
+import path from "path";
+import { test } from "node:test";
+import { upgradeProject } from "../lib/index.js";
+import { hashContent } from "../lib/manifest.js";
+import { scaffold } from "./helpers.js";
+
+test("a project of this version is up to date", async () => {
+  const rootDir = await scaffold();
+  const { summary } = await upgradeProject({ cwd: rootDir });
+
+  assert.deepEqual(summary.updated, []);
+  assert.deepEqual(summary.created, []);
+  assert.deepEqual(summary.conflicts, []);
+  assert.ok(summary.unchanged.includes("server/app.js"));
+});
+
+test("changes to an edited file are merged with the template's", async () => {
+  const rootDir = await scaffold();
+  const file = path.join(rootDir, "server/app.js");
+  const template = fs.readFileSync(file, "utf-8");
+  // Written by an earlier version, then edited
+  const base = `${template}// Old\n`;
+  fs.writeFileSync(file, `// Edited\n${base}`);
+  const templatesFile = path.join(rootDir, ".fullstack-templates.json");
+  const templates = fs.readJsonSync(templatesFile);
+  templates["server/app.js"] = base;
+  fs.writeJsonSync(templatesFile, templates);
+
+  const { summary } = await upgradeProject({ cwd: rootDir });
+
+  assert.deepEqual(summary.merged, ["server/app.js"]);
+  assert.equal(fs.readFileSync(file, "utf-8"), `// Edited\n${template}`);
+});
+
+// server/package.json after `npm install` added the server's packages
+function install(rootDir) {
+  const file = path.join(rootDir, "server/package.json");
+  const pkg = fs.readJsonSync(file);
+  pkg.dependencies = { express: "^5.1.0", zod: "^4.1.0" };
+  fs.writeJsonSync(file, pkg, { spaces: 2 });
+  return file;
+}
+
+test("dependencies added by installs survive an upgrade", async () => {
+  const rootDir = await scaffold();
+  const file = install(rootDir);
+
+  const { summary } = await upgradeProject({ cwd: rootDir });
+
+  assert.ok(!summary.updated.includes("server/package.json"));
+  assert.deepEqual(fs.readJsonSync(file).dependencies, {
+    express: "^5.1.0",
+    zod: "^4.1.0",
+  });
+});
+
+test("a manifest that hashed package.json after the install does not replace it", async () => {
+  const rootDir = await scaffold();
+  const file = install(rootDir);
+  // As earlier versions recorded it
+  const manifestFile = path.join(rootDir, ".fullstackrc.json");
+  const manifest = fs.readJsonSync(manifestFile);
+  manifest.files["server/package.json"] = hashContent(fs.readFileSync(file));
+  fs.writeJsonSync(manifestFile, manifest);
+
+  await upgradeProject({ cwd: rootDir });
+
+  assert.equal(fs.readJsonSync(file).dependencies.express, "^5.1.0");
+});
+
+test("package.json gets the template's new entries, and keeps the user's", async () => {
+  const rootDir = await scaffold();
+  const file = install(rootDir);
+  const pkg = fs.readJsonSync(file);
+  const template = JSON.stringify(pkg.scripts);
+  // Written by an earlier version with other scripts, one edited since
+  const templatesFile = path.join(rootDir, ".fullstack-templates.json");
+  const templates = fs.readJsonSync(templatesFile);
+  const base = JSON.parse(templates["server/package.json"]);
+  base.scripts = { dev: "node old.js", start: "node old.js" };
+  templates["server/package.json"] = JSON.stringify(base, null, 2);
+  fs.writeJsonSync(templatesFile, templates);
+  pkg.scripts = {
+    dev: "node old.js",
+    start: "node mine.js",
+    seed: "node seed.js",
+  };
+  fs.writeJsonSync(file, pkg, { spaces: 2 });
+
+  const { summary } = await upgradeProject({ cwd: rootDir });
+  const { scripts, dependencies } = fs.readJsonSync(file);
+
+  assert.deepEqual(summary.merged, ["server/package.json"]);
+  assert.equal(scripts.dev, JSON.parse(template).dev);
+  assert.equal(scripts.start, "node mine.js");
+  assert.equal(scripts.seed, "node seed.js");
+  assert.equal(dependencies.express, "^5.1.0");
+});